@@ -0,0 +1,289 @@
+import AnnotationLayer from '../../shared/js/annotationLayer.js';
+
+/**
+ * Annotation Tool for Lecturer
+ * Pen, highlighter, arrow, rectangle, text and eraser over the screen preview.
+ * Strokes are sent to students as small vector ops ('annotation' events), never
+ * drawn into the captured frames.
+ */
+
+// Stroke widths as a fraction of the image width (text: of the image height)
+const TOOL_SIZES = {
+    pen: 0.003,
+    highlighter: 0.018,
+    arrow: 0.003,
+    rect: 0.003,
+    text: 0.04
+};
+const MIN_POINT_DISTANCE = 0.002; // skip pointer moves smaller than this
+const EXTEND_INTERVAL = 50; // ms between batched pen updates
+const ERASER_RADIUS = 0.012;
+
+const round = (value) => Math.round(Math.min(1, Math.max(0, value)) * 10000) / 10000;
+
+class AnnotationTool {
+    constructor(options = {}) {
+        this.socket = options.socket;
+        this.canvas = options.canvas;
+        // Last frame sent to students, so they show each op over the right frame
+        this.getFrameId = options.getFrameId || (() => undefined);
+        this.layer = new AnnotationLayer(this.canvas);
+        this.tool = 'pen';
+        this.color = '#ff3b30';
+        this.enabled = false;
+        this.current = null; // stroke being drawn
+        this.pendingPoints = [];
+        this.extendTimer = null;
+        this.erased = null; // strokes removed during one eraser drag
+        this.undoStack = [];
+        this.textInput = null;
+
+        this.bindPointerEvents();
+    }
+
+    attach(target) {
+        this.layer.attach(target);
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        this.canvas.classList.toggle('active', enabled);
+        if (!enabled) {
+            this.finishStroke();
+            this.closeTextInput(false);
+        }
+    }
+
+    setTool(tool) {
+        this.finishStroke();
+        this.tool = tool;
+        this.canvas.dataset.tool = tool;
+    }
+
+    setColor(color) {
+        this.color = color;
+    }
+
+    undo() {
+        const action = this.undoStack.pop();
+        if (!action) return;
+
+        if (action.type === 'add') {
+            this.emit({ op: 'remove', ids: [action.id] });
+        } else {
+            action.strokes.forEach(stroke => this.emit({ op: 'add', stroke }));
+        }
+    }
+
+    clear() {
+        const strokes = this.layer.getStrokes();
+        if (strokes.length === 0) return;
+
+        this.undoStack.push({ type: 'remove', strokes });
+        this.emit({ op: 'clear' });
+    }
+
+    // Local reset when sharing stops; the server clears the room's strokes itself
+    reset() {
+        this.finishStroke();
+        this.closeTextInput(false);
+        this.undoStack = [];
+        this.layer.reset();
+    }
+
+    // After a reconnect the server has forgotten our strokes; send them again
+    resync() {
+        const strokes = this.layer.getStrokes();
+        this.send({ op: 'clear', frameId: this.getFrameId() });
+        strokes.forEach(stroke => this.send({ op: 'add', frameId: this.getFrameId(), stroke }));
+    }
+
+    emit(op) {
+        op.frameId = this.getFrameId();
+        this.layer.apply(op);
+        // The lecturer never rewinds, so there is no need to keep the op history
+        this.layer.compact(Infinity);
+        this.send(op);
+    }
+
+    send(op) {
+        if (this.socket && this.socket.connected) {
+            this.socket.emit('annotation', op);
+        }
+    }
+
+    bindPointerEvents() {
+        this.canvas.addEventListener('pointerdown', (e) => this.onPointerDown(e));
+        this.canvas.addEventListener('pointermove', (e) => this.onPointerMove(e));
+        this.canvas.addEventListener('pointerup', () => this.finishStroke());
+        this.canvas.addEventListener('pointercancel', () => this.finishStroke());
+    }
+
+    normalize(event) {
+        const rect = this.canvas.getBoundingClientRect();
+        return [
+            round((event.clientX - rect.left) / rect.width),
+            round((event.clientY - rect.top) / rect.height)
+        ];
+    }
+
+    onPointerDown(event) {
+        if (!this.enabled || event.button !== 0) return;
+        event.preventDefault();
+
+        const [x, y] = this.normalize(event);
+        if (this.tool === 'text') {
+            this.openTextInput(x, y);
+            return;
+        }
+
+        this.canvas.setPointerCapture(event.pointerId);
+        if (this.tool === 'eraser') {
+            this.erased = [];
+            this.eraseAt(x, y);
+            return;
+        }
+
+        this.current = {
+            id: Utils.generateId(10),
+            tool: this.tool,
+            color: this.color,
+            size: TOOL_SIZES[this.tool],
+            points: this.tool === 'arrow' || this.tool === 'rect' ? [x, y, x, y] : [x, y]
+        };
+        if (this.tool === 'pen' || this.tool === 'highlighter') {
+            // Freehand strokes appear for students while they are being drawn
+            this.emit({ op: 'add', stroke: { ...this.current, points: this.current.points.slice() } });
+            this.undoStack.push({ type: 'add', id: this.current.id });
+        }
+    }
+
+    onPointerMove(event) {
+        if (!this.enabled) return;
+        const [x, y] = this.normalize(event);
+
+        if (this.erased) {
+            this.eraseAt(x, y);
+            return;
+        }
+        if (!this.current) return;
+
+        const points = this.current.points;
+        if (this.current.tool === 'arrow' || this.current.tool === 'rect') {
+            points[2] = x;
+            points[3] = y;
+            this.drawPreview();
+            return;
+        }
+
+        const lastX = points[points.length - 2];
+        const lastY = points[points.length - 1];
+        if (Math.hypot(x - lastX, y - lastY) < MIN_POINT_DISTANCE) return;
+
+        points.push(x, y);
+        this.pendingPoints.push(x, y);
+        this.layer.apply({ op: 'extend', id: this.current.id, points: [x, y] });
+        this.layer.compact(Infinity);
+        if (!this.extendTimer) {
+            this.extendTimer = setTimeout(() => this.flushPoints(), EXTEND_INTERVAL);
+        }
+    }
+
+    flushPoints() {
+        clearTimeout(this.extendTimer);
+        this.extendTimer = null;
+        if (!this.current || this.pendingPoints.length === 0) return;
+
+        this.send({ op: 'extend', frameId: this.getFrameId(), id: this.current.id, points: this.pendingPoints });
+        this.pendingPoints = [];
+    }
+
+    finishStroke() {
+        if (this.erased) {
+            if (this.erased.length > 0) {
+                this.undoStack.push({ type: 'remove', strokes: this.erased });
+            }
+            this.erased = null;
+            return;
+        }
+        if (!this.current) return;
+
+        const stroke = this.current;
+        if (stroke.tool === 'arrow' || stroke.tool === 'rect') {
+            const [x1, y1, x2, y2] = stroke.points;
+            this.current = null;
+            // A click without a drag is not a shape
+            if (Math.hypot(x2 - x1, y2 - y1) >= MIN_POINT_DISTANCE * 2) {
+                this.emit({ op: 'add', stroke });
+                this.undoStack.push({ type: 'add', id: stroke.id });
+            } else {
+                this.layer.redraw();
+            }
+            return;
+        }
+
+        this.flushPoints();
+        this.current = null;
+    }
+
+    eraseAt(x, y) {
+        const ids = this.layer.hitTest(x, y, ERASER_RADIUS);
+        if (ids.length === 0) return;
+
+        ids.forEach(id => this.erased.push(this.layer.getStroke(id)));
+        this.emit({ op: 'remove', ids });
+    }
+
+    // Arrow and rectangle are only sent once the drag ends
+    drawPreview() {
+        this.layer.redraw();
+        AnnotationLayer.drawStroke(this.layer.ctx, this.current, this.canvas.width, this.canvas.height);
+    }
+
+    openTextInput(x, y) {
+        this.closeTextInput(true);
+
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'annotation-text-input';
+        input.maxLength = 200;
+        input.style.left = `${this.canvas.offsetLeft + x * this.canvas.offsetWidth}px`;
+        input.style.top = `${this.canvas.offsetTop + y * this.canvas.offsetHeight}px`;
+        input.style.color = this.color;
+        input.dataset.x = x;
+        input.dataset.y = y;
+
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') this.closeTextInput(true);
+            if (e.key === 'Escape') this.closeTextInput(false);
+        });
+        input.addEventListener('blur', () => this.closeTextInput(true));
+
+        this.canvas.parentElement.appendChild(input);
+        this.textInput = input;
+        setTimeout(() => input.focus(), 0);
+    }
+
+    closeTextInput(commit) {
+        const input = this.textInput;
+        if (!input) return;
+        this.textInput = null;
+
+        const text = input.value.trim();
+        input.remove();
+        if (!commit || !text) return;
+
+        const stroke = {
+            id: Utils.generateId(10),
+            tool: 'text',
+            color: this.color,
+            size: TOOL_SIZES.text,
+            points: [Number(input.dataset.x), Number(input.dataset.y)],
+            text
+        };
+        this.emit({ op: 'add', stroke });
+        this.undoStack.push({ type: 'add', id: stroke.id });
+    }
+}
+
+export default AnnotationTool;
@@ -1,4 +1,17 @@
 import ScreenCapture from './screenCapture.js';
+import WebRTCBroadcaster from './webrtcBroadcaster.js';
+import AnnotationTool from './annotationTool.js';
+import LaserPointer from './laserPointer.js';
+import ChatPanel from '../../shared/js/chatPanel.js';
+import QuestionBoard from '../../shared/js/questionBoard.js';
+import PollChart from '../../shared/js/pollChart.js';
+import QuizPanel from './quizPanel.js';
+import HandQueue from './handQueue.js';
+import ShareRequests from './shareRequests.js';
+import StudentGallery from './studentGallery.js';
+import MonitorGrid from './monitorGrid.js';
+import RosterPanel from './rosterPanel.js';
+import LobbyPanel from './lobbyPanel.js';
 
 /**
  * Main Lecturer Application
@@ -14,7 +27,22 @@ class LecturerApp {
     constructor() {
         this.socket = null;
         this.screenCapture = null;
+        this.webrtc = null;
+        this.annotationTool = null;
+        this.laserPointer = null;
+        this.chat = null;
+        this.questionBoard = null;
+        // Polls of this session by id, oldest first; the last one is shown as the current poll
+        this.polls = new Map();
+        this.pollDeadline = null;
+        this.pollTicker = null;
+        this.transport = 'relay'; // 'relay' (JPEG frames) or 'webrtc' (video track)
+        this.isRecording = false;
+        this.isAnnotating = false;
+        this.isLaserOn = false;
         this.studentCount = 0;
+        // Student whose screen the class is watching instead of ours
+        this.presenter = null;
         this.isSharing = false;
         this.fpsCounter = new FPSCounter();
         this.dataSent = 0; // Track data sent in bytes
@@ -29,14 +57,21 @@ class LecturerApp {
         // Do not pause sharing when the lecturer tab loses visibility by default
         this.pauseOnHide = false;
         this.isSocketConnected = false;
+        // Join code of the lecture room; kept across reloads so students stay in the same room
+        this.sessionCode = sessionStorage.getItem('lecturerSessionCode');
+        // Proves this page owns the room, so a reconnect takes it back instead of starting a new one
+        this.sessionToken = sessionStorage.getItem('lecturerSessionToken');
+        // Signed token from /api/lecturer/login, required to identify as lecturer
+        this.authToken = sessionStorage.getItem('lecturerToken');
     }
 
     initialize() {
         try {
             this.initializeUI();
-            this.initializeSocket();
+            this.initializeLogin();
             this.setupVisibilityChangeHandler();
             this.startRealtimeClock();
+            this.startKeepAlive();
             this.updateStatus('Ready to share', 'ready');
         } catch (error) {
             console.error('Initialization error:', error);
@@ -60,6 +95,14 @@ class LecturerApp {
         setInterval(updateClock, 1000);
     }
 
+    // The server disconnects clients idle past its session timeout. This page usually sits in the
+    // background while the lecturer presents, so it checks in whether or not it is visible
+    startKeepAlive() {
+        setInterval(() => {
+            if (this.socket && this.socket.connected) this.socket.emit('ping');
+        }, 60000);
+    }
+
     initializeUI() {
         try {
             // Set up event listeners for UI controls
@@ -68,6 +111,8 @@ class LecturerApp {
             this.qualitySlider = document.getElementById('qualitySlider');
             this.fpsSlider = document.getElementById('fpsSlider');
             this.autoAdjustCheckbox = document.getElementById('autoAdjustQuality');
+            this.transportSelect = document.getElementById('transportSelect');
+            this.recordButton = document.getElementById('recordToggle');
             
             this.startButton.addEventListener('click', () => this.startSharing());
             this.stopButton.addEventListener('click', () => this.stopSharing());
@@ -88,6 +133,30 @@ class LecturerApp {
                 }
             });
 
+            // WebRTC mode is optional; the JPEG relay keeps working for everyone else
+            if (!Utils.supportsWebRTC()) {
+                this.transportSelect.querySelector('option[value="webrtc"]').disabled = true;
+            }
+            this.transportSelect.addEventListener('change', (e) => {
+                this.setTransport(e.target.value);
+            });
+
+            this.recordButton.addEventListener('click', () => this.toggleRecording());
+            this.initializeAnnotationToolbar();
+            this.initializeChat();
+            this.initializeQuestions();
+            this.initializePolls();
+            this.initializeQuizzes();
+            this.initializeHands();
+            this.initializeShareRequests();
+            this.initializeStudentGallery();
+            this.initializeMonitoring();
+            this.initializeRoster();
+            this.initializeLobby();
+            document.getElementById('presentStopBtn').addEventListener('click', () => {
+                if (this.socket) this.socket.emit('present-stop');
+            });
+
             // Initialize video elements
             this.videoElement = document.getElementById('previewVideo');
             this.canvas = document.getElementById('previewCanvas');
@@ -102,6 +171,67 @@ class LecturerApp {
         }
     }
 
+    initializeLogin() {
+        const loginForm = document.getElementById('loginForm');
+        loginForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.login(
+                document.getElementById('lecturerPin').value,
+                document.getElementById('lecturerName').value
+            );
+        });
+
+        if (this.authToken) {
+            this.initializeSocket();
+        } else {
+            this.showLoginPanel();
+        }
+    }
+
+    async login(pin, name) {
+        const loginError = document.getElementById('loginError');
+        loginError.textContent = '';
+
+        try {
+            const response = await fetch('/api/lecturer/login', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ pin, name })
+            });
+            const result = await response.json().catch(() => ({}));
+
+            if (!response.ok) {
+                loginError.textContent = result.error || `Login failed (${response.status})`;
+                return;
+            }
+
+            this.authToken = result.token;
+            sessionStorage.setItem('lecturerToken', result.token);
+            document.getElementById('lecturerPin').value = '';
+            this.hideLoginPanel();
+
+            if (this.socket) {
+                this.socket.connect();
+            } else {
+                this.initializeSocket();
+            }
+        } catch (error) {
+            console.error('Login error:', error);
+            loginError.textContent = 'Could not reach the server';
+        }
+    }
+
+    showLoginPanel(message = '') {
+        document.getElementById('loginError').textContent = message;
+        document.getElementById('loginPanel').style.display = 'flex';
+        document.getElementById('lecturerPin').focus();
+        this.updateStatus('Login required', 'disconnected');
+    }
+
+    hideLoginPanel() {
+        document.getElementById('loginPanel').style.display = 'none';
+    }
+
     initializeSocket() {
         try {
             // Connect to WebSocket server with reconnection options
@@ -124,14 +254,179 @@ class LecturerApp {
                 this.socket.emit('identify', { 
                     type: 'lecturer', 
                     name: 'Lecturer',
+                    code: this.sessionCode,
+                    sessionToken: this.sessionToken,
+                    // A reloaded page has stopped sharing, so the server drops the old screen
+                    sharing: this.isSharing,
+                    token: this.authToken,
                     timestamp: Date.now()
                 });
             });
 
+            // Token missing, forged or expired: log in again
+            this.socket.on('auth-error', (data) => {
+                console.warn('Lecturer authentication failed:', data.message);
+                this.authToken = null;
+                sessionStorage.removeItem('lecturerToken');
+                this.stopSharing();
+                this.socket.disconnect();
+                this.showLoginPanel(data.message);
+            });
+
+            // Another window with this session's token (a duplicated tab) took the lecture over
+            this.socket.on('session-taken-over', () => {
+                console.warn('Lecture room taken over by another window');
+                this.sessionCode = null;
+                this.sessionToken = null;
+                sessionStorage.removeItem('lecturerSessionCode');
+                sessionStorage.removeItem('lecturerSessionToken');
+                this.stopSharing();
+                this.socket.disconnect();
+                this.updateStatus('This lecture continues in another window', 'disconnected');
+                this.showNotification('This lecture was taken over by another window', 'error');
+            });
+
+            // WebRTC signaling, relayed by the server
+            this.socket.on('webrtc-request', (data) => {
+                if (this.webrtc) {
+                    this.webrtc.handleRequest(data.studentId);
+                }
+            });
+
+            this.socket.on('webrtc-signal', (data) => {
+                if (this.webrtc) {
+                    this.webrtc.handleSignal(data);
+                }
+            });
+
+            this.socket.on('webrtc-peer-left', (data) => {
+                if (this.webrtc) {
+                    this.webrtc.removePeer(data.studentId);
+                }
+            });
+
+            // Session recording, written to disk by the server
+            this.socket.on('recording-status', (data) => {
+                this.updateRecordingStatus(data);
+            });
+
+            this.socket.on('recording-saved', (data) => {
+                this.showNotification(`Recording saved (${data.frameCount} frames)`, 'success');
+                this.showRecordingLink(data.id);
+            });
+
+            this.socket.on('recording-error', (data) => {
+                this.showNotification(data.message, 'error');
+            });
+
+            // Session chat; the history is resent whenever the room is (re)joined
+            this.socket.on('chat-history', (data) => {
+                this.chat.setMessages(data.messages);
+                data.messages.forEach(message => this.addChatRecipient(message));
+                document.getElementById('publicChatToggle').checked = data.publicEnabled;
+            });
+
+            this.socket.on('chat-message', (message) => {
+                if (!this.chat.add(message) || message.from !== 'student') return;
+                this.addChatRecipient(message);
+                this.showNotification(`💬 ${message.name || 'Student'}: ${message.text.slice(0, 80)}`, 'info');
+            });
+
+            this.socket.on('chat-settings', (data) => {
+                document.getElementById('publicChatToggle').checked = data.publicEnabled;
+            });
+
+            this.socket.on('chat-error', (data) => {
+                this.showNotification(data.message, 'error');
+            });
+
+            // Q&A board; the full state arrives whenever the room is (re)joined
+            this.socket.on('questions-state', (data) => {
+                this.questionBoard.setQuestions(data.questions);
+                this.updateOpenQuestionCount();
+            });
+
+            this.socket.on('question', (question) => {
+                if (this.questionBoard.update(question)) {
+                    this.showNotification(`❓ New question: ${question.text.slice(0, 80)}`, 'info');
+                }
+                this.updateOpenQuestionCount();
+            });
+
+            // Live polls; votes arrive as updated counts
+            this.socket.on('polls-state', (data) => {
+                this.polls = new Map(data.polls.map(poll => [poll.id, poll]));
+                this.renderPolls();
+            });
+
+            this.socket.on('poll', (poll) => {
+                this.polls.set(poll.id, poll);
+                this.renderPolls();
+            });
+
+            this.socket.on('poll-error', (data) => {
+                this.showNotification(data.message, 'error');
+            });
+
+            // Graded quizzes; each hand-in updates the leaderboard
+            this.socket.on('quizzes-state', (data) => {
+                this.quizPanel.setQuizzes(data.quizzes);
+            });
+
+            this.socket.on('quiz', (quiz) => {
+                this.quizPanel.update(quiz);
+            });
+
+            this.socket.on('quiz-error', (data) => {
+                this.showNotification(data.message, 'error');
+            });
+
+            // A student (or the server, for late joiners) needs a full frame to build on
+            this.socket.on('keyframe-request', () => {
+                if (this.screenCapture) {
+                    this.screenCapture.requestKeyframe();
+                }
+            });
+
+            // Room created (or resumed) for this lecturer
+            this.socket.on('session-created', (data) => {
+                console.log('🏫 Lecture room ready:', data.code);
+                this.sessionCode = data.code;
+                this.sessionToken = data.sessionToken;
+                sessionStorage.setItem('lecturerSessionCode', data.code);
+                sessionStorage.setItem('lecturerSessionToken', data.sessionToken);
+                this.updateSessionInfo();
+                this.recordButton.disabled = false;
+                this.setChatEnabled(true);
+                document.getElementById('pollStart').disabled = false;
+                this.quizPanel.setEnabled(true);
+                this.monitorGrid.setEnabled(true);
+                this.rosterPanel.setEnabled(true);
+                this.lobbyPanel.setEnabled(true);
+                // Anything sent while disconnected was lost; resync students
+                if (this.screenCapture) {
+                    this.screenCapture.requestKeyframe();
+                }
+                if (this.webrtc) {
+                    this.webrtc.restart();
+                }
+                if (this.annotationTool && this.isSharing) {
+                    this.annotationTool.resync();
+                }
+            });
+
             // Handle disconnection
             this.socket.on('disconnect', (reason) => {
                 console.log('Disconnected:', reason);
                 this.isSocketConnected = false;
+                this.recordButton.disabled = true;
+                this.setChatEnabled(false);
+                document.getElementById('pollStart').disabled = true;
+                this.quizPanel.setEnabled(false);
+                this.monitorGrid.setEnabled(false);
+                this.rosterPanel.setEnabled(false);
+                this.lobbyPanel.setEnabled(false);
+                this.studentGallery.clearSpotlight();
                 this.updateStatus('Disconnected from server', 'disconnected');
                 if (reason === 'io server disconnect') {
                     // Server forced disconnection, need to manually reconnect
@@ -158,16 +453,79 @@ class LecturerApp {
                 this.updateStatsUI();
             });
 
+            // The class roster and who on it is here; students not on it are flagged
+            this.socket.on('roster-state', (state) => {
+                const added = this.rosterPanel.setState(state);
+                added.unknown.forEach(student => {
+                    this.showNotification(`⚠️ ${student.name || 'Student'} (${student.registration || 'no registration number'}) is not on the roster`, 'info');
+                });
+                added.duplicates.forEach(duplicate => {
+                    const names = duplicate.students.map(student => student.name || 'Student').join(' and ');
+                    this.showNotification(`⚠️ ${names} have both entered registration number ${duplicate.registration}`, 'info');
+                });
+            });
+
+            // Students waiting to be let in, and those already in the lecture
+            this.socket.on('lobby-state', (state) => {
+                const added = this.lobbyPanel.setState(state);
+                added.forEach(student => {
+                    this.showNotification(`🚪 ${Utils.studentLabel(student)} is waiting in the lobby`, 'info');
+                });
+            });
+
+            this.socket.on('attendance-log', (log) => {
+                this.rosterPanel.exportAttendance(log);
+            });
+
+            // Students must be approved before their screens are relayed
+            this.socket.on('share-requests', (data) => {
+                const added = this.shareRequests.setShares(data.shares);
+                added.forEach(share => {
+                    this.showNotification(`📺 ${Utils.studentLabel(share)} wants to share their screen`, 'info');
+                });
+                this.studentGallery.setShares(data.shares);
+            });
+
+            // Lab monitoring: who agreed, and their latest thumbnails
+            this.socket.on('monitoring-state', (state) => {
+                this.monitorGrid.setState(state);
+            });
+
+            this.socket.on('monitor-thumbnail', (data) => {
+                this.monitorGrid.showThumbnail(data);
+            });
+
+            // Whose screen the class is watching: ours, or a presenting student's
+            this.socket.on('presenter-changed', (data) => {
+                this.presenter = data.presenter;
+                this.updatePresenter();
+            });
+
             // Handle student screen data
-            this.socket.on('student-screen-update', (data) => {
+            this.socket.on('student-screen-update', (data, ack) => {
                 console.log('📺 Lecturer received student screen:', data.studentId);
-                this.displayStudentScreen(data);
+                try {
+                    this.studentGallery.showFrame(data);
+                } finally {
+                    // Frees the server to send this student's next frame
+                    if (typeof ack === 'function') ack();
+                }
+            });
+
+            // Per-student relay health
+            this.socket.on('relay-stats', (data) => {
+                this.updateRelayStats(data.students || []);
             });
 
             // Handle student raised hand
             this.socket.on('student-raised-hand', (data) => {
                 console.log('✋ Student raised hand:', data.name);
-                this.showNotification(`${data.name || 'Student'} raised their hand`, 'info');
+                this.showNotification(`${Utils.studentLabel(data)} raised their hand`, 'info');
+            });
+
+            // The raised-hand queue is kept by the server and resent whenever it changes
+            this.socket.on('hands-state', (data) => {
+                this.handQueue.setHands(data.hands);
             });
 
             // Handle student lowered hand
@@ -178,7 +536,7 @@ class LecturerApp {
             // Handle student reactions
             this.socket.on('student-reaction', (data) => {
                 console.log('😂 Received student reaction:', data.emoji);
-                this.showReactionBubble(data.emoji, data.studentId);
+                this.showReactionBubble(data.emoji, data);
             });
 
             // Handle errors
@@ -309,6 +667,33 @@ class LecturerApp {
             this.screenCapture.startCapture();
             console.log('✅ startCapture called successfully');
 
+            if (this.transport === 'webrtc') {
+                this.startWebRTC();
+            }
+
+            // Annotations are drawn over the preview and sent as vector strokes
+            if (!this.annotationTool) {
+                this.annotationTool = new AnnotationTool({
+                    socket: this.socket,
+                    canvas: document.getElementById('annotationCanvas'),
+                    getFrameId: () => (this.screenCapture ? this.screenCapture.frameId - 1 : undefined)
+                });
+            }
+            this.annotationTool.socket = this.socket;
+            this.annotationTool.attach(this.videoElement);
+            document.getElementById('annotateToggle').disabled = false;
+
+            // The laser pointer uses the same overlay as its pointing surface
+            if (!this.laserPointer) {
+                this.laserPointer = new LaserPointer({
+                    socket: this.socket,
+                    surface: document.getElementById('annotationCanvas')
+                });
+                this.laserPointer.setShowClicks(document.getElementById('laserClicks').checked);
+            }
+            this.laserPointer.socket = this.socket;
+            document.getElementById('laserToggle').disabled = false;
+
             // Handle when user stops sharing from browser UI
             track.onended = () => {
                 this.stopSharing();
@@ -324,6 +709,15 @@ class LecturerApp {
     stopSharing() {
         if (!this.isSharing) return;
 
+        this.stopWebRTC();
+        this.setLaser(false);
+        this.setAnnotating(false);
+        document.getElementById('annotateToggle').disabled = true;
+        document.getElementById('laserToggle').disabled = true;
+        if (this.annotationTool) {
+            this.annotationTool.reset();
+        }
+
         // Stop screen capture
         if (this.screenCapture) {
             this.screenCapture.stopScreenCapture();
@@ -343,6 +737,11 @@ class LecturerApp {
         this.videoElement.srcObject = null;
         this.videoElement.style.display = 'none';
 
+        // Let students know the screen is no longer live
+        if (this.socket && this.socket.connected) {
+            this.socket.emit('screen-share-stopped');
+        }
+
         // Update UI
         this.isSharing = false;
         this.startButton.disabled = false;
@@ -350,6 +749,404 @@ class LecturerApp {
         this.updateStatus('Ready to share', 'ready');
     }
 
+    setTransport(transport) {
+        this.transport = transport;
+        if (!this.isSharing) return;
+
+        if (transport === 'webrtc') {
+            this.startWebRTC();
+        } else {
+            this.stopWebRTC();
+        }
+    }
+
+    startWebRTC() {
+        if (this.webrtc || !this.stream) return;
+
+        // JPEG capture keeps running: it feeds students that cannot use WebRTC
+        this.webrtc = new WebRTCBroadcaster({
+            socket: this.socket,
+            stream: this.stream,
+            onPeerCountChange: (count) => {
+                document.getElementById('webrtcPeers').textContent = `${count} on WebRTC`;
+            }
+        });
+        this.webrtc.start();
+    }
+
+    stopWebRTC() {
+        if (!this.webrtc) return;
+
+        this.webrtc.stop();
+        this.webrtc = null;
+        document.getElementById('webrtcPeers').textContent = '';
+    }
+
+    initializeAnnotationToolbar() {
+        const toggle = document.getElementById('annotateToggle');
+        const toolButtons = document.querySelectorAll('#annotationToolbar [data-tool]');
+
+        toggle.addEventListener('click', () => this.setAnnotating(!this.isAnnotating));
+        document.getElementById('laserToggle').addEventListener('click', () => this.setLaser(!this.isLaserOn));
+        document.getElementById('laserClicks').addEventListener('change', (e) => {
+            if (this.laserPointer) this.laserPointer.setShowClicks(e.target.checked);
+        });
+
+        toolButtons.forEach(button => {
+            button.addEventListener('click', () => {
+                toolButtons.forEach(b => b.classList.toggle('active', b === button));
+                if (this.annotationTool) this.annotationTool.setTool(button.dataset.tool);
+                this.setAnnotating(true);
+            });
+        });
+
+        document.getElementById('annotationColor').addEventListener('input', (e) => {
+            if (this.annotationTool) this.annotationTool.setColor(e.target.value);
+        });
+        document.getElementById('annotationUndo').addEventListener('click', () => {
+            if (this.annotationTool) this.annotationTool.undo();
+        });
+        document.getElementById('annotationClear').addEventListener('click', () => {
+            if (this.annotationTool) this.annotationTool.clear();
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (this.isAnnotating && (e.ctrlKey || e.metaKey) && e.key === 'z') {
+                e.preventDefault();
+                this.annotationTool.undo();
+            }
+        });
+    }
+
+    initializeChat() {
+        this.chat = new ChatPanel({
+            viewer: 'lecturer',
+            list: document.getElementById('chatMessages'),
+            form: document.getElementById('chatForm'),
+            input: document.getElementById('chatInput'),
+            recipient: document.getElementById('chatRecipient'),
+            onSend: (text, to) => {
+                if (this.socket && this.socket.connected) {
+                    this.socket.emit('chat-send', { text, to });
+                }
+            },
+            // Replies go privately to the student who wrote the message
+            onReply: (message) => {
+                this.addChatRecipient(message);
+                document.getElementById('chatRecipient').value = message.studentId;
+                this.chat.focus();
+            }
+        });
+
+        document.getElementById('publicChatToggle').addEventListener('change', (e) => {
+            if (this.socket && this.socket.connected) {
+                this.socket.emit('chat-settings', { publicEnabled: e.target.checked });
+            }
+        });
+    }
+
+    initializeQuestions() {
+        this.questionBoard = new QuestionBoard({
+            viewer: 'lecturer',
+            list: document.getElementById('questionList'),
+            onAction: (id, action) => {
+                if (this.socket && this.socket.connected) {
+                    this.socket.emit('question-update', { id, action });
+                }
+            }
+        });
+        this.questionBoard.render();
+
+        document.getElementById('showAnsweredQuestions').addEventListener('change', (e) => {
+            this.questionBoard.setShowAnswered(e.target.checked);
+        });
+        document.getElementById('exportQuestions').addEventListener('click', () => this.exportQuestions());
+    }
+
+    updateOpenQuestionCount() {
+        const open = this.questionBoard.getOpenCount();
+        document.getElementById('openQuestionCount').textContent = open > 0 ? `(${open} open)` : '';
+    }
+
+    // Every question of the session, dismissed ones included, as a CSV download
+    exportQuestions() {
+        const questions = this.questionBoard.getQuestions();
+        if (questions.length === 0) {
+            this.showNotification('No questions to export yet', 'info');
+            return;
+        }
+
+        const rows = [['Question', 'Asked by', 'Votes', 'Status', 'Pinned', 'Asked at', 'Answered at']];
+        questions.forEach(q => rows.push([
+            q.text,
+            q.anonymous ? 'Anonymous' : q.name,
+            q.votes,
+            q.status,
+            q.pinned ? 'yes' : 'no',
+            q.askedAt,
+            q.answeredAt || ''
+        ]));
+        const date = new Date().toISOString().slice(0, 10);
+        Utils.downloadFile(`questions-${this.sessionCode || 'session'}-${date}.csv`, Utils.toCSV(rows));
+    }
+
+    initializeHands() {
+        this.handQueue = new HandQueue({
+            list: document.getElementById('handList'),
+            count: document.getElementById('handCount'),
+            onAction: (studentId, action) => {
+                if (this.socket) this.socket.emit('hand-update', { studentId, action });
+            }
+        });
+        this.handQueue.render();
+
+        document.getElementById('lowerAllHands').addEventListener('click', () => {
+            if (this.socket) this.socket.emit('hands-clear');
+        });
+    }
+
+    initializeShareRequests() {
+        this.shareRequests = new ShareRequests({
+            panel: document.getElementById('sharePanel'),
+            list: document.getElementById('shareList'),
+            onAction: (studentId, action) => {
+                if (this.socket) this.socket.emit('share-update', { studentId, action });
+            }
+        });
+    }
+
+    initializeMonitoring() {
+        this.monitorGrid = new MonitorGrid({
+            toggle: document.getElementById('monitorToggle'),
+            summary: document.getElementById('monitorSummary'),
+            grid: document.getElementById('monitorGrid'),
+            onToggle: (start) => {
+                if (this.socket) this.socket.emit(start ? 'monitoring-start' : 'monitoring-stop');
+            }
+        });
+        this.monitorGrid.setState({ active: false, students: [] });
+    }
+
+    initializeRoster() {
+        this.rosterPanel = new RosterPanel({
+            onImport: (students) => {
+                if (this.socket) this.socket.emit('roster-set', { students });
+                this.showNotification(`📋 Roster of ${students.length} students imported`, 'info');
+            },
+            onClear: () => {
+                if (this.socket) this.socket.emit('roster-clear');
+            },
+            onExportAttendance: (minMinutes) => {
+                if (this.socket) this.socket.emit('attendance-request', { minMinutes });
+            },
+            onError: (message) => this.showNotification(message, 'error')
+        });
+    }
+
+    initializeLobby() {
+        this.lobbyPanel = new LobbyPanel({
+            onToggle: (enabled) => {
+                if (this.socket) this.socket.emit('lobby-settings', { enabled });
+            },
+            onAction: (studentId, action) => {
+                if (this.socket) this.socket.emit(`lobby-${action}`, { studentId });
+            },
+            onAdmitAll: () => {
+                if (this.socket) this.socket.emit('lobby-admit', { all: true });
+            }
+        });
+    }
+
+    initializeStudentGallery() {
+        this.studentGallery = new StudentGallery({
+            container: document.getElementById('studentScreensContainer'),
+            grid: document.getElementById('studentScreens'),
+            onPresent: (studentId) => this.togglePresenting(studentId),
+            onSpotlight: (studentId) => {
+                if (this.socket) this.socket.emit('spotlight', { studentId });
+            }
+        });
+    }
+
+    initializeQuizzes() {
+        this.quizPanel = new QuizPanel({
+            onStart: (quiz) => {
+                if (this.socket && this.socket.connected) this.socket.emit('quiz-start', quiz);
+            },
+            onEnd: (id) => {
+                if (this.socket) this.socket.emit('quiz-end', { id });
+            },
+            onError: (message) => this.showNotification(message, 'error'),
+            getStudentCount: () => this.studentCount
+        });
+    }
+
+    initializePolls() {
+        this.activePollChart = new PollChart(document.getElementById('activePollChart'));
+        const typeSelect = document.getElementById('pollType');
+        const optionsInput = document.getElementById('pollOptions');
+
+        // Only multiple choice needs answers typed in
+        typeSelect.addEventListener('change', () => {
+            optionsInput.style.display = typeSelect.value === 'choice' ? '' : 'none';
+        });
+
+        document.getElementById('pollForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            if (!this.socket || !this.socket.connected) return;
+
+            const questionInput = document.getElementById('pollQuestion');
+            const duration = parseInt(document.getElementById('pollDuration').value, 10);
+            this.socket.emit('poll-start', {
+                question: questionInput.value,
+                type: typeSelect.value,
+                options: optionsInput.value.split('\n').map(option => option.trim()).filter(Boolean),
+                duration: Number.isNaN(duration) ? null : duration
+            });
+            questionInput.value = '';
+            optionsInput.value = '';
+        });
+
+        document.getElementById('pollCloseBtn').addEventListener('click', () => {
+            const poll = this.getCurrentPoll();
+            if (poll && this.socket) this.socket.emit('poll-close', { id: poll.id });
+        });
+        document.getElementById('pollRevealBtn').addEventListener('click', () => {
+            const poll = this.getCurrentPoll();
+            if (poll && this.socket) this.socket.emit('poll-reveal', { id: poll.id });
+        });
+    }
+
+    getCurrentPoll() {
+        const polls = Array.from(this.polls.values());
+        return polls[polls.length - 1] || null;
+    }
+
+    renderPolls() {
+        const current = this.getCurrentPoll();
+        document.getElementById('activePoll').style.display = current ? 'block' : 'none';
+
+        clearInterval(this.pollTicker);
+        this.pollTicker = null;
+        if (current) {
+            document.getElementById('activePollQuestion').textContent = current.question;
+            this.activePollChart.render(current);
+            document.getElementById('pollCloseBtn').disabled = current.status !== 'open';
+            const revealButton = document.getElementById('pollRevealBtn');
+            revealButton.disabled = current.revealed;
+            revealButton.textContent = current.revealed ? 'Results shown to students' : 'Show results to students';
+
+            this.pollDeadline = current.remaining !== null ? Date.now() + current.remaining : null;
+            this.updatePollStatus();
+            if (this.pollDeadline) {
+                this.pollTicker = setInterval(() => this.updatePollStatus(), 1000);
+            }
+        }
+
+        // Earlier polls keep their final results for the rest of the session
+        const earlier = Array.from(this.polls.values()).slice(0, -1).reverse();
+        const history = document.getElementById('pollHistory');
+        history.innerHTML = '';
+        earlier.forEach(poll => {
+            const item = document.createElement('li');
+            const question = document.createElement('div');
+            question.className = 'poll-history-question';
+            question.textContent = `${poll.question} (${poll.totalVotes} votes)`;
+            const chart = document.createElement('div');
+            chart.className = 'poll-chart';
+            new PollChart(chart).render(poll);
+            item.append(question, chart);
+            history.appendChild(item);
+        });
+        document.getElementById('pollHistoryContainer').style.display = earlier.length > 0 ? 'block' : 'none';
+    }
+
+    updatePollStatus() {
+        const poll = this.getCurrentPoll();
+        if (!poll) return;
+
+        let status = poll.status === 'open'
+            ? `${poll.totalVotes} of ${this.studentCount} voted`
+            : `Closed · ${poll.totalVotes} votes`;
+        if (poll.status === 'open' && this.pollDeadline) {
+            status += ` · ${Utils.formatCountdown(this.pollDeadline - Date.now())} left`;
+        }
+        document.getElementById('activePollStatus').textContent = status;
+    }
+
+    setChatEnabled(enabled) {
+        document.getElementById('chatInput').disabled = !enabled;
+        document.getElementById('chatSend').disabled = !enabled;
+    }
+
+    // Students who have written can be answered privately
+    addChatRecipient(message) {
+        if (message.from !== 'student' || !message.studentId) return;
+
+        const select = document.getElementById('chatRecipient');
+        if (Array.from(select.options).some(option => option.value === message.studentId)) return;
+
+        const option = document.createElement('option');
+        option.value = message.studentId;
+        option.textContent = `🔒 ${message.name || 'Student'} (${message.studentId.slice(0, 4)})`;
+        select.appendChild(option);
+    }
+
+    setAnnotating(enabled) {
+        // Drawing and pointing share the overlay, so only one can be on
+        if (enabled) this.setLaser(false);
+        this.isAnnotating = enabled && !!this.annotationTool && this.isSharing;
+        if (this.annotationTool) {
+            this.annotationTool.setEnabled(this.isAnnotating);
+        }
+        document.getElementById('annotateToggle').classList.toggle('active', this.isAnnotating);
+        document.getElementById('annotationToolbar').classList.toggle('annotating', this.isAnnotating);
+    }
+
+    setLaser(enabled) {
+        if (enabled) this.setAnnotating(false);
+        this.isLaserOn = enabled && !!this.laserPointer && this.isSharing;
+        if (this.laserPointer) {
+            this.laserPointer.setEnabled(this.isLaserOn);
+        }
+        document.getElementById('laserToggle').classList.toggle('active', this.isLaserOn);
+    }
+
+    toggleRecording() {
+        if (!this.socket || !this.socket.connected) return;
+        this.socket.emit(this.isRecording ? 'recording-stop' : 'recording-start');
+    }
+
+    updateRecordingStatus(data) {
+        this.isRecording = data.recording;
+        this.recordButton.textContent = data.recording ? '⏹ Stop Recording' : '⏺ Start Recording';
+        this.recordButton.classList.toggle('recording', data.recording);
+        if (data.recording) {
+            const started = new Date(data.startedAt).toLocaleTimeString();
+            document.getElementById('recordingInfo').textContent = `● Recording since ${started}`;
+        }
+    }
+
+    showRecordingLink(recordingId) {
+        const info = document.getElementById('recordingInfo');
+        info.textContent = '';
+        const link = document.createElement('a');
+        link.href = `/replay?id=${encodeURIComponent(recordingId)}`;
+        link.target = '_blank';
+        link.textContent = 'Open replay';
+        info.appendChild(link);
+    }
+
+    updateSessionInfo() {
+        const sessionInfo = document.getElementById('sessionInfo');
+        if (!sessionInfo || !this.sessionCode) return;
+
+        document.getElementById('joinCode').textContent = this.sessionCode;
+        document.getElementById('joinLink').textContent =
+            `${window.location.origin}/student?code=${this.sessionCode}`;
+        sessionInfo.style.display = 'block';
+    }
+
     updateStatsUI() {
         // Update data sent
         document.getElementById('dataSent').textContent = 
@@ -359,80 +1156,73 @@ class LecturerApp {
         document.getElementById('studentCount').textContent = this.studentCount;
     }
 
-    displayStudentScreen(data) {
-        const container = document.getElementById('studentScreens');
-        const mainContainer = document.getElementById('studentScreensContainer');
-        
-        if (!container || !mainContainer) return;
-
-        // Show student screens container
-        mainContainer.style.display = 'block';
-
-        // Get or create student screen element
-        let studentScreenDiv = document.getElementById(`student-screen-${data.studentId}`);
-        if (!studentScreenDiv) {
-            studentScreenDiv = document.createElement('div');
-            studentScreenDiv.id = `student-screen-${data.studentId}`;
-            studentScreenDiv.style.cssText = `
-                border: 2px solid #FDB913;
-                border-radius: 8px;
-                overflow: hidden;
-                background: #000;
-                display: flex;
-                flex-direction: column;
-            `;
-            
-            const title = document.createElement('div');
-            title.style.cssText = `
-                background: linear-gradient(135deg, #003D82, #0055B8);
-                color: white;
-                padding: 8px 12px;
-                font-size: 12px;
-                font-weight: 600;
-            `;
-            title.textContent = `Student Screen (${data.studentId.slice(0, 8)})`;
-            
-            const imageDiv = document.createElement('div');
-            imageDiv.style.cssText = `
-                flex: 1;
-                display: flex;
-                align-items: center;
-                justify-content: center;
-                aspect-ratio: 16/9;
-            `;
-            
-            const image = document.createElement('img');
-            image.style.cssText = `
-                max-width: 100%;
-                max-height: 100%;
-                object-fit: contain;
-            `;
-            imageDiv.appendChild(image);
-            
-            studentScreenDiv.appendChild(title);
-            studentScreenDiv.appendChild(imageDiv);
-            container.appendChild(studentScreenDiv);
+    updateRelayStats(students) {
+        const totalDropped = students.reduce((sum, s) => sum + s.framesDropped, 0);
+        document.getElementById('droppedFrames').textContent = totalDropped;
+
+        // List students who are missing frames, worst first
+        const list = document.getElementById('relayStats');
+        if (!list) return;
+        const struggling = students
+            .filter(s => s.framesDropped > 0)
+            .sort((a, b) => b.framesDropped - a.framesDropped);
+
+        list.innerHTML = '';
+        struggling.forEach(s => {
+            const item = document.createElement('li');
+            const share = s.framesSent + s.framesDropped > 0
+                ? Math.round((s.framesDropped / (s.framesSent + s.framesDropped)) * 100)
+                : 0;
+            item.textContent = `${Utils.studentLabel(s)}: ${s.framesDropped} dropped (${share}%)`;
+            list.appendChild(item);
+        });
+        list.style.display = struggling.length > 0 ? 'block' : 'none';
+    }
+
+    togglePresenting(studentId) {
+        if (!this.socket) return;
+        if (this.presenter && this.presenter.studentId === studentId) {
+            this.socket.emit('present-stop');
+        } else {
+            this.socket.emit('present-student', { studentId });
         }
+    }
 
-        // Update image
-        const image = studentScreenDiv.querySelector('img');
-        if (image) {
-            image.src = data.image;
+    // Show who the class is watching and label each tile's button to match
+    updatePresenter() {
+        const banner = document.getElementById('presenterBanner');
+        const presenterId = this.presenter ? this.presenter.studentId : null;
+        if (banner) {
+            banner.style.display = this.presenter ? 'flex' : 'none';
+            document.getElementById('presenterText').textContent = this.presenter
+                ? `📺 The class is watching ${this.presenter.name || 'a student'}'s screen (${presenterId.slice(0, 8)})`
+                : '';
         }
+        this.studentGallery.setPresenter(presenterId);
     }
 
-    showReactionBubble(emoji, studentId) {
+    showReactionBubble(emoji, student) {
         const bubble = document.createElement('div');
         bubble.style.cssText = `
             position: fixed;
             bottom: 100px;
             right: 20px;
             font-size: 48px;
+            text-align: center;
             animation: floatUp 2s ease-out forwards;
             z-index: 1000;
             pointer-events: none;
         `;
         bubble.textContent = emoji;
+        // Who sent it, small under the emoji
+        const sender = document.createElement('div');
+        sender.style.cssText = `
+            font-size: 12px;
+            font-weight: 600;
+            color: #003D82;
+        `;
+        sender.textContent = Utils.studentLabel(student);
+        bubble.appendChild(sender);
         
         document.body.appendChild(bubble);
         
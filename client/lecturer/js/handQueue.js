@@ -0,0 +1,109 @@
+/**
+ * Hand Queue for Lecturer
+ * Lists raised hands in the order they went up, with how long each student
+ * has been waiting. The queue itself lives on the server, so it comes back
+ * after a page reload.
+ */
+
+const STATUS_LABELS = {
+    waiting: 'Waiting',
+    acknowledged: '👀 Seen',
+    called: '🎤 Speaking'
+};
+
+class HandQueue {
+    /**
+     * @param {Object} options
+     * @param {HTMLElement} options.list - Element the queue is rendered into
+     * @param {HTMLElement} options.count - Badge showing how many hands are up
+     * @param {Function} options.onAction - Called with (studentId, action)
+     */
+    constructor(options = {}) {
+        this.list = options.list;
+        this.count = options.count;
+        this.onAction = options.onAction;
+        this.hands = [];
+        this.ticker = null;
+    }
+
+    /**
+     * Replace the queue with the server's latest
+     * @param {Array} hands - Queue entries, oldest first, each with the ms waited so far
+     */
+    setHands(hands) {
+        const now = Date.now();
+        this.hands = hands.map(hand => ({ ...hand, raisedAt: now - hand.waited }));
+        this.render();
+
+        clearInterval(this.ticker);
+        this.ticker = this.hands.length > 0 ? setInterval(() => this.updateWaited(), 1000) : null;
+    }
+
+    render() {
+        this.count.textContent = this.hands.length;
+        this.count.style.display = this.hands.length > 0 ? 'inline-block' : 'none';
+        this.list.innerHTML = '';
+
+        if (this.hands.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'question-empty';
+            empty.textContent = 'No hands raised';
+            this.list.appendChild(empty);
+            return;
+        }
+        this.hands.forEach((hand, index) => this.list.appendChild(this.renderHand(hand, index)));
+        this.updateWaited();
+    }
+
+    renderHand(hand, index) {
+        const item = document.createElement('li');
+        item.className = `hand ${hand.status}${hand.online ? '' : ' offline'}`;
+
+        const position = document.createElement('span');
+        position.className = 'hand-position';
+        position.textContent = index + 1;
+
+        const body = document.createElement('div');
+        body.className = 'hand-body';
+        const name = document.createElement('div');
+        name.className = 'hand-name';
+        name.textContent = Utils.studentLabel(hand);
+        const meta = document.createElement('div');
+        meta.className = 'question-meta';
+        const status = document.createElement('span');
+        status.textContent = `${STATUS_LABELS[hand.status]}${hand.online ? '' : ' · offline'} · `;
+        const waited = document.createElement('span');
+        waited.className = 'hand-waited';
+        waited.dataset.raisedAt = hand.raisedAt;
+        meta.append(status, waited);
+        body.append(name, meta);
+
+        const actions = document.createElement('div');
+        actions.className = 'question-actions';
+        const buttons = [
+            hand.status === 'waiting' ? ['acknowledge', '👀 Seen'] : null,
+            hand.status !== 'called' ? ['call', '🎤 Call on'] : null,
+            ['lower', 'Lower']
+        ].filter(Boolean);
+        buttons.forEach(([action, label]) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'question-action';
+            button.textContent = label;
+            button.addEventListener('click', () => this.onAction(hand.studentId, action));
+            actions.appendChild(button);
+        });
+
+        item.append(position, body, actions);
+        return item;
+    }
+
+    updateWaited() {
+        const now = Date.now();
+        this.list.querySelectorAll('.hand-waited').forEach(element => {
+            element.textContent = `waiting ${Utils.formatCountdown(now - Number(element.dataset.raisedAt))}`;
+        });
+    }
+}
+
+export default HandQueue;
@@ -0,0 +1,90 @@
+/**
+ * Laser Pointer for Lecturer
+ * Sends the pointer position over the preview to students as normalized
+ * coordinates on a lightweight 'pointer' event, separate from screen frames.
+ * Updates are volatile: a stale position is worthless, so none are queued.
+ */
+
+const SEND_INTERVAL = 33; // ~30 updates per second
+
+const round = (value) => Math.round(Math.min(1, Math.max(0, value)) * 10000) / 10000;
+
+class LaserPointer {
+    constructor(options = {}) {
+        this.socket = options.socket;
+        this.surface = options.surface; // element the lecturer points at
+        this.enabled = false;
+        this.showClicks = true;
+        this.lastSent = 0;
+        this.pending = null;
+        this.sendTimer = null;
+
+        this.surface.addEventListener('pointermove', (e) => this.onMove(e));
+        this.surface.addEventListener('pointerdown', (e) => this.onDown(e));
+        this.surface.addEventListener('pointerleave', () => this.onLeave());
+    }
+
+    setEnabled(enabled) {
+        if (this.enabled && !enabled) {
+            this.send({ hidden: true });
+        }
+        this.enabled = enabled;
+        this.surface.classList.toggle('active', enabled);
+        this.surface.classList.toggle('laser', enabled);
+    }
+
+    setShowClicks(showClicks) {
+        this.showClicks = showClicks;
+    }
+
+    position(event) {
+        const rect = this.surface.getBoundingClientRect();
+        return {
+            x: round((event.clientX - rect.left) / rect.width),
+            y: round((event.clientY - rect.top) / rect.height)
+        };
+    }
+
+    onMove(event) {
+        if (!this.enabled) return;
+
+        // Throttle, but always deliver the latest position
+        this.pending = this.position(event);
+        const wait = SEND_INTERVAL - (performance.now() - this.lastSent);
+        if (wait <= 0) {
+            this.flush();
+        } else if (!this.sendTimer) {
+            this.sendTimer = setTimeout(() => this.flush(), wait);
+        }
+    }
+
+    onDown(event) {
+        if (!this.enabled || !this.showClicks) return;
+        this.pending = null;
+        this.send({ ...this.position(event), click: true });
+    }
+
+    onLeave() {
+        if (!this.enabled) return;
+        this.pending = null;
+        this.send({ hidden: true });
+    }
+
+    flush() {
+        clearTimeout(this.sendTimer);
+        this.sendTimer = null;
+        if (this.pending) {
+            this.send(this.pending);
+            this.pending = null;
+        }
+    }
+
+    send(data) {
+        this.lastSent = performance.now();
+        if (this.socket && this.socket.connected) {
+            this.socket.volatile.emit('pointer', data);
+        }
+    }
+}
+
+export default LaserPointer;
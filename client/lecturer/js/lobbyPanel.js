@@ -0,0 +1,124 @@
+/**
+ * Lobby (Waiting Room) for Lecturer
+ * With the lobby on, students who join wait outside until they are let in,
+ * one at a time or all together. Students already in the lecture are listed
+ * too, so one can be sent back to wait. The waiting room lives on the server
+ * and comes back after a page reload.
+ */
+
+const byId = (id) => document.getElementById(id);
+
+class LobbyPanel {
+    /**
+     * @param {Object} options
+     * @param {Function} options.onToggle - Called with true to switch the lobby on, false to switch it off
+     * @param {Function} options.onAction - Called with (studentId, action): 'admit', 'deny' or 'remove'
+     * @param {Function} options.onAdmitAll - Called when the lecturer lets everyone in
+     */
+    constructor(options = {}) {
+        this.onToggle = options.onToggle;
+        this.onAction = options.onAction;
+        this.onAdmitAll = options.onAdmitAll;
+        this.enabled = false;
+        this.waiting = [];
+        this.admitted = [];
+        this.ticker = null;
+
+        byId('lobbyToggle').addEventListener('click', () => this.onToggle(!this.enabled));
+        byId('lobbyAdmitAll').addEventListener('click', () => this.onAdmitAll());
+        this.render();
+    }
+
+    setEnabled(enabled) {
+        byId('lobbyToggle').disabled = !enabled;
+        byId('lobbyAdmitAll').disabled = !enabled || this.waiting.length === 0;
+    }
+
+    /**
+     * Replace the lists with the server's latest
+     * @param {Object} state - { enabled, waiting, admitted }; waiting entries carry the ms waited so far
+     * @returns {Array} Students who started waiting since the last update
+     */
+    setState(state) {
+        const known = new Set(this.waiting.map(student => student.studentId));
+        const now = Date.now();
+        this.enabled = state.enabled;
+        this.waiting = state.waiting.map(student => ({ ...student, since: now - student.waited }));
+        this.admitted = state.admitted;
+        this.render();
+
+        clearInterval(this.ticker);
+        this.ticker = this.waiting.length > 0 ? setInterval(() => this.updateWaited(), 1000) : null;
+        return this.waiting.filter(student => !known.has(student.studentId));
+    }
+
+    render() {
+        const toggle = byId('lobbyToggle');
+        toggle.textContent = this.enabled ? '🔓 Switch lobby off' : '🚪 Switch lobby on';
+        toggle.classList.toggle('active', this.enabled);
+        byId('lobbyAdmitAll').disabled = toggle.disabled || this.waiting.length === 0;
+
+        const count = byId('lobbyCount');
+        count.textContent = this.waiting.length;
+        count.style.display = this.waiting.length > 0 ? 'inline-block' : 'none';
+
+        byId('lobbySummary').textContent = this.enabled
+            ? `${this.waiting.length} waiting · ${this.admitted.length} in the lecture`
+            : 'Lobby off: students go straight into the lecture. Switch it on to let them in yourself.';
+
+        const list = byId('lobbyList');
+        list.innerHTML = '';
+        if (!this.enabled && this.waiting.length === 0) return;
+
+        this.waiting.forEach(student => {
+            list.appendChild(this.renderStudent(student, 'waiting', [['admit', '✅ Let in'], ['deny', 'Deny']]));
+        });
+        this.admitted.forEach(student => {
+            list.appendChild(this.renderStudent(student, 'called', [['remove', '🚪 Move to lobby']]));
+        });
+        this.updateWaited();
+    }
+
+    renderStudent(student, className, buttons) {
+        const item = document.createElement('li');
+        item.className = `hand ${className}${student.unknown ? ' unknown' : ''}`;
+
+        const body = document.createElement('div');
+        body.className = 'hand-body';
+        const name = document.createElement('div');
+        name.className = 'hand-name';
+        name.textContent = Utils.studentLabel(student);
+        const meta = document.createElement('div');
+        meta.className = 'question-meta';
+        if (student.since !== undefined) {
+            meta.classList.add('lobby-waited');
+            meta.dataset.since = student.since;
+        } else {
+            meta.textContent = '● In the lecture';
+        }
+        body.append(name, meta);
+
+        const actions = document.createElement('div');
+        actions.className = 'question-actions';
+        buttons.forEach(([action, label]) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'question-action';
+            button.textContent = label;
+            button.addEventListener('click', () => this.onAction(student.studentId, action));
+            actions.appendChild(button);
+        });
+
+        item.append(body, actions);
+        return item;
+    }
+
+    updateWaited() {
+        const now = Date.now();
+        byId('lobbyList').querySelectorAll('.lobby-waited').forEach(element => {
+            element.textContent = `⏳ waiting ${Utils.formatCountdown(now - Number(element.dataset.since))}`;
+        });
+    }
+}
+
+export default LobbyPanel;
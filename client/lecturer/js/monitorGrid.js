@@ -0,0 +1,156 @@
+/**
+ * Lab Monitoring Grid for Lecturer
+ * While monitoring is on, every student in the room gets a tile: the latest
+ * thumbnail of their screen once they have agreed, or what they answered.
+ * Students choose whether to take part, so a tile never shows a picture
+ * after its student has stopped.
+ */
+
+// Thumbnails come every few seconds; missing three in a row means the student's page has stalled
+const STALE_AFTER = 15000;
+
+const STATUS_LABELS = {
+    asked: '⏳ Not answered yet',
+    declined: 'Declined',
+    stopped: '⏹ Stopped sharing'
+};
+
+class MonitorGrid {
+    /**
+     * @param {Object} options
+     * @param {HTMLElement} options.toggle - Starts or stops monitoring
+     * @param {HTMLElement} options.summary - How many students are sending thumbnails
+     * @param {HTMLElement} options.grid - Element the tiles are rendered into
+     * @param {Function} options.onToggle - Called with true to start monitoring, false to stop
+     */
+    constructor(options = {}) {
+        this.toggle = options.toggle;
+        this.summary = options.summary;
+        this.grid = options.grid;
+        this.onToggle = options.onToggle;
+        this.active = false;
+        this.tiles = new Map();
+        this.ticker = null;
+
+        this.toggle.addEventListener('click', () => this.onToggle(!this.active));
+    }
+
+    setEnabled(enabled) {
+        this.toggle.disabled = !enabled;
+    }
+
+    /**
+     * Match the tiles to the server's latest state
+     * @param {Object} state
+     * @param {boolean} state.active - Whether monitoring is on
+     * @param {Array} state.students - Everyone in the room, each with their answer
+     */
+    setState(state) {
+        this.active = !!state.active;
+        const students = this.active ? state.students : [];
+        const present = new Set(students.map(student => student.studentId));
+
+        Array.from(this.tiles.keys())
+            .filter(studentId => !present.has(studentId))
+            .forEach(studentId => this.removeTile(studentId));
+        students.forEach(student => {
+            const tile = this.tiles.get(student.studentId) || this.addTile(student);
+            tile.name.textContent = Utils.studentLabel(student);
+            tile.status = student.status;
+            if (student.status !== 'accepted') this.clearImage(tile);
+        });
+
+        const sending = students.filter(student => student.status === 'accepted').length;
+        this.toggle.textContent = this.active ? '⏹ Stop monitoring' : '👁 Start monitoring';
+        this.summary.textContent = this.active
+            ? `${sending} of ${students.length} student${students.length === 1 ? '' : 's'} sharing a thumbnail`
+            : 'Students are asked before anything is sent, and can stop at any time.';
+        this.grid.style.display = this.tiles.size > 0 ? 'grid' : 'none';
+
+        clearInterval(this.ticker);
+        this.ticker = this.active ? setInterval(() => this.updateStatuses(), 1000) : null;
+        this.updateStatuses();
+    }
+
+    addTile(student) {
+        const element = document.createElement('div');
+        element.className = 'student-tile monitor-tile';
+
+        const header = document.createElement('div');
+        header.className = 'student-tile-header';
+        const name = document.createElement('span');
+        name.className = 'student-tile-name';
+        const label = document.createElement('span');
+        label.className = 'student-tile-status';
+        header.append(name, label);
+
+        const screen = document.createElement('div');
+        screen.className = 'student-tile-screen';
+        const image = document.createElement('img');
+        image.alt = '';
+        const placeholder = document.createElement('span');
+        placeholder.className = 'student-tile-placeholder';
+        screen.append(image, placeholder);
+
+        element.append(header, screen);
+        this.grid.appendChild(element);
+
+        const tile = { element, name, label, image, placeholder, status: student.status, objectUrl: null, lastThumbnailAt: null };
+        this.tiles.set(student.studentId, tile);
+        return tile;
+    }
+
+    removeTile(studentId) {
+        const tile = this.tiles.get(studentId);
+        if (!tile) return;
+        this.clearImage(tile);
+        tile.element.remove();
+        this.tiles.delete(studentId);
+    }
+
+    showThumbnail(data) {
+        const tile = this.tiles.get(data.studentId);
+        if (!tile || tile.status !== 'accepted' || !data.image) return;
+
+        // Release the previous thumbnail's object URL
+        const previousUrl = tile.objectUrl;
+        const url = Utils.frameToURL(data.image, data.mimeType);
+        tile.image.src = url;
+        tile.objectUrl = url.startsWith('blob:') ? url : null;
+        if (previousUrl) URL.revokeObjectURL(previousUrl);
+
+        tile.lastThumbnailAt = Date.now();
+        this.updateStatus(tile);
+    }
+
+    clearImage(tile) {
+        if (tile.objectUrl) URL.revokeObjectURL(tile.objectUrl);
+        tile.objectUrl = null;
+        tile.lastThumbnailAt = null;
+        tile.image.removeAttribute('src');
+    }
+
+    updateStatuses() {
+        this.tiles.forEach(tile => this.updateStatus(tile));
+    }
+
+    updateStatus(tile) {
+        const waited = tile.lastThumbnailAt === null ? null : Date.now() - tile.lastThumbnailAt;
+        const sending = tile.status === 'accepted';
+        const stale = sending && waited !== null && waited > STALE_AFTER;
+
+        tile.element.classList.toggle('waiting', waited === null);
+        tile.element.classList.toggle('stale', stale || !sending);
+        if (!sending) {
+            tile.label.textContent = '';
+            tile.placeholder.textContent = STATUS_LABELS[tile.status] || '';
+        } else if (waited === null) {
+            tile.label.textContent = '● Sharing';
+            tile.placeholder.textContent = 'Waiting for the first thumbnail…';
+        } else {
+            tile.label.textContent = stale ? `⏸ Nothing for ${Utils.formatCountdown(waited)}` : '● Sharing';
+        }
+    }
+}
+
+export default MonitorGrid;
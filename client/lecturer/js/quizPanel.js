@@ -0,0 +1,311 @@
+/**
+ * Quiz Panel for Lecturer
+ * Builds a quiz (typed in, or loaded from a JSON file), then shows the live
+ * leaderboard and per-question breakdown while students answer. Quizzes use
+ * the same JSON shape the server accepts:
+ *
+ *   { "title": "Week 3", "timeLimit": 300, "questions": [
+ *       { "text": "2 + 2 = ?", "options": ["3", "4"], "answer": 1 },
+ *       { "text": "Capital of Uganda?", "answer": ["Kampala"] } ] }
+ *
+ * `answer` is the 0-based index of the correct option, or the accepted text(s).
+ */
+
+const byId = (id) => document.getElementById(id);
+
+class QuizPanel {
+    /**
+     * @param {Object} options
+     * @param {Function} options.onStart - Called with the quiz to start
+     * @param {Function} options.onEnd - Called with the id of the quiz to end
+     * @param {Function} options.onError - Called with a message for the lecturer
+     * @param {Function} options.getStudentCount - Students currently in the room
+     */
+    constructor(options = {}) {
+        this.onStart = options.onStart;
+        this.onEnd = options.onEnd;
+        this.onError = options.onError;
+        this.getStudentCount = options.getStudentCount;
+        this.draft = [];
+        this.quizzes = new Map(); // id -> lecturer view, oldest first
+        this.showingResults = false;
+        this.deadline = null;
+        this.ticker = null;
+
+        byId('quizQuestionForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.addQuestion();
+        });
+        byId('quizFile').addEventListener('change', (e) => this.loadFile(e.target.files[0]));
+        byId('quizSave').addEventListener('click', () => this.saveFile());
+        byId('quizStart').addEventListener('click', () => this.start());
+        byId('quizEnd').addEventListener('click', () => {
+            const quiz = this.getCurrentQuiz();
+            if (quiz) this.onEnd(quiz.id);
+        });
+        byId('quizExport').addEventListener('click', () => this.exportResults(this.getCurrentQuiz()));
+        byId('quizNew').addEventListener('click', () => {
+            this.showingResults = false;
+            this.render();
+        });
+        this.renderDraft();
+    }
+
+    setEnabled(enabled) {
+        byId('quizStart').disabled = !enabled || this.draft.length === 0;
+        this.enabled = enabled;
+    }
+
+    // Read the question form into the draft
+    addQuestion() {
+        const text = byId('quizQuestionText').value.trim();
+        const options = byId('quizQuestionOptions').value.split('\n').map(o => o.trim()).filter(Boolean);
+        const answerInput = byId('quizQuestionAnswer').value.trim();
+
+        let answer;
+        if (options.length > 0) {
+            const line = parseInt(answerInput, 10);
+            if (options.length < 2 || !(line >= 1 && line <= options.length)) {
+                this.onError(`Give at least two answers and the line number (1-${Math.max(options.length, 2)}) of the correct one`);
+                return;
+            }
+            answer = line - 1;
+        } else {
+            answer = answerInput.split('|').map(a => a.trim()).filter(Boolean);
+            if (answer.length === 0) {
+                this.onError('Give the answer to accept');
+                return;
+            }
+        }
+
+        this.draft.push(options.length > 0 ? { text, options, answer } : { text, answer });
+        byId('quizQuestionForm').reset();
+        this.renderDraft();
+    }
+
+    async loadFile(file) {
+        if (!file) return;
+        try {
+            const data = JSON.parse(await file.text());
+            const questions = Array.isArray(data) ? data : data.questions;
+            if (!Array.isArray(questions) || questions.length === 0) {
+                throw new Error('no questions');
+            }
+            this.draft = questions;
+            if (data.title) byId('quizTitle').value = data.title;
+            if (Number.isInteger(data.timeLimit)) this.setTimeLimit(data.timeLimit);
+            this.renderDraft();
+        } catch (error) {
+            console.error('Quiz file error:', error);
+            this.onError('That file is not a quiz (expected JSON with a "questions" list)');
+        } finally {
+            byId('quizFile').value = '';
+        }
+    }
+
+    setTimeLimit(seconds) {
+        const select = byId('quizTimeLimit');
+        if (!Array.from(select.options).some(option => Number(option.value) === seconds)) {
+            const option = document.createElement('option');
+            option.value = seconds;
+            option.textContent = `${Utils.formatCountdown(seconds * 1000)} (from file)`;
+            select.appendChild(option);
+        }
+        select.value = String(seconds);
+    }
+
+    getDraftQuiz() {
+        return {
+            title: byId('quizTitle').value.trim() || 'Quiz',
+            timeLimit: parseInt(byId('quizTimeLimit').value, 10),
+            questions: this.draft
+        };
+    }
+
+    saveFile() {
+        if (this.draft.length === 0) {
+            this.onError('Add some questions first');
+            return;
+        }
+        const quiz = this.getDraftQuiz();
+        const name = quiz.title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'quiz';
+        Utils.downloadFile(`${name}.json`, JSON.stringify(quiz, null, 2), 'application/json');
+    }
+
+    start() {
+        if (this.draft.length === 0) return;
+        this.onStart(this.getDraftQuiz());
+    }
+
+    renderDraft() {
+        const list = byId('quizDraft');
+        list.innerHTML = '';
+        this.draft.forEach((question, index) => {
+            const item = document.createElement('li');
+            const text = document.createElement('span');
+            const correct = Array.isArray(question.options)
+                ? question.options[question.answer]
+                : [].concat(question.answer).join(' / ');
+            text.textContent = `${question.text} → ${correct}`;
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.className = 'question-action';
+            remove.textContent = 'Remove';
+            remove.addEventListener('click', () => {
+                this.draft.splice(index, 1);
+                this.renderDraft();
+            });
+            item.append(text, remove);
+            list.appendChild(item);
+        });
+        byId('quizStart').disabled = !this.enabled || this.draft.length === 0;
+    }
+
+    setQuizzes(quizzes) {
+        this.quizzes = new Map(quizzes.map(quiz => [quiz.id, quiz]));
+        const current = this.getCurrentQuiz();
+        this.showingResults = !!current && current.status === 'open';
+        this.render();
+    }
+
+    update(quiz) {
+        const isNew = !this.quizzes.has(quiz.id);
+        this.quizzes.set(quiz.id, quiz);
+        if (isNew) this.showingResults = true;
+        this.render();
+    }
+
+    getCurrentQuiz() {
+        const quizzes = Array.from(this.quizzes.values());
+        return quizzes[quizzes.length - 1] || null;
+    }
+
+    render() {
+        const quiz = this.getCurrentQuiz();
+        const showResults = this.showingResults && !!quiz;
+        byId('quizBuilder').style.display = showResults ? 'none' : 'block';
+        byId('quizLive').style.display = showResults ? 'block' : 'none';
+
+        clearInterval(this.ticker);
+        this.ticker = null;
+        if (showResults) {
+            byId('quizLiveTitle').textContent = quiz.title;
+            byId('quizEnd').disabled = quiz.status !== 'open';
+            byId('quizNew').disabled = quiz.status === 'open';
+            this.renderLeaderboard(quiz);
+            this.renderBreakdown(quiz);
+
+            this.deadline = quiz.remaining !== null ? Date.now() + quiz.remaining : null;
+            this.updateStatus();
+            if (this.deadline) {
+                this.ticker = setInterval(() => this.updateStatus(), 1000);
+            }
+        }
+        this.renderHistory();
+    }
+
+    updateStatus() {
+        const quiz = this.getCurrentQuiz();
+        if (!quiz) return;
+
+        byId('quizLiveStatus').textContent = quiz.status === 'open'
+            ? `${quiz.submissionCount} of ${this.getStudentCount()} handed in · ${Utils.formatCountdown(this.deadline - Date.now())} left`
+            : `Closed · ${quiz.submissionCount} handed in`;
+    }
+
+    renderLeaderboard(quiz) {
+        const body = byId('quizLeaderboard');
+        body.innerHTML = '';
+        quiz.leaderboard.forEach((entry, index) => {
+            const row = document.createElement('tr');
+            [
+                index + 1,
+                QuizPanel.studentLabel(entry),
+                `${entry.score} / ${quiz.maxScore}`,
+                Utils.formatCountdown(entry.duration)
+            ].forEach(value => {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                row.appendChild(cell);
+            });
+            body.appendChild(row);
+        });
+    }
+
+    renderBreakdown(quiz) {
+        const list = byId('quizBreakdown');
+        list.innerHTML = '';
+        quiz.questions.forEach((question, index) => {
+            const stats = quiz.breakdown[index];
+            const item = document.createElement('li');
+            const title = document.createElement('div');
+            title.className = 'quiz-breakdown-question';
+            title.textContent = `${question.text} (answer: ${question.correctAnswer})`;
+            const summary = document.createElement('div');
+            summary.className = 'quiz-breakdown-stats';
+            const share = stats.answered > 0 ? Math.round((stats.correct / stats.answered) * 100) : 0;
+            const wrong = stats.commonWrong.map(w => `"${w.answer}" ×${w.count}`).join(', ');
+            summary.textContent = `${stats.correct} of ${stats.answered} correct (${share}%)${wrong ? ` · common wrong answers: ${wrong}` : ''}`;
+            item.append(title, summary);
+            list.appendChild(item);
+        });
+    }
+
+    renderHistory() {
+        const earlier = Array.from(this.quizzes.values()).slice(0, -1).reverse();
+        const list = byId('quizHistory');
+        list.innerHTML = '';
+        earlier.forEach(quiz => {
+            const item = document.createElement('li');
+            const text = document.createElement('span');
+            text.textContent = `${quiz.title} · ${quiz.submissionCount} handed in`;
+            const exportButton = document.createElement('button');
+            exportButton.type = 'button';
+            exportButton.className = 'question-action';
+            exportButton.textContent = '⬇ CSV';
+            exportButton.addEventListener('click', () => this.exportResults(quiz));
+            item.append(text, exportButton);
+            list.appendChild(item);
+        });
+        byId('quizHistoryContainer').style.display = earlier.length > 0 ? 'block' : 'none';
+    }
+
+    // One row per student, keyed by name and registration number
+    exportResults(quiz) {
+        if (!quiz || quiz.leaderboard.length === 0) {
+            this.onError('Nobody has handed in this quiz yet');
+            return;
+        }
+
+        const header = ['Rank', 'Name', 'Registration number', 'Score', 'Max score', 'Time taken (s)', 'Submitted at'];
+        quiz.questions.forEach((question, index) => {
+            header.push(`Q${index + 1} answer`, `Q${index + 1} correct`);
+        });
+        const rows = [header];
+        quiz.leaderboard.forEach((entry, rank) => {
+            const row = [
+                rank + 1,
+                entry.name,
+                entry.registration || '',
+                entry.score,
+                quiz.maxScore,
+                Math.round(entry.duration / 1000),
+                entry.submittedAt
+            ];
+            entry.answers.forEach((answer, index) => row.push(answer, entry.correct[index] ? 'yes' : 'no'));
+            rows.push(row);
+        });
+
+        const name = quiz.title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'quiz';
+        Utils.downloadFile(`${name}-results-${quiz.startedAt.slice(0, 10)}.csv`, Utils.toCSV(rows));
+    }
+
+    // Names are not unique, so the lecturer also sees a short id
+    static studentLabel(entry) {
+        const name = entry.name || 'Student';
+        if (entry.registration) return `${name} (${entry.registration})`;
+        return entry.studentId ? `${name} (${entry.studentId.slice(0, 4)})` : name;
+    }
+}
+
+export default QuizPanel;
@@ -0,0 +1,184 @@
+/**
+ * Class Roster and Attendance for Lecturer
+ * Imports the class list from CSV and shows who on it is here. Students are
+ * matched by registration number on the server; anyone who joins without
+ * matching the roster is listed first and flagged, as is a registration
+ * number claimed by two students at once. The server also keeps
+ * every join and leave, which is exported here as the attendance sheet.
+ */
+
+const byId = (id) => document.getElementById(id);
+
+class RosterPanel {
+    /**
+     * @param {Object} options
+     * @param {Function} options.onImport - Called with the parsed [{ name, registration }]
+     * @param {Function} options.onClear - Called when the lecturer clears the roster
+     * @param {Function} options.onExportAttendance - Called with the minutes that count as present, or null for the server default
+     * @param {Function} options.onError - Called with a message when a file cannot be read
+     */
+    constructor(options = {}) {
+        this.onImport = options.onImport;
+        this.onClear = options.onClear;
+        this.onExportAttendance = options.onExportAttendance;
+        this.onError = options.onError;
+        this.students = [];
+        this.unknown = [];
+        this.duplicates = [];
+
+        byId('rosterFile').addEventListener('change', (e) => this.loadFile(e.target.files[0]));
+        byId('rosterClear').addEventListener('click', () => {
+            if (this.students.length > 0 && confirm('Clear the class roster?')) this.onClear();
+        });
+        byId('attendanceExport').addEventListener('click', () => {
+            const minutes = byId('attendanceMinutes').value;
+            this.onExportAttendance(minutes === '' ? null : Number(minutes));
+        });
+        this.render();
+    }
+
+    setEnabled(enabled) {
+        byId('rosterFile').disabled = !enabled;
+        byId('rosterClear').disabled = !enabled;
+        byId('attendanceExport').disabled = !enabled;
+    }
+
+    /**
+     * Save the server's attendance log as CSV, one row per student
+     * @param {Object} log - { code, startedAt, minMinutes, records }
+     */
+    exportAttendance(log) {
+        if (log.records.length === 0) {
+            this.onError('Nobody has joined yet');
+            return;
+        }
+
+        const onRoster = (value) => (value === null ? '' : value ? 'yes' : 'no');
+        const attended = (record) => {
+            if (record.present) return 'Present';
+            return record.visits > 0 ? `Under ${log.minMinutes} min` : 'Absent';
+        };
+        const status = (record) => `${attended(record)}${record.duplicate ? ' (registration number already in use)' : ''}`;
+        const rows = [['Name', 'Registration number', 'On roster', 'First seen', 'Last seen', 'Minutes present', 'Visits', 'Status']];
+        log.records.forEach(record => {
+            rows.push([
+                record.name,
+                record.registration || '',
+                onRoster(record.onRoster),
+                record.firstSeen || '',
+                record.lastSeen || '',
+                record.minutes,
+                record.visits,
+                status(record)
+            ]);
+        });
+
+        Utils.downloadFile(`attendance-${log.code}-${log.startedAt.slice(0, 10)}.csv`, Utils.toCSV(rows));
+    }
+
+    /**
+     * Replace the list with the server's latest
+     * @returns {Object} { unknown, duplicates }: students not on the roster, and registration
+     * numbers claimed by more than one student, that were not flagged before
+     */
+    setState(state) {
+        const known = new Set(this.unknown.map(student => student.studentId));
+        const claimed = new Set(this.duplicates.map(duplicate => duplicate.registration));
+        this.students = state.students;
+        this.unknown = state.unknown;
+        this.duplicates = state.duplicates || [];
+        this.render();
+        return {
+            unknown: this.students.length > 0 ? this.unknown.filter(student => !known.has(student.studentId)) : [],
+            duplicates: this.duplicates.filter(duplicate => !claimed.has(duplicate.registration))
+        };
+    }
+
+    async loadFile(file) {
+        if (!file) return;
+        try {
+            const students = RosterPanel.parseRoster(Utils.parseCSV(await file.text()));
+            if (students.length === 0) throw new Error('no students');
+            this.onImport(students);
+        } catch (error) {
+            console.error('Roster file error:', error);
+            this.onError('That file is not a roster (expected CSV with name and registration number columns)');
+        } finally {
+            byId('rosterFile').value = '';
+        }
+    }
+
+    render() {
+        const here = this.students.filter(student => student.online).length;
+        byId('rosterSummary').textContent = this.students.length > 0
+            ? `${here} of ${this.students.length} here${this.unknown.length > 0 ? ` · ${this.unknown.length} not on the roster` : ''}`
+            : 'No roster loaded. Import a CSV with name and registration number columns to check who joins.';
+
+        const list = byId('rosterList');
+        list.innerHTML = '';
+        this.duplicates.forEach(duplicate => {
+            const names = duplicate.students.map(student => student.name || 'Student').join(', ');
+            list.appendChild(this.renderStudent(
+                { name: names, registration: duplicate.registration },
+                'unknown',
+                `⚠️ ${duplicate.students.length} students share this registration number`
+            ));
+        });
+        this.unknown.forEach(student => list.appendChild(this.renderStudent(student, 'unknown', '⚠️ Not on the roster')));
+        // Absent students after those who are here, each group in roster order
+        [...this.students.filter(student => student.online), ...this.students.filter(student => !student.online)]
+            .forEach(student => {
+                list.appendChild(this.renderStudent(student, student.online ? 'called' : 'offline', student.online ? '● Here' : 'Not here'));
+            });
+    }
+
+    renderStudent(student, className, status) {
+        const item = document.createElement('li');
+        item.className = `hand ${className}`;
+
+        const body = document.createElement('div');
+        body.className = 'hand-body';
+        const name = document.createElement('div');
+        name.className = 'hand-name';
+        name.textContent = `${student.name || 'Student'}${student.registration ? ` (${student.registration})` : ''}`;
+        const meta = document.createElement('div');
+        meta.className = 'question-meta';
+        meta.textContent = status;
+        body.append(name, meta);
+
+        item.appendChild(body);
+        return item;
+    }
+
+    /**
+     * Read roster rows: a header row names the columns ("Name", "Registration
+     * number", or "First name" and "Last name"); without one, the columns are
+     * taken to be name then registration number
+     * @param {Array<Array<string>>} rows - CSV rows
+     * @returns {Array<{name: string, registration: string}>}
+     */
+    static parseRoster(rows) {
+        if (rows.length === 0) return [];
+
+        const header = rows[0].map(cell => cell.trim().toLowerCase());
+        const find = (pattern) => header.findIndex(cell => pattern.test(cell));
+        const registration = find(/reg|matric|student\s*(id|no|number)|^id$/);
+        const first = find(/first|given/);
+        const last = find(/last|surname|family/);
+        const name = find(/name/);
+        const hasHeader = registration !== -1 && (name !== -1 || first !== -1);
+
+        const columns = hasHeader ? { registration, name, first, last } : { registration: 1, name: 0, first: -1, last: -1 };
+        const cell = (row, index) => (index === -1 ? '' : (row[index] || '').trim());
+        return rows.slice(hasHeader ? 1 : 0)
+            .map(row => ({
+                name: columns.first !== -1
+                    ? [cell(row, columns.first), cell(row, columns.last)].filter(Boolean).join(' ')
+                    : cell(row, columns.name),
+                registration: cell(row, columns.registration)
+            }))
+            .filter(student => student.registration);
+    }
+}
+
+export default RosterPanel;
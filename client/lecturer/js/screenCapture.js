@@ -17,6 +17,14 @@ class ScreenCapture {
             this.lastFrameTime = 0;
             this.framesSent = 0;
             this.totalDataSent = 0;
+            this.isProcessingFrame = false;
+            
+            // Tiled delta encoding state
+            this.previousPixels = null;
+            this.tileCanvas = null;
+            this.keyframeId = 0;
+            this.lastKeyframeTime = 0;
+            this.keyframeRequested = true;
             
             // Performance metrics
             this.metrics = {
@@ -35,12 +43,15 @@ class ScreenCapture {
                 fps: 24,
                 resolution: '720p',
                 isSharing: false,
-                useCompression: true,
                 captureMethod: 'canvas',
                 frameSkip: 0,
                 frameSkipCount: 0,
                 maxFrameSize: 1.5 * 1024 * 1024,
                 autoAdjustQuality: true,
+                // Send only changed tiles between periodic full keyframes
+                deltaMode: true,
+                tileSize: 128,
+                keyframeInterval: 10000,
                 // Do not auto-pause when page/tab is hidden by default
                 pauseOnHide: false
             };
@@ -65,6 +76,7 @@ class ScreenCapture {
             const fpsSlider = document.getElementById('fpsSlider');
             const resolutionSelect = document.getElementById('resolutionSelect');
             const autoAdjustCheckbox = document.getElementById('autoAdjustQuality');
+            const deltaModeCheckbox = document.getElementById('deltaMode');
             
             if (qualitySlider) {
                 qualitySlider.addEventListener('input', (e) => {
@@ -93,6 +105,14 @@ class ScreenCapture {
                     this.settings.autoAdjustQuality = e.target.checked;
                 });
             }
+            
+            if (deltaModeCheckbox) {
+                this.settings.deltaMode = deltaModeCheckbox.checked;
+                deltaModeCheckbox.addEventListener('change', (e) => {
+                    this.settings.deltaMode = e.target.checked;
+                    this.requestKeyframe();
+                });
+            }
         } catch (error) {
             console.error('Error in initSettings:', error);
             throw error;
@@ -271,6 +291,9 @@ class ScreenCapture {
         this.framesSent = 0;
         this.totalDataSent = 0;
         this.lastFrameTime = performance.now();
+        // Frame ids restart, so students need a fresh keyframe to build on
+        this.previousPixels = null;
+        this.keyframeRequested = true;
         
         // Clear any existing interval
         this.stopCapture();
@@ -331,8 +354,14 @@ class ScreenCapture {
             return null;
         }
         
+        // Tiles are diffed against the previous frame, so frames must be processed one at a time
+        if (this.isProcessingFrame) {
+            return null;
+        }
+        
         const captureStartTime = performance.now();
         let frameData = null;
+        this.isProcessingFrame = true;
         
         try {
             console.debug('captureAndProcessFrame: video size', {
@@ -363,29 +392,42 @@ class ScreenCapture {
                 return null;
             }
             
-            // Encode frame to JPEG
+            // Encode a full keyframe or just the tiles that changed
             const encodeStart = performance.now();
-            const imageData = await this.encodeFrame();
+            const encoded = await this.encodeFrame();
             const encodeTime = performance.now() - encodeStart;
 
-            console.debug('encodeFrame result length:', imageData ? (imageData.length || imageData.byteLength || 0) : 0);
+            console.debug('encodeFrame result:', encoded ? `${encoded.type}, ${encoded.size} bytes` : 'nothing to send');
             
-            if (!imageData) return null;
+            if (!encoded) return null;
             
             // Check frame size and adjust quality if needed
-            if (this.settings.autoAdjustQuality && imageData.length > this.settings.maxFrameSize) {
-                this.adjustQualityBasedOnSize(imageData.length);
+            if (this.settings.autoAdjustQuality && encoded.size > this.settings.maxFrameSize) {
+                this.adjustQualityBasedOnSize(encoded.size);
+                // The skipped frame's changes were never sent, so start over from a keyframe
+                this.keyframeRequested = true;
                 return null; // Skip this frame, next one will use adjusted quality
             }
             
+            const frameId = this.frameId++;
+            if (encoded.type === 'key') {
+                this.keyframeId = frameId;
+                this.lastKeyframeTime = performance.now();
+                this.keyframeRequested = false;
+            }
+            
             // Prepare frame data
             frameData = {
-                image: imageData,
-                frameId: this.frameId++,
+                type: encoded.type,
+                image: encoded.image,
+                tiles: encoded.tiles,
+                mimeType: 'image/jpeg',
+                frameId: frameId,
+                keyframeId: this.keyframeId,
                 timestamp: Date.now(),
                 captureTime: performance.now() - captureStartTime,
                 encodeTime: encodeTime,
-                size: imageData.length,
+                size: encoded.size,
                 resolution: {
                     width: this.canvasElement.width,
                     height: this.canvasElement.height
@@ -404,33 +446,123 @@ class ScreenCapture {
         } catch (error) {
             console.error('Error in captureAndProcessFrame:', error);
             this.metrics.droppedFrames++;
+            this.keyframeRequested = true;
             return null;
+        } finally {
+            this.isProcessingFrame = false;
         }
     }
     
+    /**
+     * Encode the current canvas
+     * @returns {Promise<Object|null>} A keyframe ({type: 'key', image, size}),
+     * a delta ({type: 'delta', tiles, size}) or null when there is nothing to send
+     */
     async encodeFrame() {
         try {
-            // Use web worker for encoding if available
-            if (window.Worker && this.settings.useCompression) {
-                return await this.encodeWithWorker();
-            } else {
-                // Fallback to canvas toDataURL
-                return this.canvasElement.toDataURL('image/jpeg', this.settings.quality);
+            if (!this.settings.deltaMode) {
+                this.previousPixels = null;
+                return await this.encodeKeyframe();
             }
+            
+            const changedTiles = this.detectChangedTiles();
+            if (changedTiles === null) {
+                return await this.encodeKeyframe();
+            }
+            if (changedTiles.length === 0) {
+                return null; // Nothing on screen changed
+            }
+            return await this.encodeTiles(changedTiles);
         } catch (error) {
             console.error('Error encoding frame:', error);
+            this.keyframeRequested = true;
             return null;
         }
     }
     
-    async encodeWithWorker() {
-        // Implement web worker for off-thread encoding
-        return new Promise((resolve) => {
-            // Fallback to canvas if worker fails
-            setTimeout(() => {
-                resolve(this.canvasElement.toDataURL('image/jpeg', this.settings.quality));
-            }, 0);
-        });
+    async encodeKeyframe() {
+        // toBlob encodes asynchronously and yields raw JPEG bytes, which
+        // Socket.IO sends as a binary attachment (no base64 overhead)
+        const image = await Utils.canvasToArrayBuffer(this.canvasElement, 'image/jpeg', this.settings.quality);
+        return image ? { type: 'key', image, size: image.byteLength } : null;
+    }
+    
+    /**
+     * Compare the canvas with the previous frame tile by tile
+     * @returns {Array|null} Changed tile rectangles, or null when a keyframe is due
+     */
+    detectChangedTiles() {
+        const { width, height } = this.canvasElement;
+        const pixels = new Uint32Array(this.ctx.getImageData(0, 0, width, height).data.buffer);
+        const previous = this.previousPixels;
+        this.previousPixels = pixels;
+        
+        const keyframeDue = this.keyframeRequested ||
+            performance.now() - this.lastKeyframeTime >= this.settings.keyframeInterval;
+        if (!previous || previous.length !== pixels.length || keyframeDue) {
+            return null;
+        }
+        
+        const size = this.settings.tileSize;
+        const changed = [];
+        let totalTiles = 0;
+        
+        for (let y = 0; y < height; y += size) {
+            for (let x = 0; x < width; x += size) {
+                totalTiles++;
+                const tile = { x, y, width: Math.min(size, width - x), height: Math.min(size, height - y) };
+                if (this.tileDiffers(pixels, previous, width, tile)) {
+                    changed.push(tile);
+                }
+            }
+        }
+        
+        // Past half the screen, one keyframe is cheaper than many tiles
+        return changed.length > totalTiles / 2 ? null : changed;
+    }
+    
+    tileDiffers(pixels, previous, stride, tile) {
+        for (let row = tile.y; row < tile.y + tile.height; row++) {
+            const start = row * stride + tile.x;
+            const end = start + tile.width;
+            for (let i = start; i < end; i++) {
+                if (pixels[i] !== previous[i]) return true;
+            }
+        }
+        return false;
+    }
+    
+    async encodeTiles(tiles) {
+        if (!this.tileCanvas) {
+            this.tileCanvas = document.createElement('canvas');
+        }
+        const tileCtx = this.tileCanvas.getContext('2d');
+        const encodedTiles = [];
+        let size = 0;
+        
+        for (const tile of tiles) {
+            this.tileCanvas.width = tile.width;
+            this.tileCanvas.height = tile.height;
+            tileCtx.drawImage(
+                this.canvasElement,
+                tile.x, tile.y, tile.width, tile.height,
+                0, 0, tile.width, tile.height
+            );
+            const image = await Utils.canvasToArrayBuffer(this.tileCanvas, 'image/jpeg', this.settings.quality);
+            if (!image) {
+                this.keyframeRequested = true;
+                return null;
+            }
+            encodedTiles.push({ ...tile, image });
+            size += image.byteLength;
+        }
+        
+        return { type: 'delta', tiles: encodedTiles, size };
+    }
+    
+    // Send a full frame next, e.g. when a student asks for one or after a reconnect
+    requestKeyframe() {
+        this.keyframeRequested = true;
     }
     
     sendFrame(frameData) {
@@ -441,21 +573,22 @@ class ScreenCapture {
 
         if (!this.socket.connected) {
             console.warn('⚠️ Socket not connected, attempting to reconnect...');
+            // Changes in this frame are lost, so resync with a keyframe
+            this.keyframeRequested = true;
             this.socket.connect();
             return;
         }
 
         try {
             // Debug: log frame send attempt
-            try {
-                const len = frameData.image ? (frameData.image.length || frameData.image.byteLength || 0) : 0;
-                console.debug(`➡️ Sending frame ${frameData.frameId}, size=${len}`);
-            } catch (logErr) {
-                console.debug('➡️ Sending frame (size unknown) frameId=', frameData.frameId);
-            }
+            console.debug(`➡️ Sending frame ${frameData.frameId}, size=${frameData.size}`);
             this.socket.emit('screen-data', {
+                type: frameData.type,
                 image: frameData.image,
+                tiles: frameData.tiles,
+                mimeType: frameData.mimeType,
                 frameId: frameData.frameId,
+                keyframeId: frameData.keyframeId,
                 timestamp: frameData.timestamp,
                 size: frameData.size,
                 quality: frameData.quality,
@@ -0,0 +1,71 @@
+/**
+ * Share Requests for Lecturer
+ * Students ask before sharing their screen; this lists the requests with
+ * approve/deny buttons, and running shares with a stop button.
+ */
+
+class ShareRequests {
+    /**
+     * @param {Object} options
+     * @param {HTMLElement} options.panel - Panel shown while there is anything to list
+     * @param {HTMLElement} options.list - Element the requests are rendered into
+     * @param {Function} options.onAction - Called with (studentId, 'approve'|'deny'|'stop')
+     */
+    constructor(options = {}) {
+        this.panel = options.panel;
+        this.list = options.list;
+        this.onAction = options.onAction;
+        this.shares = [];
+    }
+
+    /**
+     * Replace the list with the server's latest
+     * @returns {Array} Requests that were not listed before
+     */
+    setShares(shares) {
+        const known = new Set(this.shares.map(share => share.studentId));
+        this.shares = shares;
+        this.render();
+        return shares.filter(share => share.status === 'pending' && !known.has(share.studentId));
+    }
+
+    render() {
+        this.panel.style.display = this.shares.length > 0 ? 'block' : 'none';
+        this.list.innerHTML = '';
+        this.shares.forEach(share => this.list.appendChild(this.renderShare(share)));
+    }
+
+    renderShare(share) {
+        const item = document.createElement('li');
+        item.className = `hand ${share.status === 'approved' ? 'called' : 'waiting'}`;
+
+        const body = document.createElement('div');
+        body.className = 'hand-body';
+        const name = document.createElement('div');
+        name.className = 'hand-name';
+        name.textContent = Utils.studentLabel(share);
+        const meta = document.createElement('div');
+        meta.className = 'question-meta';
+        meta.textContent = share.status === 'approved' ? '📺 Sharing' : 'Asking to share their screen';
+        body.append(name, meta);
+
+        const actions = document.createElement('div');
+        actions.className = 'question-actions';
+        const buttons = share.status === 'approved'
+            ? [['stop', '⏹ Stop']]
+            : [['approve', '✓ Approve'], ['deny', 'Deny']];
+        buttons.forEach(([action, label]) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'question-action';
+            button.textContent = label;
+            button.addEventListener('click', () => this.onAction(share.studentId, action));
+            actions.appendChild(button);
+        });
+
+        item.append(body, actions);
+        return item;
+    }
+}
+
+export default ShareRequests;
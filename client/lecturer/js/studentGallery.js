@@ -0,0 +1,192 @@
+/**
+ * Student Screen Gallery for Lecturer
+ * One tile per running share, labelled with the student's name and whether
+ * their frames are still arriving. Sharers send small thumbnails; putting a
+ * student in the spotlight enlarges their tile and the server asks them for
+ * full-size frames until the spotlight moves on.
+ */
+
+// Thumbnails arrive about once a second, so a few missed ones mean the share has stalled
+const STALE_AFTER = 5000;
+
+class StudentGallery {
+    /**
+     * @param {Object} options
+     * @param {HTMLElement} options.container - Section shown while anyone is sharing
+     * @param {HTMLElement} options.grid - Element the tiles are rendered into
+     * @param {Function} options.onPresent - Called with the studentId whose present button was clicked
+     * @param {Function} options.onSpotlight - Called with the spotlighted studentId, or null
+     */
+    constructor(options = {}) {
+        this.container = options.container;
+        this.grid = options.grid;
+        this.onPresent = options.onPresent;
+        this.onSpotlight = options.onSpotlight;
+        this.tiles = new Map();
+        this.spotlight = null;
+        this.presenterId = null;
+        this.ticker = null;
+    }
+
+    /**
+     * Match the tiles to the server's list of shares: approved shares get a
+     * tile, and the tiles of shares that have ended are removed
+     */
+    setShares(shares) {
+        const approved = shares.filter(share => share.status === 'approved');
+        const running = new Set(approved.map(share => share.studentId));
+
+        Array.from(this.tiles.keys())
+            .filter(studentId => !running.has(studentId))
+            .forEach(studentId => this.removeTile(studentId));
+        approved.forEach(share => {
+            const tile = this.tiles.get(share.studentId);
+            if (tile) {
+                tile.name.textContent = Utils.studentLabel(share);
+            } else {
+                this.addTile(share);
+            }
+        });
+
+        // The server drops the spotlight itself when that share ends
+        if (this.spotlight && !running.has(this.spotlight)) this.spotlight = null;
+
+        this.container.style.display = this.tiles.size > 0 ? 'block' : 'none';
+        clearInterval(this.ticker);
+        this.ticker = this.tiles.size > 0 ? setInterval(() => this.updateStatuses(), 1000) : null;
+        this.updateStatuses();
+    }
+
+    addTile(share) {
+        const element = document.createElement('div');
+        element.className = 'student-tile';
+
+        const header = document.createElement('div');
+        header.className = 'student-tile-header';
+        const name = document.createElement('span');
+        name.className = 'student-tile-name';
+        name.textContent = Utils.studentLabel(share);
+        const status = document.createElement('span');
+        status.className = 'student-tile-status';
+
+        const actions = document.createElement('div');
+        actions.className = 'student-tile-actions';
+        const spotlightButton = document.createElement('button');
+        spotlightButton.type = 'button';
+        spotlightButton.className = 'present-btn';
+        spotlightButton.addEventListener('click', () => this.toggleSpotlight(share.studentId));
+        const presentButton = document.createElement('button');
+        presentButton.type = 'button';
+        presentButton.className = 'present-btn';
+        presentButton.addEventListener('click', () => this.onPresent(share.studentId));
+        actions.append(spotlightButton, presentButton);
+        header.append(name, status, actions);
+
+        const screen = document.createElement('div');
+        screen.className = 'student-tile-screen';
+        screen.title = 'Click to spotlight';
+        screen.addEventListener('click', () => this.toggleSpotlight(share.studentId));
+        const image = document.createElement('img');
+        image.alt = '';
+        const placeholder = document.createElement('span');
+        placeholder.className = 'student-tile-placeholder';
+        placeholder.textContent = 'Waiting for the first frame…';
+        screen.append(image, placeholder);
+
+        element.append(header, screen);
+        this.grid.appendChild(element);
+
+        const tile = {
+            element,
+            name,
+            status,
+            image,
+            spotlightButton,
+            presentButton,
+            objectUrl: null,
+            lastFrameAt: null
+        };
+        this.tiles.set(share.studentId, tile);
+        this.updateTile(share.studentId, tile);
+    }
+
+    removeTile(studentId) {
+        const tile = this.tiles.get(studentId);
+        if (!tile) return;
+        if (tile.objectUrl) URL.revokeObjectURL(tile.objectUrl);
+        tile.element.remove();
+        this.tiles.delete(studentId);
+    }
+
+    /**
+     * Show a student's latest frame
+     * Frames still in flight when a share is stopped have no tile and are ignored
+     */
+    showFrame(data) {
+        const tile = this.tiles.get(data.studentId);
+        if (!tile || !data.image) return;
+
+        // Release the previous frame's object URL
+        const previousUrl = tile.objectUrl;
+        const url = Utils.frameToURL(data.image, data.mimeType);
+        tile.image.src = url;
+        tile.objectUrl = url.startsWith('blob:') ? url : null;
+        if (previousUrl) URL.revokeObjectURL(previousUrl);
+
+        const wasStale = tile.element.classList.contains('stale') || tile.lastFrameAt === null;
+        tile.lastFrameAt = Date.now();
+        if (wasStale) this.updateStatus(tile);
+    }
+
+    toggleSpotlight(studentId) {
+        this.setSpotlight(this.spotlight === studentId ? null : studentId);
+    }
+
+    setSpotlight(studentId) {
+        this.spotlight = studentId;
+        this.tiles.forEach((tile, id) => this.updateTile(id, tile));
+        if (this.onSpotlight) this.onSpotlight(studentId);
+    }
+
+    // The server forgets the spotlight when the lecturer disconnects
+    clearSpotlight() {
+        this.spotlight = null;
+        this.tiles.forEach((tile, id) => this.updateTile(id, tile));
+    }
+
+    setPresenter(presenterId) {
+        this.presenterId = presenterId;
+        this.tiles.forEach((tile, id) => this.updateTile(id, tile));
+    }
+
+    updateTile(studentId, tile) {
+        const spotlit = studentId === this.spotlight;
+        tile.element.classList.toggle('spotlight', spotlit);
+        tile.spotlightButton.textContent = spotlit ? '✕ Close' : '🔍 Spotlight';
+
+        const presenting = studentId === this.presenterId;
+        tile.presentButton.textContent = presenting ? '■ Back to my screen' : '📺 Present to class';
+        tile.presentButton.classList.toggle('active', presenting);
+    }
+
+    updateStatuses() {
+        this.tiles.forEach(tile => this.updateStatus(tile));
+    }
+
+    updateStatus(tile) {
+        const waited = tile.lastFrameAt === null ? null : Date.now() - tile.lastFrameAt;
+        const stale = waited !== null && waited > STALE_AFTER;
+
+        tile.element.classList.toggle('waiting', waited === null);
+        tile.element.classList.toggle('stale', stale);
+        if (waited === null) {
+            tile.status.textContent = 'Starting…';
+        } else if (stale) {
+            tile.status.textContent = `⏸ No frames for ${Utils.formatCountdown(waited)}`;
+        } else {
+            tile.status.textContent = '● Live';
+        }
+    }
+}
+
+export default StudentGallery;
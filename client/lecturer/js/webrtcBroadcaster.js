@@ -0,0 +1,110 @@
+/**
+ * WebRTC Broadcaster for Lecturer
+ * Sends the captured screen track to each student over its own peer connection,
+ * using the Socket.IO server for offer/answer/ICE signaling
+ */
+class WebRTCBroadcaster {
+    constructor(options = {}) {
+        this.socket = options.socket;
+        this.stream = options.stream;
+        this.peers = new Map(); // studentId -> RTCPeerConnection
+        this.onPeerCountChange = options.onPeerCountChange || null;
+
+        // Host candidates only: the classroom AP has no route to STUN/TURN servers
+        this.rtcConfig = { iceServers: [] };
+
+        // Screen content is mostly text; favour sharpness over smooth motion
+        this.stream.getVideoTracks().forEach(track => {
+            if ('contentHint' in track) track.contentHint = 'detail';
+        });
+    }
+
+    start() {
+        console.log('📹 Starting WebRTC broadcast');
+        this.socket.emit('webrtc-start');
+    }
+
+    stop() {
+        console.log('📹 Stopping WebRTC broadcast');
+        for (const studentId of Array.from(this.peers.keys())) {
+            this.removePeer(studentId);
+        }
+        if (this.socket.connected) {
+            this.socket.emit('webrtc-stop');
+        }
+    }
+
+    // After a lecturer reconnect the students see a new lecturer socket; renegotiate from scratch
+    restart() {
+        for (const studentId of Array.from(this.peers.keys())) {
+            this.removePeer(studentId);
+        }
+        this.start();
+    }
+
+    async handleRequest(studentId) {
+        this.removePeer(studentId);
+
+        const pc = new RTCPeerConnection(this.rtcConfig);
+        this.peers.set(studentId, pc);
+        this.notifyPeerCount();
+
+        this.stream.getTracks().forEach(track => pc.addTrack(track, this.stream));
+
+        pc.onicecandidate = (event) => {
+            if (event.candidate) {
+                this.socket.emit('webrtc-signal', { to: studentId, candidate: event.candidate });
+            }
+        };
+
+        pc.onconnectionstatechange = () => {
+            console.log(`📹 Peer ${studentId.slice(0, 8)}: ${pc.connectionState}`);
+            if (pc.connectionState === 'failed' || pc.connectionState === 'closed') {
+                this.removePeer(studentId);
+            }
+        };
+
+        try {
+            const offer = await pc.createOffer();
+            await pc.setLocalDescription(offer);
+            this.socket.emit('webrtc-signal', { to: studentId, description: pc.localDescription });
+        } catch (error) {
+            console.error('Failed to create WebRTC offer:', error);
+            this.removePeer(studentId);
+        }
+    }
+
+    async handleSignal(data) {
+        const pc = this.peers.get(data.from);
+        if (!pc) return;
+
+        try {
+            if (data.description) {
+                await pc.setRemoteDescription(data.description);
+            } else if (data.candidate) {
+                await pc.addIceCandidate(data.candidate);
+            }
+        } catch (error) {
+            console.error('Failed to apply WebRTC signal:', error);
+        }
+    }
+
+    removePeer(studentId) {
+        const pc = this.peers.get(studentId);
+        if (!pc) return;
+
+        pc.onicecandidate = null;
+        pc.onconnectionstatechange = null;
+        pc.close();
+        this.peers.delete(studentId);
+        this.notifyPeerCount();
+    }
+
+    notifyPeerCount() {
+        if (typeof this.onPeerCountChange === 'function') {
+            this.onPeerCountChange(this.peers.size);
+        }
+    }
+}
+
+export default WebRTCBroadcaster;
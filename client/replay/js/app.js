@@ -0,0 +1,444 @@
+import FrameRenderer from '../../shared/js/frameRenderer.js';
+import AnnotationLayer from '../../shared/js/annotationLayer.js';
+
+/**
+ * Replay Application
+ * Plays a recorded lecture back through the same frame renderer as the live
+ * student viewer, with play/pause, seek and speed controls
+ */
+document.addEventListener('DOMContentLoaded', () => {
+    const app = new ReplayApp();
+    window.replayApp = app; // Expose for debugging
+    app.initialize();
+});
+
+// Human-readable lines for the non-frame events in a recording
+const EVENT_LABELS = {
+    'lecturer-connected': (e) => `🎓 ${e.name || 'Lecturer'} connected`,
+    'lecturer-disconnected': (e) => `🎓 ${e.name || 'Lecturer'} disconnected`,
+    'session-ended': () => '⌛ Session ended: the lecturer did not come back',
+    'screen-share-stopped': () => '⏹ Screen sharing stopped',
+    'hand-raised': (e) => `✋ ${e.name || 'A student'} raised their hand`,
+    'hand-lowered': (e) => `🙋 ${e.name || 'A student'} lowered their hand`,
+    'hand-called': (e) => `🎤 ${e.name || 'A student'} was called on`,
+    'student-share-started': (e) => `📺 ${e.name || 'A student'} started sharing their screen`,
+    'student-share-ended': (e) => `📺 ${e.name || 'A student'} stopped sharing their screen`,
+    'presenting-started': (e) => `📺 ${e.name || 'A student'} presented their screen to the class`,
+    'presenting-stopped': () => "📺 Back to the lecturer's screen",
+    'monitoring-started': () => '👁 Lab monitoring started',
+    'monitoring-stopped': () => '👁 Lab monitoring stopped',
+    'reaction': (e) => `${e.emoji} Reaction`,
+    'question-asked': (e) => `❓ ${e.name || 'Anonymous'} asked: ${e.text}`,
+    'question-answered': (e) => `✓ Answered: ${e.text}`,
+    'poll-started': (e) => `📊 Poll: ${e.question}`,
+    'poll-closed': (e) => `📊 Poll closed: ${e.options.map((option, i) => `${option} ${e.counts[i]}`).join(', ')}`,
+    'quiz-started': (e) => `📝 Quiz started: ${e.title} (${e.questionCount} questions)`,
+    'quiz-closed': (e) => `📝 Quiz closed: ${e.title} (${e.submissions} handed in)`,
+    'chat': (e) => `💬 ${e.name || (e.from === 'lecturer' ? 'Lecturer' : 'Student')}: ${e.text}`
+};
+
+const formatClock = (ms) => {
+    const totalSeconds = Math.floor(Math.max(0, ms) / 1000);
+    const minutes = String(Math.floor(totalSeconds / 60)).padStart(2, '0');
+    const seconds = String(totalSeconds % 60).padStart(2, '0');
+    return `${minutes}:${seconds}`;
+};
+
+class ReplayApp {
+    constructor() {
+        this.recording = null;
+        this.events = [];
+        this.duration = 0;
+        this.position = 0; // ms from the start of the recording
+        this.speed = 1;
+        this.isPlaying = false;
+        this.isSeeking = false;
+        this.nextEventIndex = 0;
+        this.lastTick = 0;
+        this.animationId = null;
+        // Frame bytes are fetched asynchronously; a seek bumps the generation so
+        // frames still loading for the old position are not drawn
+        this.loadGeneration = 0;
+        this.loadChain = Promise.resolve();
+        // Signed token from /api/lecturer/login; recordings are only served with it
+        this.authToken = sessionStorage.getItem('lecturerToken');
+
+        this.elements = {
+            recordingSelect: document.getElementById('recordingSelect'),
+            screenImage: document.getElementById('screenImage'),
+            annotationCanvas: document.getElementById('annotationCanvas'),
+            screenMessage: document.getElementById('screenMessage'),
+            playPauseBtn: document.getElementById('playPauseBtn'),
+            seekSlider: document.getElementById('seekSlider'),
+            speedSelect: document.getElementById('speedSelect'),
+            replayTime: document.getElementById('replayTime'),
+            eventLog: document.getElementById('eventLog'),
+            errorDisplay: document.getElementById('error-display')
+        };
+
+        this.renderer = new FrameRenderer(this.elements.screenImage, {
+            onRendered: (frame) => this.onFrameRendered(frame),
+            onError: (error) => {
+                console.error('Error replaying frame:', error);
+                this.showError('Failed to display a recorded frame');
+            }
+        });
+        this.annotations = new AnnotationLayer(this.elements.annotationCanvas);
+        this.annotations.attach(this.elements.screenImage);
+    }
+
+    async initialize() {
+        this.initializeControls();
+        if (!this.authToken) {
+            this.showLoginPanel();
+            return;
+        }
+        await this.openRecordings();
+    }
+
+    async openRecordings() {
+        await this.loadRecordingList();
+
+        const id = new URLSearchParams(window.location.search).get('id');
+        if (id) {
+            this.elements.recordingSelect.value = id;
+            await this.loadRecording(id);
+        }
+    }
+
+    initializeControls() {
+        const { recordingSelect, playPauseBtn, seekSlider, speedSelect } = this.elements;
+
+        document.getElementById('loginForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.login(document.getElementById('lecturerPin').value);
+        });
+
+        recordingSelect.addEventListener('change', (e) => {
+            if (e.target.value) {
+                const url = new URL(window.location.href);
+                url.searchParams.set('id', e.target.value);
+                window.history.replaceState(null, '', url);
+                this.loadRecording(e.target.value);
+            }
+        });
+
+        playPauseBtn.addEventListener('click', () => {
+            if (this.isPlaying) {
+                this.pause();
+            } else {
+                this.play();
+            }
+        });
+
+        // Show the target time while dragging; only seek when the slider is released
+        seekSlider.addEventListener('input', (e) => {
+            this.isSeeking = true;
+            this.updateTimeDisplay(Number(e.target.value));
+        });
+        seekSlider.addEventListener('change', (e) => {
+            this.isSeeking = false;
+            this.seek(Number(e.target.value));
+        });
+
+        speedSelect.addEventListener('change', (e) => {
+            this.speed = parseFloat(e.target.value) || 1;
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (e.code === 'Space' && this.recording && e.target === document.body) {
+                e.preventDefault();
+                playPauseBtn.click();
+            }
+        });
+    }
+
+    async login(pin) {
+        const loginError = document.getElementById('loginError');
+        loginError.textContent = '';
+
+        try {
+            const response = await fetch('/api/lecturer/login', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ pin })
+            });
+            const result = await response.json().catch(() => ({}));
+
+            if (!response.ok) {
+                loginError.textContent = result.error || `Login failed (${response.status})`;
+                return;
+            }
+
+            this.authToken = result.token;
+            sessionStorage.setItem('lecturerToken', result.token);
+            document.getElementById('lecturerPin').value = '';
+            document.getElementById('loginPanel').style.display = 'none';
+            this.elements.errorDisplay.style.display = 'none';
+            await this.openRecordings();
+        } catch (error) {
+            console.error('Login error:', error);
+            loginError.textContent = 'Could not reach the server';
+        }
+    }
+
+    showLoginPanel(message = '') {
+        document.getElementById('loginError').textContent = message;
+        document.getElementById('loginPanel').style.display = 'flex';
+        document.getElementById('lecturerPin').focus();
+    }
+
+    // Fetch from the recordings API with the lecturer's token; an expired one asks for the PIN again
+    async request(url, options = {}) {
+        const response = await fetch(url, {
+            ...options,
+            headers: { ...options.headers, Authorization: `Bearer ${this.authToken}` }
+        });
+        if (response.status === 401) {
+            this.pause();
+            this.authToken = null;
+            sessionStorage.removeItem('lecturerToken');
+            this.showLoginPanel('Your login has expired. Enter the PIN again.');
+        }
+        return response;
+    }
+
+    async loadRecordingList() {
+        const select = this.elements.recordingSelect;
+        try {
+            const response = await this.request('/api/recordings');
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            const { recordings } = await response.json();
+
+            select.innerHTML = '';
+            const placeholder = document.createElement('option');
+            placeholder.value = '';
+            placeholder.textContent = recordings.length ? 'Choose a recording...' : 'No recordings yet';
+            select.appendChild(placeholder);
+
+            recordings.forEach((recording) => {
+                const option = document.createElement('option');
+                option.value = recording.id;
+                const started = new Date(recording.startedAt).toLocaleString();
+                const length = recording.duration !== null ? formatClock(recording.duration) : 'in progress';
+                option.textContent = `${started} · ${recording.code} · ${recording.lecturerName || 'Lecturer'} (${length})`;
+                select.appendChild(option);
+            });
+        } catch (error) {
+            console.error('Failed to list recordings:', error);
+            this.showError('Could not load the list of recordings');
+        }
+    }
+
+    async loadRecording(id) {
+        this.pause();
+        try {
+            const response = await this.request(`/api/recordings/${encodeURIComponent(id)}`);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            const { recording, events } = await response.json();
+
+            this.recording = recording;
+            this.events = events;
+            // Recordings still in progress have no duration yet
+            this.duration = recording.duration ?? (events.length ? events[events.length - 1].t : 0);
+            this.framesUrl = `/api/recordings/${encodeURIComponent(id)}/frames`;
+
+            this.elements.seekSlider.max = this.duration;
+            this.elements.seekSlider.disabled = false;
+            this.elements.playPauseBtn.disabled = false;
+            this.elements.errorDisplay.style.display = 'none';
+            console.log(`📼 Loaded recording ${id}: ${events.length} events, ${formatClock(this.duration)}`);
+
+            this.seek(0);
+        } catch (error) {
+            console.error('Failed to load recording:', error);
+            this.showError('Could not load that recording');
+        }
+    }
+
+    play() {
+        if (!this.recording) return;
+        if (this.position >= this.duration) {
+            this.seek(0);
+        }
+        this.isPlaying = true;
+        this.elements.playPauseBtn.textContent = '⏸ Pause';
+        this.lastTick = performance.now();
+        this.animationId = requestAnimationFrame((now) => this.tick(now));
+    }
+
+    pause() {
+        this.isPlaying = false;
+        this.elements.playPauseBtn.textContent = '▶ Play';
+        if (this.animationId) {
+            cancelAnimationFrame(this.animationId);
+            this.animationId = null;
+        }
+    }
+
+    tick(now) {
+        if (!this.isPlaying) return;
+
+        this.position = Math.min(this.duration, this.position + (now - this.lastTick) * this.speed);
+        this.lastTick = now;
+        this.advanceTo(this.position);
+        this.updateTimeDisplay(this.position);
+
+        if (this.position >= this.duration) {
+            this.pause();
+            return;
+        }
+        this.animationId = requestAnimationFrame((t) => this.tick(t));
+    }
+
+    // Apply every event up to the given position, in recorded order
+    advanceTo(position) {
+        while (this.nextEventIndex < this.events.length && this.events[this.nextEventIndex].t <= position) {
+            this.applyEvent(this.events[this.nextEventIndex]);
+            this.nextEventIndex++;
+        }
+    }
+
+    // Rebuild the picture at a position: the last keyframe before it plus the deltas since
+    seek(position) {
+        this.position = Math.max(0, Math.min(this.duration, position));
+        this.loadGeneration++;
+        this.loadChain = Promise.resolve();
+        this.renderer.reset();
+        // Nothing is annotated until a frame is back on screen
+        this.annotations.reset();
+        this.annotations.showFrame(-1);
+        this.elements.eventLog.innerHTML = '';
+        this.showMessage('Nothing on screen yet');
+
+        let keyframeIndex = -1;
+        for (let i = 0; i < this.events.length && this.events[i].t <= this.position; i++) {
+            const event = this.events[i];
+            if (event.type === 'frame' && event.frame.type !== 'delta') {
+                keyframeIndex = i;
+            }
+        }
+
+        this.nextEventIndex = 0;
+        for (; this.nextEventIndex < this.events.length; this.nextEventIndex++) {
+            const event = this.events[this.nextEventIndex];
+            if (event.t > this.position) break;
+            if (event.type !== 'frame') {
+                this.applyEvent(event);
+            } else if (keyframeIndex !== -1 && this.nextEventIndex >= keyframeIndex) {
+                this.queueFrame(event.frame);
+            }
+        }
+
+        this.updateTimeDisplay(this.position);
+    }
+
+    applyEvent(event) {
+        if (event.type === 'frame') {
+            this.queueFrame(event.frame);
+            return;
+        }
+        if (event.type === 'annotation') {
+            this.annotations.apply(event.op);
+            return;
+        }
+        if (event.type === 'annotation-state') {
+            this.annotations.reset(event.strokes);
+            return;
+        }
+        if (event.type === 'screen-share-stopped') {
+            // Queued behind frames still loading so they cannot cover the message
+            const generation = this.loadGeneration;
+            this.loadChain = this.loadChain.then(() => {
+                if (generation !== this.loadGeneration) return;
+                this.renderer.reset();
+                this.annotations.reset();
+                this.showMessage('The lecturer stopped sharing');
+            });
+        }
+        this.logEvent(event);
+    }
+
+    queueFrame(frame) {
+        const generation = this.loadGeneration;
+        // Start fetching now so playback is not held up by one request per frame
+        const loading = this.loadFrameData(frame);
+        this.loadChain = this.loadChain
+            .then(() => loading)
+            .then((loaded) => {
+                if (generation === this.loadGeneration) {
+                    return this.renderer.render(loaded);
+                }
+            })
+            .catch((error) => {
+                console.error('Failed to load recorded frame:', error);
+            });
+    }
+
+    // Images of one frame are stored back to back, so a single range request covers them
+    async loadFrameData(frame) {
+        const refs = [frame.image, ...(frame.tiles || []).map(tile => tile.image)]
+            .filter(ref => ref && typeof ref === 'object');
+        if (refs.length === 0) return frame;
+
+        const start = Math.min(...refs.map(ref => ref.offset));
+        const end = Math.max(...refs.map(ref => ref.offset + ref.length));
+        const response = await this.request(this.framesUrl, { headers: { Range: `bytes=${start}-${end - 1}` } });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const buffer = await response.arrayBuffer();
+        // Servers that ignore Range send the whole file
+        const base = response.status === 206 ? start : 0;
+
+        const slice = (ref) => (ref && typeof ref === 'object'
+            ? buffer.slice(ref.offset - base, ref.offset - base + ref.length)
+            : ref);
+        return {
+            ...frame,
+            image: slice(frame.image),
+            tiles: frame.tiles ? frame.tiles.map(tile => ({ ...tile, image: slice(tile.image) })) : undefined
+        };
+    }
+
+    onFrameRendered(frame) {
+        // Annotations were drawn on the lecturer's screen, not on a presenting student's
+        this.elements.annotationCanvas.style.display = frame.presenter ? 'none' : '';
+        this.annotations.showFrame(frame.frameId ?? Infinity);
+        this.elements.screenImage.classList.add('visible');
+        this.elements.screenMessage.style.display = 'none';
+    }
+
+    showMessage(message) {
+        this.elements.screenImage.classList.remove('visible');
+        this.elements.screenMessage.textContent = message;
+        this.elements.screenMessage.style.display = 'flex';
+    }
+
+    logEvent(event) {
+        const label = EVENT_LABELS[event.type];
+        if (!label) return;
+
+        const item = document.createElement('li');
+        const time = document.createElement('span');
+        time.className = 'event-time';
+        time.textContent = formatClock(event.t);
+        item.appendChild(time);
+        item.appendChild(document.createTextNode(label(event)));
+        this.elements.eventLog.appendChild(item);
+        item.scrollIntoView({ block: 'nearest' });
+    }
+
+    updateTimeDisplay(position) {
+        this.elements.replayTime.textContent = `${formatClock(position)} / ${formatClock(this.duration)}`;
+        if (!this.isSeeking) {
+            this.elements.seekSlider.value = position;
+        }
+    }
+
+    showError(message) {
+        console.error('Error:', message);
+        if (this.elements.errorDisplay) {
+            this.elements.errorDisplay.textContent = message;
+            this.elements.errorDisplay.style.display = 'block';
+        }
+    }
+}
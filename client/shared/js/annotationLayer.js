@@ -0,0 +1,239 @@
+/**
+ * Annotation Layer
+ * Overlay canvas that draws the lecturer's vector annotations on top of the
+ * shared screen. Coordinates and sizes are normalized to the image (0..1), so
+ * strokes scale with whatever size the screen is displayed at.
+ *
+ * Every annotation op carries the frameId the lecturer had sent when it was
+ * drawn. Ops are only shown once the frame underneath has caught up with them,
+ * which keeps annotations in step with relayed (and rewound) frames.
+ */
+
+const HIGHLIGHTER_ALPHA = 0.35;
+
+// Apply one op to a Map of strokes (id -> stroke)
+const applyOp = (strokes, op) => {
+    switch (op.op) {
+        case 'add':
+            strokes.set(op.stroke.id, { ...op.stroke, points: op.stroke.points.slice() });
+            break;
+        case 'extend': {
+            const stroke = strokes.get(op.id);
+            if (stroke) stroke.points.push(...op.points);
+            break;
+        }
+        case 'remove':
+            op.ids.forEach(id => strokes.delete(id));
+            break;
+        case 'clear':
+            strokes.clear();
+            break;
+    }
+};
+
+const cloneStrokes = (strokes) => new Map(
+    Array.from(strokes.values()).map(stroke => [stroke.id, { ...stroke, points: stroke.points.slice() }])
+);
+
+// Distance from point (px, py) to segment (x1, y1)-(x2, y2)
+const segmentDistance = (px, py, x1, y1, x2, y2) => {
+    const dx = x2 - x1;
+    const dy = y2 - y1;
+    const lengthSq = dx * dx + dy * dy;
+    const t = lengthSq ? Math.max(0, Math.min(1, ((px - x1) * dx + (py - y1) * dy) / lengthSq)) : 0;
+    return Math.hypot(px - (x1 + t * dx), py - (y1 + t * dy));
+};
+
+class AnnotationLayer {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.target = null;
+        this.base = new Map(); // strokes before the first op in the log
+        this.ops = [];
+        this.strokes = new Map(); // what is currently drawn
+        this.frameId = Infinity; // frame currently underneath; Infinity shows every op
+        this.resizeObserver = null;
+    }
+
+    /**
+     * Keep the overlay exactly over an element (the screen canvas or video)
+     * @param {HTMLElement} target - Element whose box the overlay should cover
+     */
+    attach(target) {
+        this.target = target;
+        if (!this.resizeObserver && window.ResizeObserver) {
+            this.resizeObserver = new ResizeObserver(() => this.fit());
+        }
+        if (this.resizeObserver) {
+            this.resizeObserver.disconnect();
+            this.resizeObserver.observe(target);
+            if (target.parentElement) this.resizeObserver.observe(target.parentElement);
+        }
+        this.fit();
+    }
+
+    fit() {
+        if (!this.target) return;
+        Utils.fitOverlay(this.canvas, this.target);
+        this.redraw();
+    }
+
+    // Start over from a known set of strokes, e.g. the server's state on join
+    reset(strokes = []) {
+        this.base = new Map(strokes.map(stroke => [stroke.id, { ...stroke, points: stroke.points.slice() }]));
+        this.ops = [];
+        this.strokes = cloneStrokes(this.base);
+        this.redraw();
+    }
+
+    apply(op) {
+        this.ops.push(op);
+        if ((op.frameId ?? -1) <= this.frameId) {
+            applyOp(this.strokes, op);
+            this.redraw();
+        }
+    }
+
+    /**
+     * Show the annotations belonging to the frame now on screen
+     * @param {number} frameId - Frame drawn underneath, or Infinity for live video
+     */
+    showFrame(frameId = Infinity) {
+        if (frameId === this.frameId) return;
+
+        if (frameId > this.frameId) {
+            // Moving forward: only the ops that have now caught up
+            this.ops
+                .filter(op => (op.frameId ?? -1) > this.frameId && (op.frameId ?? -1) <= frameId)
+                .forEach(op => applyOp(this.strokes, op));
+        } else {
+            // Moving back (rewind, or a new share restarting frame ids): rebuild
+            this.strokes = cloneStrokes(this.base);
+            this.ops
+                .filter(op => (op.frameId ?? -1) <= frameId)
+                .forEach(op => applyOp(this.strokes, op));
+        }
+        this.frameId = frameId;
+        this.redraw();
+    }
+
+    // Fold ops older than a frame that can no longer be shown into the base
+    compact(frameId) {
+        while (this.ops.length > 0 && (this.ops[0].frameId ?? -1) < frameId) {
+            applyOp(this.base, this.ops.shift());
+        }
+    }
+
+    getStroke(id) {
+        return this.strokes.get(id) || null;
+    }
+
+    getStrokes() {
+        return Array.from(this.strokes.values());
+    }
+
+    /**
+     * Find strokes passing within a radius of a normalized point
+     * @returns {string[]} Ids of the strokes hit
+     */
+    hitTest(x, y, radius) {
+        const hits = [];
+        for (const stroke of this.strokes.values()) {
+            const p = stroke.points;
+            let hit = false;
+            if (stroke.tool === 'rect') {
+                const [x1, y1, x2, y2] = p;
+                hit = segmentDistance(x, y, x1, y1, x2, y1) < radius ||
+                    segmentDistance(x, y, x2, y1, x2, y2) < radius ||
+                    segmentDistance(x, y, x2, y2, x1, y2) < radius ||
+                    segmentDistance(x, y, x1, y2, x1, y1) < radius;
+            } else if (stroke.tool === 'text') {
+                hit = Math.abs(x - p[0]) < radius * 4 && y >= p[1] - radius && y <= p[1] + stroke.size + radius;
+            } else if (p.length === 2) {
+                hit = Math.hypot(x - p[0], y - p[1]) < radius;
+            } else {
+                for (let i = 0; i + 3 < p.length && !hit; i += 2) {
+                    hit = segmentDistance(x, y, p[i], p[i + 1], p[i + 2], p[i + 3]) < radius + stroke.size / 2;
+                }
+            }
+            if (hit) hits.push(stroke.id);
+        }
+        return hits;
+    }
+
+    redraw() {
+        const { width, height } = this.canvas;
+        this.ctx.clearRect(0, 0, width, height);
+        for (const stroke of this.strokes.values()) {
+            AnnotationLayer.drawStroke(this.ctx, stroke, width, height);
+        }
+    }
+
+    /**
+     * Draw one stroke scaled to a canvas
+     * @param {CanvasRenderingContext2D} ctx - Target context
+     * @param {Object} stroke - Stroke with normalized points and size
+     * @param {number} width - Canvas width in pixels
+     * @param {number} height - Canvas height in pixels
+     */
+    static drawStroke(ctx, stroke, width, height) {
+        const p = stroke.points;
+        if (!p || p.length < 2) return;
+
+        ctx.save();
+        ctx.strokeStyle = stroke.color;
+        ctx.fillStyle = stroke.color;
+        ctx.lineWidth = Math.max(1, stroke.size * width);
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+
+        switch (stroke.tool) {
+            case 'highlighter':
+            case 'pen': {
+                if (stroke.tool === 'highlighter') ctx.globalAlpha = HIGHLIGHTER_ALPHA;
+                ctx.beginPath();
+                ctx.moveTo(p[0] * width, p[1] * height);
+                if (p.length === 2) {
+                    ctx.lineTo(p[0] * width + 0.1, p[1] * height);
+                }
+                for (let i = 2; i + 1 < p.length; i += 2) {
+                    ctx.lineTo(p[i] * width, p[i + 1] * height);
+                }
+                ctx.stroke();
+                break;
+            }
+            case 'arrow': {
+                const [x1, y1, x2, y2] = p.map((v, i) => v * (i % 2 === 0 ? width : height));
+                const angle = Math.atan2(y2 - y1, x2 - x1);
+                const head = Math.max(10, ctx.lineWidth * 4);
+                ctx.beginPath();
+                ctx.moveTo(x1, y1);
+                ctx.lineTo(x2, y2);
+                ctx.stroke();
+                ctx.beginPath();
+                ctx.moveTo(x2, y2);
+                ctx.lineTo(x2 - head * Math.cos(angle - Math.PI / 6), y2 - head * Math.sin(angle - Math.PI / 6));
+                ctx.lineTo(x2 - head * Math.cos(angle + Math.PI / 6), y2 - head * Math.sin(angle + Math.PI / 6));
+                ctx.closePath();
+                ctx.fill();
+                break;
+            }
+            case 'rect': {
+                const [x1, y1, x2, y2] = p;
+                ctx.strokeRect(x1 * width, y1 * height, (x2 - x1) * width, (y2 - y1) * height);
+                break;
+            }
+            case 'text': {
+                // Text size is a fraction of the image height
+                ctx.font = `600 ${Math.max(10, stroke.size * height)}px 'Segoe UI', sans-serif`;
+                ctx.textBaseline = 'top';
+                ctx.fillText(stroke.text || '', p[0] * width, p[1] * height);
+                break;
+            }
+        }
+        ctx.restore();
+    }
+}
+
+export default AnnotationLayer;
@@ -0,0 +1,114 @@
+/**
+ * Chat Panel
+ * Renders the session chat (message list plus compose form) for both the
+ * lecturer and student pages. Socket wiring stays in each app: the panel only
+ * reports what the user wants to send.
+ */
+
+const formatTime = (timestamp) => new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+class ChatPanel {
+    /**
+     * @param {Object} options
+     * @param {'lecturer'|'student'} options.viewer - Whose page this is
+     * @param {HTMLElement} options.list - Element the messages are appended to
+     * @param {HTMLFormElement} options.form - Compose form
+     * @param {HTMLInputElement} options.input - Message text field
+     * @param {HTMLSelectElement} options.recipient - Who the message goes to
+     * @param {Function} options.onSend - Called with (text, to)
+     * @param {Function} [options.onReply] - Called with a student's message to answer it privately
+     */
+    constructor(options = {}) {
+        this.viewer = options.viewer;
+        this.list = options.list;
+        this.form = options.form;
+        this.input = options.input;
+        this.recipient = options.recipient;
+        this.onSend = options.onSend;
+        this.onReply = options.onReply;
+        this.messageIds = new Set();
+
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const text = this.input.value.trim();
+            if (!text) return;
+            this.onSend(text, this.recipient.value);
+            this.input.value = '';
+        });
+    }
+
+    // Replace everything with the server's history, e.g. after a reconnect
+    setMessages(messages = []) {
+        this.list.innerHTML = '';
+        this.messageIds.clear();
+        messages.forEach(message => this.add(message));
+    }
+
+    /**
+     * Append one message; duplicates (by id) are ignored
+     * @returns {boolean} Whether the message was new
+     */
+    add(message) {
+        if (this.messageIds.has(message.id)) return false;
+        this.messageIds.add(message.id);
+
+        // Only follow new messages if the reader is already at the bottom
+        const atBottom = this.list.scrollHeight - this.list.scrollTop - this.list.clientHeight < 40;
+        this.list.appendChild(this.renderMessage(message));
+        if (atBottom) {
+            this.list.scrollTop = this.list.scrollHeight;
+        }
+        return true;
+    }
+
+    isOwn(message) {
+        return this.viewer === 'lecturer' ? message.from === 'lecturer' : !!message.mine;
+    }
+
+    senderName(message) {
+        if (this.isOwn(message)) return 'You';
+        if (message.from === 'lecturer') return `🎓 ${message.name || 'Lecturer'}`;
+        // Several students may share a name; the lecturer also sees a short id
+        return this.viewer === 'lecturer' && message.studentId
+            ? `${message.name || 'Student'} (${message.studentId.slice(0, 4)})`
+            : (message.name || 'Student');
+    }
+
+    renderMessage(message) {
+        const item = document.createElement('li');
+        item.className = `chat-message ${message.scope}${this.isOwn(message) ? ' own' : ''}`;
+
+        const meta = document.createElement('div');
+        meta.className = 'chat-meta';
+        const sender = document.createElement('strong');
+        sender.textContent = this.senderName(message);
+        const scope = document.createElement('span');
+        scope.className = 'chat-scope';
+        scope.textContent = message.scope === 'private' ? '🔒 Private' : 'Everyone';
+        const time = document.createElement('time');
+        time.textContent = formatTime(message.timestamp);
+        meta.append(sender, scope, time);
+
+        if (this.onReply && message.from === 'student') {
+            const reply = document.createElement('button');
+            reply.type = 'button';
+            reply.className = 'chat-reply';
+            reply.textContent = 'Reply';
+            reply.addEventListener('click', () => this.onReply(message));
+            meta.appendChild(reply);
+        }
+
+        const text = document.createElement('div');
+        text.className = 'chat-text';
+        text.textContent = message.text;
+
+        item.append(meta, text);
+        return item;
+    }
+
+    focus() {
+        this.input.focus();
+    }
+}
+
+export default ChatPanel;
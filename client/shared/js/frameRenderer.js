@@ -0,0 +1,65 @@
+/**
+ * Frame Renderer
+ * Draws relayed screen frames onto a canvas. Keyframes replace the picture;
+ * delta frames composite their tiles over the keyframe they were diffed against.
+ * Used by the live student viewer and the recording replay page.
+ */
+class FrameRenderer {
+    constructor(canvas, options = {}) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.keyframeId = null;
+        this.renderChain = Promise.resolve();
+        this.onRendered = options.onRendered || (() => {});
+        this.onKeyframeMissing = options.onKeyframeMissing || (() => {});
+        this.onError = options.onError || ((error) => console.error('Error rendering frame:', error));
+    }
+
+    // Frames decode asynchronously; chain them so tiles land in arrival order
+    render(frame) {
+        this.renderChain = this.renderChain
+            .then(() => this.draw(frame))
+            .catch((error) => this.onError(error));
+        return this.renderChain;
+    }
+
+    async draw(frame) {
+        if (frame.type === 'delta') {
+            // Tiles only make sense on top of the keyframe they were diffed against
+            if (frame.keyframeId !== this.keyframeId) {
+                this.onKeyframeMissing(frame);
+                return;
+            }
+            const bitmaps = await Promise.all(
+                frame.tiles.map(tile => Utils.decodeFrameImage(tile.image, frame.mimeType))
+            );
+            frame.tiles.forEach((tile, i) => {
+                this.ctx.drawImage(bitmaps[i], tile.x, tile.y, tile.width, tile.height);
+                if (bitmaps[i].close) bitmaps[i].close();
+            });
+        } else {
+            // Keyframe (or a full frame from an older lecturer page)
+            const bitmap = await Utils.decodeFrameImage(frame.image, frame.mimeType);
+            const { width, height } = frame.resolution || bitmap;
+            if (this.canvas.width !== width || this.canvas.height !== height) {
+                this.canvas.width = width;
+                this.canvas.height = height;
+            }
+            this.ctx.drawImage(bitmap, 0, 0, width, height);
+            if (bitmap.close) bitmap.close();
+            this.keyframeId = frame.keyframeId ?? frame.frameId;
+        }
+
+        this.onRendered(frame);
+    }
+
+    // Forget the current keyframe so following deltas wait for a new one;
+    // queued behind frames already being drawn so they cannot undo it
+    reset() {
+        this.renderChain = this.renderChain.then(() => {
+            this.keyframeId = null;
+        });
+    }
+}
+
+export default FrameRenderer;
@@ -0,0 +1,49 @@
+/**
+ * Poll Chart
+ * Horizontal bar chart of a poll's results, used by the lecturer's live view,
+ * the poll history and the students' results once they are revealed.
+ */
+
+class PollChart {
+    constructor(container) {
+        this.container = container;
+    }
+
+    /**
+     * Draw the bars for a poll view from the server
+     * @param {Object} poll - Poll with options, counts and (for students) myVote
+     */
+    render(poll) {
+        this.container.innerHTML = '';
+        const counts = poll.counts || poll.options.map(() => 0);
+        const total = counts.reduce((sum, count) => sum + count, 0);
+
+        poll.options.forEach((option, index) => {
+            const share = total > 0 ? Math.round((counts[index] / total) * 100) : 0;
+
+            const row = document.createElement('div');
+            row.className = 'poll-bar-row';
+            if (poll.myVote === index) row.classList.add('my-vote');
+
+            const label = document.createElement('span');
+            label.className = 'poll-bar-label';
+            label.textContent = option;
+
+            const track = document.createElement('div');
+            track.className = 'poll-bar-track';
+            const bar = document.createElement('div');
+            bar.className = 'poll-bar';
+            bar.style.width = `${share}%`;
+            track.appendChild(bar);
+
+            const value = document.createElement('span');
+            value.className = 'poll-bar-value';
+            value.textContent = `${counts[index]} (${share}%)`;
+
+            row.append(label, track, value);
+            this.container.appendChild(row);
+        });
+    }
+}
+
+export default PollChart;
@@ -0,0 +1,134 @@
+/**
+ * Question Board
+ * Renders the session's Q&A queue, ranked with pinned questions first, then
+ * open questions by votes, then answered ones. Used by both pages: students
+ * get upvote buttons, the lecturer gets answer/pin/dismiss actions.
+ */
+
+const STATUS_ORDER = { open: 0, answered: 1, dismissed: 2 };
+
+const rank = (a, b) => (b.pinned - a.pinned) ||
+    (STATUS_ORDER[a.status] - STATUS_ORDER[b.status]) ||
+    (b.votes - a.votes) ||
+    a.askedAt.localeCompare(b.askedAt);
+
+class QuestionBoard {
+    /**
+     * @param {Object} options
+     * @param {'lecturer'|'student'} options.viewer - Whose page this is
+     * @param {HTMLElement} options.list - Element the questions are rendered into
+     * @param {Function} [options.onVote] - Student: called with a question id to toggle a vote
+     * @param {Function} [options.onAction] - Lecturer: called with (id, action)
+     */
+    constructor(options = {}) {
+        this.viewer = options.viewer;
+        this.list = options.list;
+        this.onVote = options.onVote;
+        this.onAction = options.onAction;
+        this.questions = new Map();
+        this.showAnswered = true;
+    }
+
+    setQuestions(questions = []) {
+        this.questions = new Map(questions.map(question => [question.id, question]));
+        this.render();
+    }
+
+    /**
+     * Store a question's latest state
+     * @returns {boolean} Whether the question is new to this board
+     */
+    update(question) {
+        const isNew = !this.questions.has(question.id);
+        this.questions.set(question.id, question);
+        this.render();
+        return isNew;
+    }
+
+    setShowAnswered(showAnswered) {
+        this.showAnswered = showAnswered;
+        this.render();
+    }
+
+    // Every question, dismissed included, in board order
+    getQuestions() {
+        return Array.from(this.questions.values()).sort(rank);
+    }
+
+    getOpenCount() {
+        return Array.from(this.questions.values()).filter(q => q.status === 'open').length;
+    }
+
+    render() {
+        const shown = this.getQuestions().filter(q =>
+            q.status !== 'dismissed' && (this.showAnswered || q.status !== 'answered'));
+
+        this.list.innerHTML = '';
+        if (shown.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'question-empty';
+            empty.textContent = 'No questions yet';
+            this.list.appendChild(empty);
+            return;
+        }
+        shown.forEach(question => this.list.appendChild(this.renderQuestion(question)));
+    }
+
+    renderQuestion(question) {
+        const item = document.createElement('li');
+        item.className = `question ${question.status}${question.pinned ? ' pinned' : ''}${question.mine ? ' mine' : ''}`;
+
+        const votes = document.createElement(this.viewer === 'student' ? 'button' : 'div');
+        votes.className = 'question-votes';
+        votes.textContent = `▲ ${question.votes}`;
+        if (this.viewer === 'student') {
+            votes.type = 'button';
+            votes.title = question.mine ? 'Your question' : (question.voted ? 'Remove your vote' : 'Upvote');
+            votes.disabled = question.mine || question.status !== 'open';
+            votes.classList.toggle('voted', !!question.voted);
+            votes.addEventListener('click', () => this.onVote(question.id));
+        }
+
+        const body = document.createElement('div');
+        body.className = 'question-body';
+        const text = document.createElement('div');
+        text.className = 'question-text';
+        text.textContent = question.text;
+        const meta = document.createElement('div');
+        meta.className = 'question-meta';
+        const tags = [
+            question.pinned ? '📌 Pinned' : null,
+            question.status === 'answered' ? '✓ Answered' : null,
+            question.mine ? 'Your question' : (question.anonymous ? 'Anonymous' : question.name || 'Student')
+        ].filter(Boolean);
+        meta.textContent = tags.join(' · ');
+        body.append(text, meta);
+
+        item.append(votes, body);
+        if (this.viewer === 'lecturer') {
+            item.appendChild(this.renderActions(question));
+        }
+        return item;
+    }
+
+    renderActions(question) {
+        const actions = document.createElement('div');
+        actions.className = 'question-actions';
+        const buttons = [
+            question.pinned ? ['unpin', 'Unpin'] : ['pin', '📌 Pin'],
+            question.status === 'answered' ? ['reopen', 'Reopen'] : ['answer', '✓ Answered'],
+            ['dismiss', 'Dismiss']
+        ];
+        buttons.forEach(([action, label]) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'question-action';
+            button.textContent = label;
+            button.addEventListener('click', () => this.onAction(question.id, action));
+            actions.appendChild(button);
+        });
+        return actions;
+    }
+}
+
+export default QuestionBoard;
@@ -33,6 +33,17 @@ class Utils {
         return (ms / 3600000).toFixed(1) + 'hr';
     }
     
+    /**
+     * Format a duration as a clock, e.g. 1:05
+     * @param {number} ms - Milliseconds (negative values count as zero)
+     * @returns {string} Minutes and zero-padded seconds
+     */
+    static formatCountdown(ms) {
+        const totalSeconds = Math.ceil(Math.max(0, ms) / 1000);
+        const minutes = Math.floor(totalSeconds / 60);
+        return `${minutes}:${String(totalSeconds % 60).padStart(2, '0')}`;
+    }
+    
     /**
      * Debounce function to limit how often a function can be called
      * @param {Function} func - Function to debounce
@@ -359,6 +370,176 @@ class Utils {
         
         return new Blob([uInt8Array], { type: contentType });
     }
+    
+    /**
+     * Encode a canvas as an image and return the raw bytes
+     * @param {HTMLCanvasElement} canvas - Canvas to encode
+     * @param {string} type - Image MIME type
+     * @param {number} quality - Encoder quality (0 to 1)
+     * @returns {Promise<ArrayBuffer|null>} Encoded image bytes
+     */
+    static canvasToArrayBuffer(canvas, type = 'image/jpeg', quality = 0.7) {
+        return new Promise((resolve) => {
+            canvas.toBlob((blob) => {
+                if (!blob) {
+                    resolve(null);
+                    return;
+                }
+                blob.arrayBuffer().then(resolve, () => resolve(null));
+            }, type, quality);
+        });
+    }
+    
+    /**
+     * Create a displayable URL for a received frame
+     * Binary frames become object URLs that the caller must revoke;
+     * data URLs from older clients are returned unchanged.
+     * @param {ArrayBuffer|Uint8Array|string} image - Frame bytes or data URL
+     * @param {string} mimeType - MIME type of binary frames
+     * @returns {string} URL usable as an image source
+     */
+    static frameToURL(image, mimeType = 'image/jpeg') {
+        if (typeof image === 'string') return image;
+        return URL.createObjectURL(new Blob([image], { type: mimeType }));
+    }
+    
+    /**
+     * Decode a received frame or tile so it can be drawn on a canvas
+     * @param {ArrayBuffer|Uint8Array|string} image - Frame bytes or data URL
+     * @param {string} mimeType - MIME type of binary frames
+     * @returns {Promise<ImageBitmap|HTMLImageElement>} Decoded image
+     */
+    static async decodeFrameImage(image, mimeType = 'image/jpeg') {
+        if (typeof image !== 'string' && window.createImageBitmap) {
+            return createImageBitmap(new Blob([image], { type: mimeType }));
+        }
+        
+        // Data URLs, or browsers without createImageBitmap
+        const url = Utils.frameToURL(image, mimeType);
+        const img = new Image();
+        img.src = url;
+        try {
+            await img.decode();
+        } finally {
+            if (url.startsWith('blob:')) URL.revokeObjectURL(url);
+        }
+        return img;
+    }
+    
+    /**
+     * Position an absolutely placed overlay canvas exactly over another element
+     * and size its backing store for the device pixel ratio
+     * @param {HTMLCanvasElement} canvas - Overlay canvas
+     * @param {HTMLElement} target - Element the overlay should cover
+     * @returns {boolean} True if the canvas backing store was resized
+     */
+    static fitOverlay(canvas, target) {
+        const targetRect = target.getBoundingClientRect();
+        const parentRect = canvas.offsetParent
+            ? canvas.offsetParent.getBoundingClientRect()
+            : { left: 0, top: 0 };
+        Object.assign(canvas.style, {
+            left: `${targetRect.left - parentRect.left}px`,
+            top: `${targetRect.top - parentRect.top}px`,
+            width: `${targetRect.width}px`,
+            height: `${targetRect.height}px`
+        });
+        
+        const ratio = window.devicePixelRatio || 1;
+        const width = Math.round(targetRect.width * ratio);
+        const height = Math.round(targetRect.height * ratio);
+        if (canvas.width === width && canvas.height === height) return false;
+        canvas.width = width;
+        canvas.height = height;
+        return true;
+    }
+    
+    /**
+     * Build CSV text, quoting every field that needs it.
+     * Text starting with = + - @ gets a leading apostrophe so spreadsheets
+     * don't run student-typed content as a formula.
+     * @param {Array<Array<*>>} rows - Rows of cell values, header first
+     * @returns {string} CSV text
+     */
+    static toCSV(rows) {
+        const escape = (value) => {
+            let text = value === null || value === undefined ? '' : String(value);
+            if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        return rows.map(row => row.map(escape).join(',')).join('\r\n');
+    }
+    
+    /**
+     * Split CSV text into rows of cells; quoted cells may hold commas,
+     * doubled quotes and line breaks. Blank lines are dropped.
+     * @param {string} text - CSV text
+     * @returns {Array<Array<string>>} Rows of cell values
+     */
+    static parseCSV(text) {
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let quoted = false;
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+        row.push(cell);
+        rows.push(row);
+        return rows.filter(cells => cells.some(value => value.trim() !== ''));
+    }
+    
+    /**
+     * How the lecturer's views name a student: their name and registration
+     * number (or the start of their id if they gave none), with a warning
+     * sign when they are not on the class roster
+     * @param {Object} student - Entry with name, registration, unknown and studentId
+     * @returns {string} Label for the student
+     */
+    static studentLabel(student) {
+        const id = student.registration || (student.studentId || '').slice(0, 4);
+        return `${student.unknown ? '⚠️ ' : ''}${student.name || 'Student'}${id ? ` (${id})` : ''}`;
+    }
+    
+    /**
+     * Save text as a file through a temporary download link
+     * @param {string} filename - Suggested file name
+     * @param {string} content - File contents
+     * @param {string} mimeType - MIME type of the file
+     */
+    static downloadFile(filename, content, mimeType = 'text/csv') {
+        const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
 }
 
 // Export for use in browser
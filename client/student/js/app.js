@@ -1,3 +1,33 @@
+import WebRTCViewer from './webrtcViewer.js';
+import FrameRenderer from '../../shared/js/frameRenderer.js';
+import RewindBuffer from './rewindBuffer.js';
+import AnnotationLayer from '../../shared/js/annotationLayer.js';
+import LaserOverlay from './laserOverlay.js';
+import ChatPanel from '../../shared/js/chatPanel.js';
+import QuestionBoard from '../../shared/js/questionBoard.js';
+import PollChart from '../../shared/js/pollChart.js';
+import QuizSheet from './quizSheet.js';
+import LabMonitor from './labMonitor.js';
+
+// Stable id for this browser, so the server recognises a student who reconnects.
+// Generated with getRandomValues, since randomUUID needs a secure context (HTTPS)
+const getClientId = () => {
+    let clientId = localStorage.getItem('studentClientId');
+    if (!clientId) {
+        const bytes = crypto.getRandomValues(new Uint8Array(16));
+        clientId = Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+        localStorage.setItem('studentClientId', clientId);
+    }
+    return clientId;
+};
+
+// Unless the lecturer spotlights this screen or shows it to the class, send a small frame now and then
+const THUMBNAIL_WIDTH = 320;
+const THUMBNAIL_INTERVAL = 1000;
+
+// The server disconnects clients it has not heard from in a long while; an open, visible page checks in
+const KEEPALIVE_INTERVAL = 60000;
+
 /**
  * Student Application for Wireless Screen Sharing
  * Handles receiving and displaying screen updates from lecturer
@@ -24,18 +54,104 @@ class StudentApp {
         this.reconnectAttempts = 0;
         this.maxReconnectAttempts = 5;
         this.reconnectTimeout = null;
+        this.lastKeyframeRequest = 0;
+        // Recent frames the student can step back through; live frames are not drawn while rewound
+        this.rewindBuffer = new RewindBuffer();
+        this.isLive = true;
+        this.isShareActive = false;
+        this.rewindTarget = null;
+        this.isRewindRendering = false;
+        // Join code of the lecture room, normally supplied as /student?code=XXXX
+        this.joinCode = new URLSearchParams(window.location.search).get('code');
+        this.clientId = getClientId();
+        // Who the student said they are; per browser session, as lab computers are shared
+        this.studentName = sessionStorage.getItem('studentName') || '';
+        this.registration = sessionStorage.getItem('studentRegistration') || '';
+        // Disconnected by the server for being idle: no reconnecting until the student joins again
+        this.timedOut = false;
+        // The lecturer dropped and the server is holding the session for them
+        this.lecturerReconnecting = false;
+        this.chat = null;
+        this.chatUnread = 0;
+        this.questionBoard = null;
+        this.currentPoll = null;
+        this.pollDeadline = null;
+        this.pollTicker = null;
+        this.quizSheet = null;
+        this.labMonitor = null;
+        this.handRaised = false;
+        // Screen share request: null, 'pending' or 'approved'
+        this.shareStatus = null;
+        // 'thumbnail' or 'full', as the server asks
+        this.shareQuality = 'thumbnail';
+        this.studentSharingStream = null;
+        // Classmate presenting to the class ({ name, isYou }), and whether the picture shown is theirs
+        this.presenter = null;
+        this.showingPresenter = null;
         
         // DOM Elements
         this.elements = {
             screen: document.getElementById('screen'),
             screenImage: document.getElementById('screenImage'),
+            screenVideo: document.getElementById('screenVideo'),
             status: document.getElementById('status'),
             frameRate: document.getElementById('frameRate'),
             latency: document.getElementById('latency'),
             lastUpdate: document.getElementById('lastUpdate'),
             connectionQuality: document.getElementById('connectionQuality'),
-            errorDisplay: document.getElementById('error-display')
+            errorDisplay: document.getElementById('error-display'),
+            joinPanel: document.getElementById('joinPanel'),
+            joinForm: document.getElementById('joinForm'),
+            joinCodeInput: document.getElementById('joinCodeInput'),
+            joinNameInput: document.getElementById('joinNameInput'),
+            joinRegistrationInput: document.getElementById('joinRegistrationInput'),
+            joinError: document.getElementById('joinError'),
+            lobbyPanel: document.getElementById('lobbyPanel'),
+            lobbyCode: document.getElementById('lobbyCode'),
+            recordingBadge: document.getElementById('recordingBadge'),
+            lecturerBadge: document.getElementById('lecturerBadge'),
+            presenterLabel: document.getElementById('presenterLabel'),
+            rewindSlider: document.getElementById('rewindSlider'),
+            backToLiveBtn: document.getElementById('backToLiveBtn'),
+            behindLive: document.getElementById('behindLive'),
+            chatBtn: document.getElementById('chatBtn'),
+            chatDrawer: document.getElementById('chatDrawer'),
+            chatUnread: document.getElementById('chatUnread'),
+            chatRecipient: document.getElementById('chatRecipient'),
+            chatPublicNotice: document.getElementById('chatPublicNotice'),
+            chatError: document.getElementById('chatError'),
+            questionsBtn: document.getElementById('questionsBtn'),
+            questionDrawer: document.getElementById('questionDrawer'),
+            questionError: document.getElementById('questionError'),
+            pollOverlay: document.getElementById('pollOverlay'),
+            pollQuestion: document.getElementById('pollQuestion'),
+            pollChoices: document.getElementById('pollChoices'),
+            pollMessage: document.getElementById('pollMessage'),
+            pollCountdown: document.getElementById('pollCountdown'),
+            quizBtn: document.getElementById('quizBtn'),
+            quizDrawer: document.getElementById('quizDrawer')
         };
+        // Tiled delta frames are composited onto the screen canvas
+        this.renderer = this.elements.screenImage ? new FrameRenderer(this.elements.screenImage, {
+            onRendered: (frame) => this.onFrameRendered(frame),
+            onKeyframeMissing: () => this.requestKeyframe(),
+            onError: (error) => {
+                console.error('Error updating screen:', error);
+                this.showError('Failed to display screen');
+            }
+        }) : null;
+
+        // Lecturer annotations, drawn over whichever element shows the screen
+        const annotationCanvas = document.getElementById('annotationCanvas');
+        this.annotations = annotationCanvas ? new AnnotationLayer(annotationCanvas) : null;
+        if (this.annotations && this.elements.screenImage) {
+            this.annotations.attach(this.elements.screenImage);
+        }
+        const laserCanvas = document.getElementById('laserCanvas');
+        this.laser = laserCanvas ? new LaserOverlay(laserCanvas) : null;
+        if (this.laser && this.elements.screenImage) {
+            this.laser.attach(this.elements.screenImage);
+        }
 
         // Create a visual flash element to indicate a received frame
         try {
@@ -108,48 +224,386 @@ class StudentApp {
     }
 
     initialize() {
+        this.setupJoinForm();
+        this.setupRewindControls();
+        this.setupChat();
+        this.setupQuestions();
+        this.setupPolls();
+        this.setupQuiz();
+        this.setupLabMonitor();
         this.initializeSocket();
         this.setupControlHandlers();
         this.startRealtimeClock();
         this.startConnectionMonitor();
     }
 
+    setupJoinForm() {
+        const { joinForm, joinCodeInput, joinNameInput, joinRegistrationInput } = this.elements;
+        if (!joinForm) return;
+
+        joinForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.studentName = joinNameInput.value.trim();
+            this.registration = joinRegistrationInput.value.trim();
+            sessionStorage.setItem('studentName', this.studentName);
+            sessionStorage.setItem('studentRegistration', this.registration);
+            this.joinCode = joinCodeInput.value.trim().toUpperCase();
+            if (this.timedOut) {
+                // Joining happens once the connection is back
+                this.timedOut = false;
+                this.socket.connect();
+                return;
+            }
+            this.joinRoom();
+        });
+
+        // Joining another room takes the student out of this one's waiting room
+        const lobbyLeave = document.getElementById('lobbyLeave');
+        if (lobbyLeave) {
+            lobbyLeave.addEventListener('click', () => {
+                this.hideLobby();
+                this.showJoinPanel();
+            });
+        }
+    }
+
+    joinRoom() {
+        if (!this.joinCode || !this.studentName || !this.registration) {
+            this.showJoinPanel();
+            return;
+        }
+        if (!this.socket || !this.socket.connected) return;
+
+        this.updateStatus(`Joining lecture ${this.joinCode}...`, 'connecting');
+        this.socket.emit('identify', { 
+            type: 'student', 
+            name: this.studentName,
+            registration: this.registration,
+            clientId: this.clientId,
+            code: this.joinCode,
+            device: navigator.userAgent,
+            resolution: `${window.screen.width}x${window.screen.height}`
+        });
+    }
+
+    showJoinPanel(message = '') {
+        const { joinPanel, joinCodeInput, joinNameInput, joinRegistrationInput, joinError } = this.elements;
+        if (!joinPanel) return;
+
+        joinError.textContent = message;
+        joinNameInput.value = this.studentName;
+        joinRegistrationInput.value = this.registration;
+        joinCodeInput.value = this.joinCode || '';
+        joinPanel.style.display = 'flex';
+        ([joinNameInput, joinRegistrationInput].find(input => !input.value) || joinCodeInput).focus();
+    }
+
+    hideJoinPanel() {
+        if (this.elements.joinPanel) {
+            this.elements.joinPanel.style.display = 'none';
+        }
+    }
+
+    showLobby(code) {
+        const { lobbyPanel, lobbyCode } = this.elements;
+        if (!lobbyPanel) return;
+        lobbyCode.textContent = code;
+        lobbyPanel.style.display = 'flex';
+    }
+
+    hideLobby() {
+        if (this.elements.lobbyPanel) {
+            this.elements.lobbyPanel.style.display = 'none';
+        }
+    }
+
+    setupChat() {
+        const { chatBtn, chatDrawer, chatRecipient } = this.elements;
+        if (!chatBtn || !chatDrawer) return;
+
+        this.chat = new ChatPanel({
+            viewer: 'student',
+            list: document.getElementById('chatMessages'),
+            form: document.getElementById('chatForm'),
+            input: document.getElementById('chatInput'),
+            recipient: chatRecipient,
+            onSend: (text, to) => {
+                this.elements.chatError.textContent = '';
+                if (this.socket && this.socket.connected) {
+                    this.socket.emit('chat-send', { text, to });
+                }
+            }
+        });
+
+        chatBtn.addEventListener('click', () => this.setChatOpen(chatDrawer.style.display === 'none'));
+        document.getElementById('chatClose').addEventListener('click', () => this.setChatOpen(false));
+    }
+
+    setChatOpen(open) {
+        this.elements.chatDrawer.style.display = open ? 'flex' : 'none';
+        if (open) {
+            this.setQuestionsOpen(false);
+            this.setQuizOpen(false);
+            this.chatUnread = 0;
+            this.updateChatUnread();
+            this.chat.focus();
+        }
+    }
+
+    updateChatUnread() {
+        const badge = this.elements.chatUnread;
+        badge.textContent = this.chatUnread;
+        badge.style.display = this.chatUnread > 0 ? 'inline-block' : 'none';
+    }
+
+    setupQuestions() {
+        const { questionsBtn, questionDrawer } = this.elements;
+        if (!questionsBtn || !questionDrawer) return;
+
+        this.questionBoard = new QuestionBoard({
+            viewer: 'student',
+            list: document.getElementById('questionList'),
+            onVote: (id) => {
+                if (this.socket && this.socket.connected) {
+                    this.socket.emit('question-vote', { id });
+                }
+            }
+        });
+        this.questionBoard.render();
+
+        const input = document.getElementById('questionInput');
+        const anonymous = document.getElementById('questionAnonymous');
+        document.getElementById('questionForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            const text = input.value.trim();
+            if (!text || !this.socket || !this.socket.connected) return;
+            this.elements.questionError.textContent = '';
+            this.socket.emit('question-ask', { text, anonymous: anonymous.checked });
+            input.value = '';
+        });
+
+        questionsBtn.addEventListener('click', () => this.setQuestionsOpen(questionDrawer.style.display === 'none'));
+        document.getElementById('questionsClose').addEventListener('click', () => this.setQuestionsOpen(false));
+    }
+
+    setQuestionsOpen(open) {
+        if (!this.elements.questionDrawer) return;
+        this.elements.questionDrawer.style.display = open ? 'flex' : 'none';
+        if (open && this.elements.chatDrawer) {
+            this.elements.chatDrawer.style.display = 'none';
+            this.setQuizOpen(false);
+        }
+    }
+
+    setupPolls() {
+        const { pollOverlay } = this.elements;
+        if (!pollOverlay) return;
+
+        this.pollChart = new PollChart(document.getElementById('pollResults'));
+        document.getElementById('pollHide').addEventListener('click', () => {
+            pollOverlay.style.display = 'none';
+        });
+    }
+
+    /**
+     * Show the latest state of a poll
+     * @param {Object} poll - Poll view from the server
+     */
+    handlePoll(poll) {
+        if (!this.elements.pollOverlay) return;
+
+        // A new poll, or results being revealed, brings back a hidden overlay.
+        // Late updates about an older poll are ignored
+        const previous = this.currentPoll;
+        const isNew = !previous || previous.id !== poll.id;
+        if (isNew && previous && poll.startedAt < previous.startedAt) return;
+        this.currentPoll = poll;
+        if (isNew || (poll.revealed && !previous.revealed)) {
+            this.elements.pollOverlay.style.display = 'block';
+        }
+        this.renderPoll();
+    }
+
+    renderPoll() {
+        const poll = this.currentPoll;
+        const { pollQuestion, pollChoices, pollMessage, pollCountdown } = this.elements;
+        const canVote = poll.status === 'open' && poll.myVote === null;
+
+        pollQuestion.textContent = poll.question;
+        pollChoices.innerHTML = '';
+        poll.options.forEach((option, index) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'poll-choice';
+            button.textContent = option;
+            button.disabled = !canVote;
+            button.classList.toggle('selected', poll.myVote === index);
+            button.addEventListener('click', () => this.votePoll(index));
+            pollChoices.appendChild(button);
+        });
+
+        // Once revealed, the bars replace the answer buttons
+        pollChoices.style.display = poll.revealed ? 'none' : 'flex';
+        if (poll.revealed) {
+            this.pollChart.render(poll);
+        } else {
+            document.getElementById('pollResults').innerHTML = '';
+        }
+
+        if (poll.revealed) {
+            pollMessage.textContent = `${poll.totalVotes} ${poll.totalVotes === 1 ? 'vote' : 'votes'}`;
+        } else if (poll.status !== 'open') {
+            pollMessage.textContent = 'This poll is closed';
+        } else {
+            pollMessage.textContent = poll.myVote !== null ? '✓ Your vote has been counted' : '';
+        }
+
+        clearInterval(this.pollTicker);
+        this.pollTicker = null;
+        pollCountdown.textContent = '';
+        if (poll.status === 'open' && poll.remaining !== null) {
+            this.pollDeadline = Date.now() + poll.remaining;
+            const tick = () => {
+                pollCountdown.textContent = `⏱ ${Utils.formatCountdown(this.pollDeadline - Date.now())}`;
+            };
+            tick();
+            this.pollTicker = setInterval(tick, 1000);
+        }
+    }
+
+    votePoll(option) {
+        if (!this.currentPoll || !this.socket || !this.socket.connected) return;
+
+        this.socket.emit('poll-vote', { id: this.currentPoll.id, option });
+        this.elements.pollChoices.querySelectorAll('button').forEach(button => {
+            button.disabled = true;
+        });
+    }
+
+    setupLabMonitor() {
+        const prompt = document.getElementById('monitorPrompt');
+        if (!prompt) return;
+
+        this.labMonitor = new LabMonitor({
+            prompt,
+            acceptButton: document.getElementById('monitorAccept'),
+            declineButton: document.getElementById('monitorDecline'),
+            banner: document.getElementById('monitorBanner'),
+            bannerText: document.getElementById('monitorText'),
+            bannerButton: document.getElementById('monitorToggle'),
+            onConsent: (accepted) => {
+                if (this.socket && this.socket.connected) this.socket.emit('monitoring-consent', { accepted });
+            },
+            onThumbnail: (thumbnail) => {
+                if (this.socket && this.socket.connected) this.socket.emit('monitor-thumbnail', thumbnail);
+            }
+        });
+    }
+
+    setupQuiz() {
+        const { quizBtn, quizDrawer } = this.elements;
+        if (!quizBtn || !quizDrawer) return;
+
+        this.quizSheet = new QuizSheet({
+            body: document.getElementById('quizSheet'),
+            countdown: document.getElementById('quizCountdown'),
+            onSubmit: (id, answers) => {
+                if (this.socket && this.socket.connected) {
+                    this.socket.emit('quiz-submit', { id, answers });
+                } else {
+                    this.quizSheet.setError('Not connected. Try again in a moment.');
+                }
+            }
+        });
+
+        quizBtn.addEventListener('click', () => this.setQuizOpen(quizDrawer.style.display === 'none'));
+        document.getElementById('quizClose').addEventListener('click', () => this.setQuizOpen(false));
+    }
+
+    setQuizOpen(open) {
+        if (!this.elements.quizDrawer) return;
+        this.elements.quizDrawer.style.display = open ? 'flex' : 'none';
+        if (open) {
+            if (this.elements.chatDrawer) this.elements.chatDrawer.style.display = 'none';
+            if (this.elements.questionDrawer) this.elements.questionDrawer.style.display = 'none';
+        }
+    }
+
+    /**
+     * Show the latest state of a quiz, opening the sheet when a quiz starts
+     * and again when it closes so the student sees their score
+     * @param {Object} quiz - Quiz view from the server
+     */
+    handleQuiz(quiz) {
+        if (!this.quizSheet) return;
+
+        const previous = this.quizSheet.quiz;
+        if (!this.quizSheet.show(quiz)) return;
+        this.elements.quizBtn.style.display = '';
+        const isNew = !previous || previous.id !== quiz.id;
+        const justClosed = !isNew && previous.status === 'open' && quiz.status !== 'open';
+        if ((isNew && quiz.status === 'open' && !quiz.submitted) || justClosed) {
+            this.setQuizOpen(true);
+        }
+    }
+
+    /**
+     * Show the student's hand as the server has it; the lecturer may have
+     * acknowledged it, called on them or lowered it
+     * @param {Object} hand - { raised, status, position }
+     */
+    setHandStatus(hand) {
+        const raiseHandBtn = document.getElementById('raiseHandBtn');
+        const raiseHandNotif = document.getElementById('raiseHandNotif');
+        const raiseHandText = document.getElementById('raiseHandText');
+        if (!raiseHandBtn || !raiseHandNotif) return;
+
+        this.handRaised = hand.raised;
+        raiseHandBtn.style.background = hand.raised ? 'rgba(220, 53, 69, 0.3)' : 'rgba(0,0,0,0.6)';
+        raiseHandBtn.style.borderColor = hand.raised ? '#dc3545' : 'rgba(255,255,255,0.3)';
+        raiseHandNotif.style.display = hand.raised ? 'flex' : 'none';
+        raiseHandNotif.classList.toggle('called', hand.status === 'called');
+        if (!hand.raised) return;
+
+        const place = hand.position ? ` (#${hand.position} in line)` : '';
+        if (hand.status === 'called') {
+            raiseHandText.textContent = '🎤 The lecturer is calling on you';
+        } else if (hand.status === 'acknowledged') {
+            raiseHandText.textContent = `👀 The lecturer has seen your hand${place}`;
+        } else {
+            raiseHandText.textContent = `✋ Hand raised${place}`;
+        }
+    }
+
+    // The lecturer can stop students writing to the whole room
+    setPublicChat(enabled) {
+        const { chatRecipient, chatPublicNotice } = this.elements;
+        const roomOption = chatRecipient.querySelector('option[value="room"]');
+        roomOption.disabled = !enabled;
+        if (!enabled) chatRecipient.value = 'lecturer';
+        chatPublicNotice.style.display = enabled ? 'none' : 'block';
+    }
+
     setupControlHandlers() {
-        // Raise hand button
+        // Raise hand button; the server's queue then reports our place in line
         const raiseHandBtn = document.getElementById('raiseHandBtn');
         const lowerHandBtn = document.getElementById('lowerHandBtn');
-        const raiseHandNotif = document.getElementById('raiseHandNotif');
-        let handRaised = false;
 
         if (raiseHandBtn) {
             raiseHandBtn.addEventListener('click', () => {
-                handRaised = !handRaised;
-                if (handRaised) {
-                    raiseHandBtn.style.background = 'rgba(220, 53, 69, 0.3)';
-                    raiseHandBtn.style.borderColor = '#dc3545';
-                    raiseHandNotif.style.display = 'flex';
-                    if (this.socket && this.socket.connected) {
-                        this.socket.emit('student-raised-hand', { name: 'Student' });
-                    }
-                } else {
-                    raiseHandBtn.style.background = 'rgba(0,0,0,0.6)';
-                    raiseHandBtn.style.borderColor = 'rgba(255,255,255,0.3)';
-                    raiseHandNotif.style.display = 'none';
-                    if (this.socket && this.socket.connected) {
-                        this.socket.emit('student-lowered-hand', {});
-                    }
+                const raise = !this.handRaised;
+                this.setHandStatus({ raised: raise, status: 'waiting', position: null });
+                if (this.socket && this.socket.connected) {
+                    this.socket.emit(raise ? 'student-raised-hand' : 'student-lowered-hand');
                 }
             });
         }
 
         if (lowerHandBtn) {
             lowerHandBtn.addEventListener('click', () => {
-                handRaised = false;
-                raiseHandBtn.style.background = 'rgba(0,0,0,0.6)';
-                raiseHandBtn.style.borderColor = 'rgba(255,255,255,0.3)';
-                raiseHandNotif.style.display = 'none';
+                this.setHandStatus({ raised: false, status: null, position: null });
                 if (this.socket && this.socket.connected) {
-                    this.socket.emit('student-lowered-hand', {});
+                    this.socket.emit('student-lowered-hand');
                 }
             });
         }
@@ -178,61 +632,10 @@ class StudentApp {
             });
         });
 
-        // Share screen button
+        // Share screen button: students ask first and share once the lecturer approves
         const shareScreenBtn = document.getElementById('shareScreenBtn');
-        let studentSharingStream = null;
-        let studentSharingActive = false;
-
         if (shareScreenBtn) {
-            shareScreenBtn.addEventListener('click', async () => {
-                try {
-                    if (!studentSharingActive) {
-                        // Start sharing
-                        const stream = await navigator.mediaDevices.getDisplayMedia({
-                            video: { cursor: 'always' },
-                            audio: false
-                        });
-                        
-                        studentSharingStream = stream;
-                        studentSharingActive = true;
-                        shareScreenBtn.style.background = 'rgba(40, 167, 69, 0.3)';
-                        shareScreenBtn.style.borderColor = '#28a745';
-                        shareScreenBtn.textContent = '📺 Stop Sharing';
-                        
-                        console.log('✅ Student started screen sharing');
-                        this.startStudentScreenCapture(stream, shareScreenBtn);
-                        
-                        // Handle stream end (user stops sharing from browser)
-                        stream.getTracks()[0].onended = () => {
-                            studentSharingActive = false;
-                            studentSharingStream = null;
-                            shareScreenBtn.style.background = 'rgba(0,0,0,0.6)';
-                            shareScreenBtn.style.borderColor = 'rgba(255,255,255,0.3)';
-                            shareScreenBtn.textContent = '📺 Share Screen';
-                            this.stopStudentScreenCapture();
-                        };
-                    } else {
-                        // Stop sharing
-                        studentSharingActive = false;
-                        if (studentSharingStream) {
-                            studentSharingStream.getTracks().forEach(track => track.stop());
-                            studentSharingStream = null;
-                        }
-                        shareScreenBtn.style.background = 'rgba(0,0,0,0.6)';
-                        shareScreenBtn.style.borderColor = 'rgba(255,255,255,0.3)';
-                        shareScreenBtn.textContent = '📺 Share Screen';
-                        this.stopStudentScreenCapture();
-                        console.log('⏹ Student stopped screen sharing');
-                    }
-                } catch (error) {
-                    if (error.name !== 'NotAllowedError') {
-                        console.error('Share screen error:', error);
-                    }
-                    shareScreenBtn.style.background = 'rgba(0,0,0,0.6)';
-                    shareScreenBtn.style.borderColor = 'rgba(255,255,255,0.3)';
-                    shareScreenBtn.textContent = '📺 Share Screen';
-                }
-            });
+            shareScreenBtn.addEventListener('click', () => this.onShareButton());
         }
 
         // Close reaction popup on click outside
@@ -244,7 +647,92 @@ class StudentApp {
         });
     }
 
-    startStudentScreenCapture(stream, btn) {
+    async onShareButton() {
+        if (!this.socket || !this.socket.connected) return;
+
+        // Stop sharing, or withdraw a request still waiting for the lecturer
+        if (this.studentSharingStream || this.shareStatus === 'pending') {
+            this.socket.emit('share-stop');
+            this.setShareStatus(null);
+            return;
+        }
+
+        if (this.shareStatus !== 'approved') {
+            this.socket.emit('share-request');
+            this.setShareStatus('pending');
+            return;
+        }
+
+        // The screen picker needs a click from the student, so it cannot open by itself on approval
+        try {
+            const stream = await navigator.mediaDevices.getDisplayMedia({
+                video: { cursor: 'always' },
+                audio: false
+            });
+            if (this.shareStatus !== 'approved') {
+                // The lecturer withdrew approval while the picker was open
+                stream.getTracks().forEach(track => track.stop());
+                return;
+            }
+
+            this.studentSharingStream = stream;
+            console.log('✅ Student started screen sharing');
+            this.startStudentScreenCapture(stream);
+            this.updateShareButton();
+
+            // Handle stream end (user stops sharing from browser)
+            stream.getTracks()[0].onended = () => {
+                if (this.socket && this.socket.connected) this.socket.emit('share-stop');
+                this.setShareStatus(null);
+            };
+        } catch (error) {
+            if (error.name !== 'NotAllowedError') {
+                console.error('Share screen error:', error);
+            }
+        }
+    }
+
+    /**
+     * Reflect the share state the server reports; anything but approval ends the capture
+     * @param {'pending'|'approved'|null} status
+     */
+    setShareStatus(status) {
+        this.shareStatus = status;
+        if (status !== 'approved') this.shareQuality = 'thumbnail';
+        if (status !== 'approved' && this.studentSharingStream) {
+            this.studentSharingStream.getTracks().forEach(track => track.stop());
+            this.studentSharingStream = null;
+            this.stopStudentScreenCapture();
+            console.log('⏹ Student stopped screen sharing');
+        }
+        this.updateShareButton();
+    }
+
+    updateShareButton() {
+        const shareScreenBtn = document.getElementById('shareScreenBtn');
+        if (!shareScreenBtn) return;
+
+        let label = '📺 Share Screen';
+        let background = 'rgba(0,0,0,0.6)';
+        let borderColor = 'rgba(255,255,255,0.3)';
+        if (this.studentSharingStream) {
+            label = '📺 Stop Sharing';
+            background = 'rgba(40, 167, 69, 0.3)';
+            borderColor = '#28a745';
+        } else if (this.shareStatus === 'approved') {
+            label = '▶ Start Sharing';
+            background = 'rgba(253, 185, 19, 0.3)';
+            borderColor = '#FDB913';
+        } else if (this.shareStatus === 'pending') {
+            label = '⏳ Waiting for approval';
+        }
+        shareScreenBtn.textContent = label;
+        shareScreenBtn.style.background = background;
+        shareScreenBtn.style.borderColor = borderColor;
+        shareScreenBtn.title = this.shareStatus === 'pending' ? 'Cancel your request' : 'Share your screen';
+    }
+
+    startStudentScreenCapture(stream) {
         const canvas = document.createElement('canvas');
         const ctx = canvas.getContext('2d');
         const video = document.createElement('video');
@@ -254,21 +742,34 @@ class StudentApp {
         
         let captureActive = true;
         let frameId = 0;
+        let lastSentAt = 0;
         
         const captureFrame = async () => {
             if (!captureActive || !ctx) return;
             
             try {
-                canvas.width = video.videoWidth || 1280;
-                canvas.height = video.videoHeight || 720;
+                const thumbnail = this.shareQuality !== 'full';
+                if (thumbnail && performance.now() - lastSentAt < THUMBNAIL_INTERVAL) {
+                    requestAnimationFrame(captureFrame);
+                    return;
+                }
+                lastSentAt = performance.now();
+
+                const width = video.videoWidth || 1280;
+                const height = video.videoHeight || 720;
+                const scale = thumbnail ? Math.min(1, THUMBNAIL_WIDTH / width) : 1;
+                canvas.width = Math.round(width * scale);
+                canvas.height = Math.round(height * scale);
                 
                 ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
-                const imageData = canvas.toDataURL('image/jpeg', 0.5);
+                const imageData = await Utils.canvasToArrayBuffer(canvas, 'image/jpeg', thumbnail ? 0.6 : 0.5);
                 
-                // Send student screen frames to server
-                if (this.socket && this.socket.connected) {
+                // Send student screen frames to server as binary
+                if (imageData && this.socket && this.socket.connected) {
                     this.socket.emit('student-screen-data', {
                         image: imageData,
+                        mimeType: 'image/jpeg',
+                        size: imageData.byteLength,
                         frameId: frameId++,
                         timestamp: Date.now(),
                         resolution: `${canvas.width}x${canvas.height}`,
@@ -334,6 +835,16 @@ class StudentApp {
                 timeout: 10000
             });
 
+            this.webrtcViewer = new WebRTCViewer({
+                socket: this.socket,
+                video: this.elements.screenVideo,
+                // A presenting classmate's frames are relayed, so the video waits until they finish
+                onConnected: () => {
+                    if (!this.presenter) this.showWebRTCView();
+                },
+                onFallback: () => this.showRelayView()
+            });
+
             this.setupSocketHandlers();
         } catch (error) {
             console.error('Failed to initialize socket:', error);
@@ -349,22 +860,84 @@ class StudentApp {
             console.log('Connected to server');
             this.reconnectAttempts = 0;
             this.updateStatus('Connected to server', 'connected');
-            socket.emit('identify', { 
-                type: 'student', 
-                name: 'Student',
-                device: navigator.userAgent,
-                resolution: `${window.screen.width}x${window.screen.height}`
-            });
+            this.joinRoom();
+        });
+
+        socket.on('session-joined', (data) => {
+            console.log('🏫 Joined lecture room:', data.code);
+            if (data.code !== this.joinCode) {
+                this.rewindBuffer.clear();
+                this.goLive();
+            }
+            this.joinCode = data.code;
+            this.hideJoinPanel();
+            this.hideLobby();
+            // Keep the code in the address bar so a page refresh rejoins the same room
+            const url = new URL(window.location.href);
+            url.searchParams.set('code', data.code);
+            window.history.replaceState(null, '', url);
+            this.updateStatus(`Joined lecture ${data.code}`, 'connected');
+        });
+
+        // With the lobby on, the lecturer lets students in; 'session-joined' follows once they do
+        socket.on('lobby-status', (data) => {
+            if (data.status === 'waiting') {
+                console.log('🚪 Waiting in the lobby of lecture room:', data.code);
+                this.hideJoinPanel();
+                this.showLobby(data.code);
+                this.updateStatus(`Waiting to be let into lecture ${data.code}`, 'connecting');
+            } else if (data.status === 'denied') {
+                this.hideLobby();
+                this.updateStatus('Not in a lecture', 'disconnected');
+                this.showJoinPanel('The lecturer did not let you in');
+            }
+        });
+
+        // The lecturer did not come back in time, so the room is gone
+        socket.on('session-ended', (data) => {
+            console.log('⌛ Lecture ended:', data.code);
+            this.setLecturerReconnecting(false);
+            if (this.annotations) this.annotations.reset();
+            if (this.laser) this.laser.hide();
+            this.webrtcViewer.close();
+            this.showRelayView();
+            this.clearScreen();
+            this.setShareStatus(null);
+            if (this.labMonitor) this.labMonitor.setStatus({ active: false, status: null });
+            this.joinCode = null;
+            const url = new URL(window.location.href);
+            url.searchParams.delete('code');
+            window.history.replaceState(null, '', url);
+            this.hideLobby();
+            this.updateStatus('Not in a lecture', 'disconnected');
+            this.showJoinPanel(data.message);
         });
 
-        socket.on('screen-update', (data) => {
+        // The server is about to disconnect this page for being idle
+        socket.on('idle-timeout', (data) => {
+            console.log('💤 Disconnected for inactivity');
+            this.timedOut = true;
+            this.hideLobby();
+            this.showJoinPanel(data.message);
+        });
+
+        socket.on('session-error', (data) => {
+            console.warn('Could not join lecture room:', data.message);
+            this.hideLobby();
+            this.updateStatus('Not in a lecture', 'disconnected');
+            this.showJoinPanel(data.message);
+        });
+
+        // The server waits for this acknowledgement before sending more frames
+        socket.on('screen-update', (data, ack) => {
             console.debug('📥 Student received raw screen-update event:', data);
             console.log('📥 Student received screen-update event:', data ? 'has data' : 'no data');
             if (data) {
                 console.log('Frame details:', {
                     frameId: data.frameId,
-                    size: data.size ? `${(data.size / 1024).toFixed(1)}KB` : (data.image ? `${Math.round((data.image.length || 0)/1024)}KB (base64)` : 'unknown'),
-                    hasImage: !!data.image
+                    size: data.size ? `${(data.size / 1024).toFixed(1)}KB` : (data.image ? `${Math.round((data.image.byteLength || data.image.length || 0)/1024)}KB` : 'unknown'),
+                    type: data.type || 'full',
+                    tiles: data.tiles ? data.tiles.length : 0
                 });
             }
             try {
@@ -372,6 +945,163 @@ class StudentApp {
                 this.updateStats(data);
             } catch (error) {
                 console.error('Error processing screen update:', error);
+            } finally {
+                if (typeof ack === 'function') ack();
+            }
+        });
+
+        // Optional WebRTC video track; relayed frames continue until it is playing
+        socket.on('webrtc-available', (data) => {
+            console.log('📹 Lecturer offers WebRTC video');
+            this.webrtcViewer.request(data.lecturerId);
+        });
+
+        socket.on('webrtc-signal', (data) => {
+            this.webrtcViewer.handleSignal(data);
+        });
+
+        socket.on('webrtc-stopped', () => {
+            console.log('📹 WebRTC mode ended, back to relayed frames');
+            this.webrtcViewer.close();
+            this.showRelayView();
+        });
+
+        socket.on('screen-share-stopped', () => {
+            console.log('⏹ Lecturer stopped sharing');
+            this.isShareActive = false;
+            if (this.renderer) this.renderer.reset();
+            if (this.annotations) this.annotations.reset();
+            if (this.laser) this.laser.hide();
+            this.webrtcViewer.close();
+            this.showRelayView();
+            // A student looking back keeps their frame until they return to live
+            if (this.isLive) {
+                this.showWaitingMessage();
+            }
+        });
+
+        // The lecturer can put a student's screen in front of the class
+        socket.on('presenter-changed', (data) => this.setPresenter(data.presenter, data.lecturerSharing));
+
+        // Annotation ops wait in the layer until the frame they were drawn on is shown
+        socket.on('annotation', (op) => {
+            if (this.annotations) this.annotations.apply(op);
+        });
+
+        socket.on('annotation-state', (data) => {
+            if (this.annotations) this.annotations.reset(data.strokes || []);
+        });
+
+        // The laser pointer is live-only; it means nothing over a rewound frame
+        socket.on('pointer', (data) => {
+            if (this.laser && this.isLive) this.laser.update(data);
+        });
+
+        // Session chat; the server sends the history again on every (re)join
+        socket.on('chat-history', (data) => {
+            if (!this.chat) return;
+            this.chat.setMessages(data.messages);
+            this.setPublicChat(data.publicEnabled);
+        });
+
+        socket.on('chat-message', (message) => {
+            if (!this.chat || !this.chat.add(message)) return;
+            if (!message.mine && this.elements.chatDrawer.style.display === 'none') {
+                this.chatUnread++;
+                this.updateChatUnread();
+            }
+        });
+
+        socket.on('chat-settings', (data) => {
+            if (this.chat) this.setPublicChat(data.publicEnabled);
+        });
+
+        socket.on('chat-error', (data) => {
+            if (this.elements.chatError) this.elements.chatError.textContent = data.message;
+        });
+
+        // Q&A board; the full state arrives on every (re)join
+        socket.on('questions-state', (data) => {
+            if (this.questionBoard) this.questionBoard.setQuestions(data.questions);
+        });
+
+        socket.on('question', (question) => {
+            if (this.questionBoard) this.questionBoard.update(question);
+        });
+
+        socket.on('question-error', (data) => {
+            if (this.elements.questionError) this.elements.questionError.textContent = data.message;
+        });
+
+        // Live polls; only an open poll is brought up again after a rejoin
+        socket.on('polls-state', (data) => {
+            const open = data.polls.filter(poll => poll.status === 'open').pop();
+            if (open) {
+                this.handlePoll(open);
+            } else if (this.elements.pollOverlay) {
+                this.currentPoll = null;
+                clearInterval(this.pollTicker);
+                this.elements.pollOverlay.style.display = 'none';
+            }
+        });
+
+        socket.on('poll', (poll) => this.handlePoll(poll));
+
+        // Graded quizzes; after a rejoin the latest one is shown again
+        socket.on('quizzes-state', (data) => {
+            const latest = data.quizzes[data.quizzes.length - 1];
+            if (latest) {
+                this.handleQuiz(latest);
+            } else if (this.quizSheet) {
+                this.quizSheet.clear();
+                this.elements.quizBtn.style.display = 'none';
+                this.setQuizOpen(false);
+            }
+        });
+
+        socket.on('quiz', (quiz) => this.handleQuiz(quiz));
+
+        // Full frames while the lecturer spotlights this screen or the class is watching it
+        socket.on('share-quality', (data) => {
+            this.shareQuality = data.mode === 'full' ? 'full' : 'thumbnail';
+        });
+
+        // The lecturer approves, denies or stops our screen share
+        socket.on('share-status', (data) => {
+            if (data.status === 'approved' && this.shareStatus !== 'approved') {
+                this.showNotification('✅ The lecturer approved your screen share. Press "Start Sharing" to choose a screen.', 6000);
+            } else if (!data.status && data.reason === 'denied') {
+                this.showNotification('The lecturer declined your request to share your screen');
+            } else if (!data.status && data.reason === 'stopped' && this.studentSharingStream) {
+                this.showNotification('The lecturer stopped your screen share');
+            }
+            this.setShareStatus(data.status);
+        });
+
+        // Lab monitoring: the prompt asks first, and the banner stays up while it is on
+        socket.on('monitoring-status', (state) => {
+            if (!this.labMonitor) return;
+            if (this.labMonitor.active && !state.active) {
+                this.showNotification('👁 Lab monitoring has ended');
+            }
+            this.labMonitor.setStatus(state);
+        });
+
+        // Our hand's place in the lecturer's queue, sent on join and whenever it changes
+        socket.on('hand-status', (hand) => this.setHandStatus(hand));
+
+        socket.on('quiz-error', (data) => {
+            if (this.quizSheet && this.quizSheet.quiz) this.quizSheet.setError(data.message);
+        });
+
+        socket.on('poll-error', (data) => {
+            if (this.elements.pollMessage) this.elements.pollMessage.textContent = data.message;
+        });
+
+        // Let students know when the lecture is being recorded
+        socket.on('recording-status', (data) => {
+            if (this.elements.recordingBadge) {
+                this.elements.recordingBadge.style.display = data.recording ? 'block' : 'none';
             }
         });
 
@@ -383,13 +1113,27 @@ class StudentApp {
 
         socket.on('lecturer-disconnected', () => {
             console.log('Lecturer disconnected');
+            this.setLecturerReconnecting(false);
+            if (this.annotations) this.annotations.reset();
+            if (this.laser) this.laser.hide();
+            this.webrtcViewer.close();
+            this.showRelayView();
             this.updateStatus('Waiting for lecturer...', 'disconnected');
             this.showNotification('Lecturer has disconnected');
             this.clearScreen();
         });
 
+        // While the lecturer reconnects the last frame stays up, so a Wi-Fi blip goes almost unnoticed
         socket.on('lecturer-status', (data) => {
-            if (!data.isOnline) {
+            const wasReconnecting = this.lecturerReconnecting;
+            this.setLecturerReconnecting(!data.isOnline && !!data.reconnecting);
+            if (data.isOnline) {
+                if (wasReconnecting) {
+                    this.updateStatus(`Connected to lecturer: ${data.lecturer.name || 'Unknown'}`, 'connected');
+                }
+            } else if (data.reconnecting) {
+                this.updateStatus('Lecturer reconnecting...', 'warning');
+            } else {
                 this.updateStatus('Waiting for lecturer...', 'disconnected');
                 this.showNotification('Lecturer is offline');
                 this.clearScreen();
@@ -404,6 +1148,14 @@ class StudentApp {
         socket.on('disconnect', (reason) => {
             console.log('Disconnected:', reason);
             this.updateStatus('Disconnected from server', 'disconnected');
+            this.setLecturerReconnecting(false);
+            // The server ends a share, and forgets monitoring consent, when its student disconnects
+            this.setShareStatus(null);
+            if (this.labMonitor) this.labMonitor.setStatus({ active: false, status: null });
+            if (this.timedOut) {
+                this.updateStatus('Disconnected for inactivity', 'disconnected');
+                return;
+            }
             this.attemptReconnect();
         });
 
@@ -414,7 +1166,7 @@ class StudentApp {
     }
 
     handleScreenUpdate(data) {
-        if (!data || !data.image) {
+        if (!data || (!data.image && !data.tiles)) {
             console.warn('Received invalid screen update');
             return;
         }
@@ -429,57 +1181,203 @@ class StudentApp {
             this.lastFrameId = data.frameId;
         }
 
-        this.updateScreen(data.image);
+        this.isShareActive = true;
+        this.rewindBuffer.push(data);
+        // Ops older than anything still buffered can never be rewound past
+        const oldest = this.rewindBuffer.first;
+        if (this.annotations && oldest && oldest.frame.frameId !== undefined) {
+            this.annotations.compact(oldest.frame.frameId);
+        }
+        if (this.isLive) {
+            this.updateScreen(data);
+        }
+        this.updateRewindControls();
         this.updateConnectionQuality();
     }
 
-    updateScreen(imageData) {
+    updateScreen(frame) {
+        if (!this.renderer) {
+            this.showError('Screen canvas element not found');
+            return;
+        }
+        this.renderer.render(frame);
+    }
+
+    onFrameRendered(frame) {
+        // The lecturer's annotations and pointer belong to the lecturer's screen only
+        this.showingPresenter = frame && frame.presenter ? frame.presenter : null;
+        this.elements.screen.classList.toggle('presenting', !!this.showingPresenter);
+        this.updatePresenterLabel();
+        if (this.annotations) {
+            this.annotations.showFrame(frame && frame.frameId !== undefined ? frame.frameId : Infinity);
+        }
+        const messageEl = document.getElementById('screenMessage');
+        this.lastFrameTime = performance.now();
+        this.updateLastUpdated();
+        this.elements.screenImage.classList.add('visible');
+        if (messageEl) {
+            messageEl.style.display = 'none';
+        }
+        // Visual feedback: flash border when a new frame is drawn
         try {
-            const img = this.elements.screenImage;
-            
-            if (!img) {
-                this.showError('Screen image element not found');
-                return;
+            if (this.frameFlash) {
+                this.frameFlash.style.borderColor = 'rgba(0,180,255,0.95)';
+                setTimeout(() => {
+                    if (this.frameFlash) this.frameFlash.style.borderColor = 'rgba(0,180,255,0)';
+                }, 120);
             }
+        } catch (err) {
+            console.debug('Frame flash failed', err);
+        }
+    }
 
-            // Ensure onload/onerror handlers are set before assigning src
-            requestAnimationFrame(() => {
-                const messageEl = document.getElementById('screenMessage');
-                console.debug('Updating screen image. imageData length:', imageData ? imageData.length : 0);
+    /**
+     * Switch between the lecturer's screen and a presenting classmate's
+     * @param {Object|null} presenter - { name, isYou }, or null when back to the lecturer
+     * @param {boolean} lecturerSharing - Whether the lecturer has a screen to go back to
+     */
+    setPresenter(presenter, lecturerSharing) {
+        this.presenter = presenter;
+        if (presenter) {
+            // Classmates' frames are relayed, never sent over the lecturer's video track
+            if (this.elements.screen.classList.contains('webrtc-active')) this.showRelayView();
+        } else if (this.webrtcViewer && this.webrtcViewer.isConnected()) {
+            this.showWebRTCView();
+        } else if (!lecturerSharing && this.isLive) {
+            this.isShareActive = false;
+            if (this.renderer) this.renderer.reset();
+            this.elements.screen.classList.remove('presenting');
+            this.showingPresenter = null;
+            this.showWaitingMessage();
+        }
+        this.updatePresenterLabel();
+    }
 
-                img.onload = () => {
-                    this.lastFrameTime = performance.now();
-                    this.updateLastUpdated();
-                    img.classList.add('visible');
-                    if (messageEl) {
-                        messageEl.style.display = 'none';
-                        console.log('✅ Message hidden, image visible');
-                    }
-                    // Visual feedback: flash border when a new frame loads
-                    try {
-                        if (this.frameFlash) {
-                            this.frameFlash.style.borderColor = 'rgba(0,180,255,0.95)';
-                            setTimeout(() => {
-                                if (this.frameFlash) this.frameFlash.style.borderColor = 'rgba(0,180,255,0)';
-                            }, 120);
-                        }
-                    } catch (err) {
-                        console.debug('Frame flash failed', err);
-                    }
-                };
+    updatePresenterLabel() {
+        const label = this.elements.presenterLabel;
+        if (!label) return;
 
-                img.onerror = (e) => {
-                    console.error('Failed to load image:', e);
-                    this.showError('Failed to display screen');
-                };
+        let text = '';
+        if (this.presenter && this.presenter.isYou) {
+            text = '📺 You are presenting your screen to the class';
+        } else if (this.showingPresenter) {
+            text = `📺 ${this.showingPresenter.name || 'A classmate'}'s screen`;
+        }
+        label.textContent = text;
+        label.style.display = text ? 'block' : 'none';
+    }
 
-                // Assign src after handlers are attached
-                img.src = imageData;
-                console.debug('Assigned img.src');
-            });
-        } catch (error) {
-            console.error('Error updating screen:', error);
-            this.showError('Error displaying screen');
+    showWebRTCView() {
+        // The rewind buffer only holds relayed frames
+        this.goLive();
+        this.elements.screen.classList.add('webrtc-active');
+        this.lastFrameTime = performance.now();
+        // The video is live, so every annotation applies
+        if (this.annotations) {
+            this.annotations.attach(this.elements.screenVideo);
+            this.annotations.showFrame(Infinity);
+        }
+        if (this.laser) this.laser.attach(this.elements.screenVideo);
+        this.updateRewindControls();
+    }
+
+    showRelayView() {
+        this.elements.screen.classList.remove('webrtc-active');
+        if (this.annotations && this.elements.screenImage) {
+            this.annotations.attach(this.elements.screenImage);
+        }
+        if (this.laser && this.elements.screenImage) {
+            this.laser.attach(this.elements.screenImage);
+        }
+        this.updateRewindControls();
+    }
+
+    setupRewindControls() {
+        const { rewindSlider, backToLiveBtn } = this.elements;
+        if (!rewindSlider || !backToLiveBtn) return;
+
+        rewindSlider.addEventListener('input', (e) => this.rewindTo(Number(e.target.value)));
+        backToLiveBtn.addEventListener('click', () => this.goLive());
+        this.updateRewindControls();
+    }
+
+    rewindTo(seq) {
+        const latest = this.rewindBuffer.latest;
+        if (!latest || seq >= latest.seq) {
+            this.goLive();
+            return;
+        }
+
+        this.isLive = false;
+        this.elements.screen.classList.add('behind-live');
+        if (this.laser) this.laser.hide();
+        this.showBufferedFrame(seq);
+        this.updateRewindControls();
+    }
+
+    goLive() {
+        if (this.isLive) return;
+
+        this.isLive = true;
+        this.elements.screen.classList.remove('behind-live');
+        const latest = this.rewindBuffer.latest;
+        if (this.isShareActive && latest) {
+            this.showBufferedFrame(latest.seq);
+        } else {
+            if (this.renderer) this.renderer.reset();
+            this.showWaitingMessage();
+        }
+        this.updateRewindControls();
+    }
+
+    // Redraw the picture at a buffered frame; slider moves during a redraw only keep the newest target
+    async showBufferedFrame(seq) {
+        this.rewindTarget = seq;
+        if (this.isRewindRendering || !this.renderer) return;
+
+        this.isRewindRendering = true;
+        while (this.rewindTarget !== null) {
+            const target = this.rewindTarget;
+            this.rewindTarget = null;
+            this.renderer.reset();
+            const frames = this.rewindBuffer.framesUpTo(target);
+            await Promise.all(frames.map(frame => this.renderer.render(frame)));
+        }
+        this.isRewindRendering = false;
+    }
+
+    updateRewindControls() {
+        const { rewindSlider, backToLiveBtn, behindLive } = this.elements;
+        if (!rewindSlider) return;
+
+        const first = this.rewindBuffer.first;
+        const latest = this.rewindBuffer.latest;
+        const webrtcActive = this.elements.screen.classList.contains('webrtc-active');
+
+        rewindSlider.disabled = !latest || webrtcActive;
+        rewindSlider.min = first ? first.seq : 0;
+        rewindSlider.max = latest ? latest.seq : 0;
+        if (this.isLive) {
+            rewindSlider.value = rewindSlider.max;
+        }
+        backToLiveBtn.disabled = this.isLive;
+
+        const viewing = this.isLive ? null : this.rewindBuffer.get(Number(rewindSlider.value));
+        if (viewing && latest) {
+            behindLive.textContent = `⏪ ${Utils.formatTime(latest.receivedAt - viewing.receivedAt)} behind live`;
+            behindLive.style.display = 'inline-block';
+        } else {
+            behindLive.style.display = 'none';
+        }
+    }
+
+    requestKeyframe() {
+        const now = performance.now();
+        if (now - this.lastKeyframeRequest < 1000) return;
+        this.lastKeyframeRequest = now;
+        if (this.socket && this.socket.connected) {
+            console.log('🔑 Missing keyframe, requesting one');
+            this.socket.emit('keyframe-request');
         }
     }
 
@@ -549,12 +1447,29 @@ class StudentApp {
         }, duration);
     }
 
+    showWaitingMessage(message = 'Waiting for the lecturer to start sharing...') {
+        const img = this.elements.screenImage;
+        const messageEl = document.getElementById('screenMessage');
+        if (img) img.classList.remove('visible');
+        if (messageEl) {
+            messageEl.textContent = message;
+            messageEl.style.display = 'flex';
+        }
+    }
+
+    // Hide the picture but keep #screenImage, so the next session's frames can render without a reload
     clearScreen() {
-        this.elements.screen.innerHTML = `
-            <div class="no-content">
-                <p>No active screen sharing session</p>
-            </div>
-        `;
+        this.isShareActive = false;
+        this.lastFrameTime = 0;
+        if (this.renderer) this.renderer.reset();
+        this.showWaitingMessage('No active screen sharing session');
+    }
+
+    setLecturerReconnecting(reconnecting) {
+        this.lecturerReconnecting = reconnecting;
+        if (this.elements.lecturerBadge) {
+            this.elements.lecturerBadge.style.display = reconnecting ? 'block' : 'none';
+        }
     }
 
     handleConnectionChange(isOnline) {
@@ -597,6 +1512,12 @@ class StudentApp {
                 }
             }
         }, 10000);
+
+        setInterval(() => {
+            if (this.socket && this.socket.connected && document.visibilityState === 'visible') {
+                this.socket.emit('ping');
+            }
+        }, KEEPALIVE_INTERVAL);
     }
 
     cleanup() {
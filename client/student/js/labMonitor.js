@@ -0,0 +1,147 @@
+/**
+ * Lab Monitoring for Students
+ * When the lecturer switches monitoring on, the student is asked first.
+ * Nothing is sent until they agree and pick a screen; after that a small
+ * thumbnail goes to the lecturer every few seconds. A banner stays up for
+ * as long as monitoring is on, with a button to stop (or start) sending.
+ */
+
+const THUMBNAIL_WIDTH = 240;
+
+class LabMonitor {
+    /**
+     * @param {Object} options
+     * @param {HTMLElement} options.prompt - Consent prompt, shown while the student has not answered
+     * @param {HTMLElement} options.acceptButton - Agrees and opens the screen picker
+     * @param {HTMLElement} options.declineButton - Says no
+     * @param {HTMLElement} options.banner - Shown for as long as monitoring is on
+     * @param {HTMLElement} options.bannerText - Says whether this screen is being sent
+     * @param {HTMLElement} options.bannerButton - Stops sending, or starts it after saying no
+     * @param {Function} options.onConsent - Called with true once a screen is picked, false to stop
+     * @param {Function} options.onThumbnail - Called with { image, mimeType } for each thumbnail
+     */
+    constructor(options = {}) {
+        this.prompt = options.prompt;
+        this.banner = options.banner;
+        this.bannerText = options.bannerText;
+        this.bannerButton = options.bannerButton;
+        this.onConsent = options.onConsent;
+        this.onThumbnail = options.onThumbnail;
+
+        this.active = false;
+        this.status = null;
+        this.interval = 5000;
+        this.stream = null;
+        this.captureCleanup = null;
+
+        options.acceptButton.addEventListener('click', () => this.accept());
+        options.declineButton.addEventListener('click', () => this.decline());
+        this.bannerButton.addEventListener('click', () => {
+            if (this.stream) {
+                this.decline();
+            } else {
+                this.accept();
+            }
+        });
+    }
+
+    /**
+     * Reflect what the server says about monitoring and this student's answer
+     * @param {Object} state
+     * @param {boolean} state.active - Whether monitoring is on in the room
+     * @param {'asked'|'accepted'|'declined'|'stopped'|null} state.status - This student's answer
+     * @param {number} [state.interval] - Milliseconds between thumbnails
+     */
+    setStatus(state) {
+        this.active = !!state.active;
+        this.status = state.status || null;
+        if (state.interval) this.interval = state.interval;
+
+        if (!this.active || this.status !== 'accepted') this.stopCapture();
+        this.render();
+    }
+
+    render() {
+        this.prompt.style.display = this.active && this.status === 'asked' ? 'flex' : 'none';
+        this.banner.style.display = this.active && this.status !== 'asked' ? 'flex' : 'none';
+        this.banner.classList.toggle('sending', !!this.stream);
+        this.bannerText.textContent = this.stream
+            ? '👁 Lab monitoring: the lecturer can see a thumbnail of your screen'
+            : '👁 Lab monitoring is on. Your screen is not being sent';
+        this.bannerButton.textContent = this.stream ? 'Stop' : 'Share my screen';
+    }
+
+    // The screen picker needs a click from the student, so agreeing opens it
+    async accept() {
+        try {
+            const stream = await navigator.mediaDevices.getDisplayMedia({ video: true, audio: false });
+            if (!this.active) {
+                // Monitoring ended while the picker was open
+                stream.getTracks().forEach(track => track.stop());
+                return;
+            }
+
+            this.stream = stream;
+            stream.getTracks()[0].onended = () => this.decline();
+            this.onConsent(true);
+            this.startCapture();
+            this.render();
+        } catch (error) {
+            if (error.name !== 'NotAllowedError') {
+                console.error('Lab monitoring screen error:', error);
+            }
+        }
+    }
+
+    decline() {
+        this.stopCapture();
+        this.onConsent(false);
+        this.render();
+    }
+
+    startCapture() {
+        const canvas = document.createElement('canvas');
+        const ctx = canvas.getContext('2d');
+        const video = document.createElement('video');
+        video.muted = true;
+        video.srcObject = this.stream;
+        video.play();
+
+        const capture = async () => {
+            if (!video.videoWidth) return;
+            const scale = Math.min(1, THUMBNAIL_WIDTH / video.videoWidth);
+            canvas.width = Math.round(video.videoWidth * scale);
+            canvas.height = Math.round(video.videoHeight * scale);
+            ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
+            try {
+                const image = await Utils.canvasToArrayBuffer(canvas, 'image/jpeg', 0.6);
+                if (image && this.stream) this.onThumbnail({ image, mimeType: 'image/jpeg' });
+            } catch (error) {
+                console.error('Lab monitoring capture error:', error);
+            }
+        };
+
+        // A timer rather than animation frames, so thumbnails keep coming while this tab is in the background
+        const timer = setInterval(capture, this.interval);
+        video.onloadedmetadata = () => capture();
+
+        this.captureCleanup = () => {
+            clearInterval(timer);
+            video.srcObject = null;
+        };
+    }
+
+    stopCapture() {
+        if (this.captureCleanup) {
+            this.captureCleanup();
+            this.captureCleanup = null;
+        }
+        if (this.stream) {
+            this.stream.getTracks().forEach(track => track.stop());
+            this.stream = null;
+            console.log('👁 Lab monitoring stopped on this screen');
+        }
+    }
+}
+
+export default LabMonitor;
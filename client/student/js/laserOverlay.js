@@ -0,0 +1,140 @@
+/**
+ * Laser Pointer Overlay for Students
+ * Draws the lecturer's pointer as a bright dot with a fading trail, plus a
+ * ripple where the lecturer clicked. Positions are normalized to the image.
+ */
+
+const TRAIL_DURATION = 400; // ms a trail point stays visible
+const IDLE_TIMEOUT = 3000; // hide the dot when the lecturer stops moving
+const RIPPLE_DURATION = 600;
+const RIPPLE_RADIUS = 36; // CSS pixels at full size
+const LASER_COLOR = '255, 40, 40';
+
+class LaserOverlay {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.target = null;
+        this.trail = []; // { x, y, t }
+        this.ripples = []; // { x, y, t }
+        this.lastUpdate = 0;
+        this.lastPoint = null; // keeps the dot drawn once the trail has faded
+        this.visible = false;
+        this.animationId = null;
+        this.resizeObserver = window.ResizeObserver ? new ResizeObserver(() => this.fit()) : null;
+    }
+
+    attach(target) {
+        this.target = target;
+        if (this.resizeObserver) {
+            this.resizeObserver.disconnect();
+            this.resizeObserver.observe(target);
+            if (target.parentElement) this.resizeObserver.observe(target.parentElement);
+        }
+        this.fit();
+    }
+
+    fit() {
+        if (this.target) {
+            Utils.fitOverlay(this.canvas, this.target);
+        }
+    }
+
+    /**
+     * Handle one pointer update from the lecturer
+     * @param {{x: number, y: number, click?: boolean, hidden?: boolean}} data
+     */
+    update(data) {
+        const now = performance.now();
+        if (data.hidden) {
+            this.visible = false;
+            this.trail = [];
+        } else {
+            this.visible = true;
+            this.lastUpdate = now;
+            this.trail.push({ x: data.x, y: data.y, t: now });
+            if (data.click) {
+                this.ripples.push({ x: data.x, y: data.y, t: now });
+            }
+        }
+        this.startAnimation();
+    }
+
+    hide() {
+        this.visible = false;
+        this.trail = [];
+        this.ripples = [];
+        this.draw(performance.now());
+    }
+
+    startAnimation() {
+        if (this.animationId) return;
+        const frame = (now) => {
+            const active = this.draw(now);
+            this.animationId = active ? requestAnimationFrame(frame) : null;
+        };
+        this.animationId = requestAnimationFrame(frame);
+    }
+
+    // Returns whether anything is still animating
+    draw(now) {
+        const { width, height } = this.canvas;
+        const ratio = window.devicePixelRatio || 1;
+        const ctx = this.ctx;
+        ctx.clearRect(0, 0, width, height);
+
+        if (now - this.lastUpdate > IDLE_TIMEOUT) {
+            this.visible = false;
+        }
+        this.trail = this.trail.filter(p => now - p.t < TRAIL_DURATION);
+        this.ripples = this.ripples.filter(r => now - r.t < RIPPLE_DURATION);
+
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+
+        // Trail: older segments are thinner and more transparent
+        for (let i = 1; i < this.trail.length; i++) {
+            const a = this.trail[i - 1];
+            const b = this.trail[i];
+            const life = 1 - (now - b.t) / TRAIL_DURATION;
+            ctx.strokeStyle = `rgba(${LASER_COLOR}, ${0.6 * life})`;
+            ctx.lineWidth = 6 * ratio * life;
+            ctx.beginPath();
+            ctx.moveTo(a.x * width, a.y * height);
+            ctx.lineTo(b.x * width, b.y * height);
+            ctx.stroke();
+        }
+
+        this.ripples.forEach(r => {
+            const progress = (now - r.t) / RIPPLE_DURATION;
+            ctx.strokeStyle = `rgba(${LASER_COLOR}, ${1 - progress})`;
+            ctx.lineWidth = 3 * ratio;
+            ctx.beginPath();
+            ctx.arc(r.x * width, r.y * height, RIPPLE_RADIUS * ratio * progress, 0, Math.PI * 2);
+            ctx.stroke();
+        });
+
+        const last = this.trail[this.trail.length - 1] || this.lastPoint;
+        if (this.visible && last) {
+            this.lastPoint = last;
+            ctx.save();
+            ctx.shadowColor = `rgb(${LASER_COLOR})`;
+            ctx.shadowBlur = 16 * ratio;
+            ctx.fillStyle = `rgb(${LASER_COLOR})`;
+            ctx.beginPath();
+            ctx.arc(last.x * width, last.y * height, 7 * ratio, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
+            ctx.beginPath();
+            ctx.arc(last.x * width, last.y * height, 2.5 * ratio, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.restore();
+        } else {
+            this.lastPoint = null;
+        }
+
+        return this.visible || this.trail.length > 0 || this.ripples.length > 0;
+    }
+}
+
+export default LaserOverlay;
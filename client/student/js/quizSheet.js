@@ -0,0 +1,195 @@
+/**
+ * Quiz Sheet for Students
+ * Shows every question of the lecturer's quiz at once with a countdown, hands
+ * the answers in once (automatically when time runs out), and shows the
+ * student's marks and the correct answers after the quiz closes.
+ */
+
+class QuizSheet {
+    /**
+     * @param {Object} options
+     * @param {HTMLElement} options.body - Element the quiz is rendered into
+     * @param {HTMLElement} options.countdown - Element showing the time left
+     * @param {Function} options.onSubmit - Called with (quizId, answers)
+     */
+    constructor(options = {}) {
+        this.body = options.body;
+        this.countdown = options.countdown;
+        this.onSubmit = options.onSubmit;
+        this.quiz = null;
+        this.answers = [];
+        this.sending = false;
+        this.error = '';
+        this.deadline = null;
+        this.ticker = null;
+    }
+
+    /**
+     * Show the latest state of a quiz
+     * @param {Object} quiz - Quiz view from the server
+     * @returns {boolean} False if the update is about an older quiz and was ignored
+     */
+    show(quiz) {
+        const previous = this.quiz;
+        const isNew = !previous || previous.id !== quiz.id;
+        if (isNew && previous && quiz.startedAt < previous.startedAt) return false;
+
+        if (isNew) {
+            this.answers = quiz.questions.map(() => null);
+        }
+        this.quiz = quiz;
+        this.sending = false;
+        this.error = '';
+        this.render();
+        this.startCountdown();
+        return true;
+    }
+
+    clear() {
+        this.quiz = null;
+        clearInterval(this.ticker);
+        this.ticker = null;
+        this.countdown.textContent = '';
+        this.body.innerHTML = '';
+    }
+
+    setError(message) {
+        this.sending = false;
+        this.error = message;
+        this.render();
+    }
+
+    canAnswer() {
+        return this.quiz.status === 'open' && !this.quiz.submitted && !this.sending;
+    }
+
+    submit() {
+        if (!this.quiz || !this.canAnswer()) return;
+        this.sending = true;
+        this.error = '';
+        this.onSubmit(this.quiz.id, this.answers);
+        this.render();
+    }
+
+    startCountdown() {
+        clearInterval(this.ticker);
+        this.ticker = null;
+        this.countdown.textContent = '';
+        if (this.quiz.status !== 'open' || this.quiz.remaining === null) return;
+
+        this.deadline = Date.now() + this.quiz.remaining;
+        const tick = () => {
+            const left = this.deadline - Date.now();
+            this.countdown.textContent = `⏱ ${Utils.formatCountdown(left)}`;
+            // Whatever has been filled in is handed in when time is up
+            if (left <= 0) {
+                clearInterval(this.ticker);
+                this.ticker = null;
+                this.submit();
+            }
+        };
+        tick();
+        this.ticker = setInterval(tick, 1000);
+    }
+
+    render() {
+        const quiz = this.quiz;
+        this.body.innerHTML = '';
+
+        const title = document.createElement('h4');
+        title.className = 'quiz-title';
+        title.textContent = quiz.title;
+        const summary = document.createElement('div');
+        summary.className = 'quiz-summary';
+        summary.textContent = this.getSummary();
+        this.body.append(title, summary);
+
+        quiz.questions.forEach((question, index) => {
+            this.body.appendChild(this.renderQuestion(question, index));
+        });
+
+        const error = document.createElement('div');
+        error.className = 'chat-error';
+        error.textContent = this.error;
+        this.body.appendChild(error);
+
+        if (quiz.status === 'open' && !quiz.submitted) {
+            const submit = document.createElement('button');
+            submit.type = 'button';
+            submit.className = 'control-btn quiz-submit';
+            submit.textContent = this.sending ? 'Handing in...' : 'Hand in';
+            submit.disabled = this.sending;
+            submit.addEventListener('click', () => this.submit());
+            this.body.appendChild(submit);
+        }
+    }
+
+    getSummary() {
+        const quiz = this.quiz;
+        if (quiz.result) return `You scored ${quiz.result.score} / ${quiz.maxScore}`;
+        if (quiz.status !== 'open') {
+            return quiz.submitted ? 'This quiz has closed' : 'This quiz closed before you handed it in';
+        }
+        if (quiz.submitted) return '✓ Handed in. Your score will appear when the quiz closes.';
+        return `${quiz.questions.length} ${quiz.questions.length === 1 ? 'question' : 'questions'} · ${quiz.maxScore} points`;
+    }
+
+    renderQuestion(question, index) {
+        const quiz = this.quiz;
+        const result = quiz.result;
+        const item = document.createElement('div');
+        item.className = 'quiz-question';
+        if (result) item.classList.add(result.correct[index] ? 'correct' : 'wrong');
+
+        const text = document.createElement('p');
+        text.className = 'poll-question';
+        text.textContent = `${index + 1}. ${question.text}${question.points > 1 ? ` (${question.points} points)` : ''}`;
+        item.appendChild(text);
+
+        const enabled = this.canAnswer();
+        if (question.type === 'choice') {
+            const choices = document.createElement('div');
+            choices.className = 'poll-choices';
+            question.options.forEach((option, optionIndex) => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'poll-choice';
+                button.textContent = option;
+                button.disabled = !enabled;
+                button.classList.toggle('selected', this.answers[index] === optionIndex);
+                button.addEventListener('click', () => {
+                    this.answers[index] = optionIndex;
+                    choices.querySelectorAll('button').forEach((other, otherIndex) => {
+                        other.classList.toggle('selected', otherIndex === optionIndex);
+                    });
+                });
+                choices.appendChild(button);
+            });
+            item.appendChild(choices);
+        } else {
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.className = 'quiz-answer';
+            input.maxLength = 200;
+            input.placeholder = 'Your answer';
+            input.value = this.answers[index] || '';
+            input.disabled = !enabled;
+            input.addEventListener('input', () => {
+                this.answers[index] = input.value;
+            });
+            item.appendChild(input);
+        }
+
+        if (question.correctAnswer !== undefined) {
+            const feedback = document.createElement('div');
+            feedback.className = 'poll-message';
+            const mark = result ? (result.correct[index] ? '✓ ' : '✗ ') : '';
+            const yours = result ? `Your answer: ${result.answers[index] || '(none)'} · ` : '';
+            feedback.textContent = `${mark}${yours}Correct answer: ${question.correctAnswer}`;
+            item.appendChild(feedback);
+        }
+        return item;
+    }
+}
+
+export default QuizSheet;
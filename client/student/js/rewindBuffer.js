@@ -0,0 +1,88 @@
+/**
+ * Rewind Buffer for Students
+ * Keeps the last few minutes of received frames so a student can step back
+ * through them. Entries are stored as keyframe chains (a keyframe followed by
+ * the deltas built on it) and evicted a whole chain at a time, oldest first.
+ */
+class RewindBuffer {
+    constructor(options = {}) {
+        this.maxAge = options.maxAge || 5 * 60 * 1000; // 5 minutes
+        this.maxBytes = options.maxBytes || 50 * 1024 * 1024; // 50MB of JPEG data
+        this.entries = []; // { seq, frame, receivedAt, bytes }
+        this.totalBytes = 0;
+        this.nextSeq = 0;
+        this.keyframeId = null;
+    }
+
+    static frameBytes(frame) {
+        const size = (image) => (image ? (image.byteLength ?? image.length ?? 0) : 0);
+        if (frame.type === 'delta') {
+            return frame.tiles.reduce((sum, tile) => sum + size(tile.image), 0);
+        }
+        return size(frame.image);
+    }
+
+    push(frame) {
+        if (frame.type === 'delta') {
+            // Tiles without their keyframe can never be shown again
+            if (frame.keyframeId !== this.keyframeId) return null;
+        } else {
+            this.keyframeId = frame.keyframeId ?? frame.frameId;
+        }
+
+        const entry = {
+            seq: this.nextSeq++,
+            frame,
+            receivedAt: Date.now(),
+            bytes: RewindBuffer.frameBytes(frame)
+        };
+        this.entries.push(entry);
+        this.totalBytes += entry.bytes;
+        this.evict();
+        return entry;
+    }
+
+    evict() {
+        const cutoff = Date.now() - this.maxAge;
+        while (this.totalBytes > this.maxBytes || (this.entries.length > 0 && this.entries[0].receivedAt < cutoff)) {
+            // The newest chain is always kept, however large it is
+            const nextKeyframe = this.entries.findIndex((entry, i) => i > 0 && entry.frame.type !== 'delta');
+            if (nextKeyframe === -1) break;
+            this.entries.splice(0, nextKeyframe).forEach((entry) => {
+                this.totalBytes -= entry.bytes;
+            });
+        }
+    }
+
+    get(seq) {
+        return this.entries.find((entry) => entry.seq === seq) || null;
+    }
+
+    // Frames needed to draw the picture at seq: its keyframe and the deltas up to it
+    framesUpTo(seq) {
+        const end = this.entries.findIndex((entry) => entry.seq === seq);
+        if (end === -1) return [];
+
+        let start = end;
+        while (start > 0 && this.entries[start].frame.type === 'delta') {
+            start--;
+        }
+        return this.entries.slice(start, end + 1).map((entry) => entry.frame);
+    }
+
+    get first() {
+        return this.entries[0] || null;
+    }
+
+    get latest() {
+        return this.entries[this.entries.length - 1] || null;
+    }
+
+    clear() {
+        this.entries = [];
+        this.totalBytes = 0;
+        this.keyframeId = null;
+    }
+}
+
+export default RewindBuffer;
@@ -0,0 +1,123 @@
+/**
+ * WebRTC Viewer for Students
+ * Receives the lecturer's screen as a video track; reports back to the server
+ * so relayed JPEG frames stop while the video plays and resume if it fails
+ */
+class WebRTCViewer {
+    constructor(options = {}) {
+        this.socket = options.socket;
+        this.video = options.video;
+        this.onConnected = options.onConnected || (() => {});
+        this.onFallback = options.onFallback || (() => {});
+        this.pc = null;
+        this.lecturerId = null;
+        this.connectTimeout = null;
+        this.connectTimeoutMs = 10000;
+
+        // Host candidates only, matching the lecturer side
+        this.rtcConfig = { iceServers: [] };
+    }
+
+    static isSupported() {
+        // Receiving needs only RTCPeerConnection, which (unlike mediaDevices)
+        // is also available on the plain-HTTP classroom server
+        return 'RTCPeerConnection' in window;
+    }
+
+    request(lecturerId) {
+        if (!WebRTCViewer.isSupported()) {
+            console.log('📹 WebRTC not supported, staying on relayed frames');
+            return;
+        }
+
+        this.close();
+        this.lecturerId = lecturerId;
+        this.socket.emit('webrtc-request');
+
+        // Give up on networks where the peers cannot reach each other
+        this.connectTimeout = setTimeout(() => {
+            console.warn('📹 WebRTC connection timed out');
+            this.fallback();
+        }, this.connectTimeoutMs);
+    }
+
+    async handleSignal(data) {
+        if (data.from !== this.lecturerId) return;
+
+        try {
+            if (data.description && data.description.type === 'offer') {
+                this.createPeerConnection();
+                await this.pc.setRemoteDescription(data.description);
+                const answer = await this.pc.createAnswer();
+                await this.pc.setLocalDescription(answer);
+                this.socket.emit('webrtc-signal', { to: this.lecturerId, description: this.pc.localDescription });
+            } else if (data.candidate && this.pc) {
+                await this.pc.addIceCandidate(data.candidate);
+            }
+        } catch (error) {
+            console.error('Failed to apply WebRTC signal:', error);
+            this.fallback();
+        }
+    }
+
+    createPeerConnection() {
+        if (this.pc) {
+            this.pc.close();
+        }
+        const pc = new RTCPeerConnection(this.rtcConfig);
+        this.pc = pc;
+
+        pc.ontrack = (event) => {
+            this.video.srcObject = event.streams[0] || new MediaStream([event.track]);
+            this.video.play().catch(err => console.debug('Video autoplay deferred:', err));
+        };
+
+        pc.onicecandidate = (event) => {
+            if (event.candidate) {
+                this.socket.emit('webrtc-signal', { to: this.lecturerId, candidate: event.candidate });
+            }
+        };
+
+        pc.onconnectionstatechange = () => {
+            console.log(`📹 WebRTC connection: ${pc.connectionState}`);
+            if (pc.connectionState === 'connected') {
+                clearTimeout(this.connectTimeout);
+                this.socket.emit('webrtc-status', { connected: true });
+                this.onConnected();
+            } else if (pc.connectionState === 'failed') {
+                this.fallback();
+            }
+        };
+    }
+
+    isConnected() {
+        return !!this.pc && this.pc.connectionState === 'connected';
+    }
+
+    // Drop the peer connection and ask the server for relayed frames again
+    fallback() {
+        const wasActive = !!this.pc || !!this.connectTimeout;
+        this.close();
+        if (wasActive && this.socket.connected) {
+            this.socket.emit('webrtc-status', { connected: false });
+        }
+        this.onFallback();
+    }
+
+    close() {
+        clearTimeout(this.connectTimeout);
+        this.connectTimeout = null;
+        if (this.pc) {
+            this.pc.ontrack = null;
+            this.pc.onicecandidate = null;
+            this.pc.onconnectionstatechange = null;
+            this.pc.close();
+            this.pc = null;
+        }
+        if (this.video) {
+            this.video.srcObject = null;
+        }
+    }
+}
+
+export default WebRTCViewer;
@@ -7,9 +7,10 @@ const io = require('socket.io-client');
 const axios = require('axios');
 
 class PerformanceTester {
-    constructor(serverUrl, numClients = 10) {
+    constructor(serverUrl, numClients = 10, joinCode = null) {
         this.serverUrl = serverUrl;
         this.numClients = numClients;
+        this.joinCode = joinCode; // Lecture room the simulated students join
         this.clients = [];
         this.metrics = {
             startTime: null,
@@ -24,6 +25,7 @@ class PerformanceTester {
     async runTest(duration = 60000) { // 1 minute test
         console.log(`🚀 Starting performance test with ${this.numClients} clients`);
         console.log(`🔗 Server: ${this.serverUrl}`);
+        console.log(`🏫 Join code: ${this.joinCode || '(none)'}`);
         console.log(`⏱️ Duration: ${duration / 1000} seconds`);
         console.log('=' .repeat(50));
         
@@ -79,11 +81,14 @@ class PerformanceTester {
                     client.emit('identify', {
                         type: 'student',
                         name: `TestStudent_${id}`,
+                        code: this.joinCode,
                         device: 'PerformanceTester'
                     });
                     
                     // Track frames received
-                    client.on('screen-update', (data) => {
+                    client.on('screen-update', (data, ack) => {
+                        // Acknowledge like the real student page, or the relay holds frames back
+                        if (typeof ack === 'function') ack();
                         this.metrics.totalFrames++;
                         this.metrics.totalData += data.size || 0;
                         
@@ -229,8 +234,9 @@ if (require.main === module) {
     const serverUrl = process.argv[2] || 'http://localhost:3000';
     const numClients = parseInt(process.argv[3]) || 10;
     const duration = parseInt(process.argv[4]) || 30000; // 30 seconds
+    const joinCode = process.argv[5] || null; // Join code shown on the lecturer page
     
-    const tester = new PerformanceTester(serverUrl, numClients);
+    const tester = new PerformanceTester(serverUrl, numClients, joinCode);
     
     // Run health check first
     tester.testServerHealth().then(healthy => {
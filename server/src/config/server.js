@@ -2,16 +2,45 @@ import dotenv from 'dotenv';
 
 dotenv.config();
 
+// For settings where 0 means something (switched off, no minimum), unlike `parseInt(...) || fallback`
+const envInt = (name, fallback) => {
+  const value = parseInt(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+};
+
 export default {
   port: process.env.PORT || 3000,
   host: process.env.HOST || '0.0.0.0',
   env: process.env.NODE_ENV || 'development',
+
+  auth: {
+    lecturerPin: process.env.LECTURER_PIN,
+    tokenSecret: process.env.AUTH_SECRET,
+    tokenTtl: parseInt(process.env.AUTH_TOKEN_TTL) || 12 * 60 * 60 * 1000 // 12 hours
+  },
   
+  relay: {
+    maxInFlight: parseInt(process.env.RELAY_MAX_IN_FLIGHT) || 2, // unacknowledged frames per recipient
+    ackTimeout: parseInt(process.env.RELAY_ACK_TIMEOUT) || 5000,
+    statsInterval: 5000
+  },
+
+  attendance: {
+    minMinutes: envInt('ATTENDANCE_MIN_MINUTES', 30) // minutes present to be marked present; 0 counts everyone who joined
+  },
+
+  recording: {
+    dir: process.env.RECORDINGS_DIR || 'recordings' // relative to the server's working directory
+  },
+
   networkInfo: {
     ssid: 'MUST-Lecture-Sharing',
     ipRange: '192.168.0.100-192.168.0.200',
-    maxClients: 40,
-    sessionTimeout: 3600000,
+    maxClients: parseInt(process.env.MAX_CLIENTS) || 40, // students across all rooms, lobbies included
+    sessionTimeout: parseInt(process.env.SESSION_TIMEOUT) || 3600000, // disconnect clients idle this long
+    lecturerGrace: envInt('LECTURER_GRACE', 30000), // students keep the last frame this long while a dropped lecturer reconnects; 0 switches it off
+    lecturerTimeout: parseInt(process.env.LECTURER_TIMEOUT) || 15 * 60 * 1000, // end a session once its lecturer has been gone this long
+    sweepInterval: 60000,
     broadcastInterval: 1000
   }
 };
\ No newline at end of file
@@ -1,187 +1,1507 @@
 import { Server } from 'socket.io';
+import rooms from '../services/rooms.js';
+import auth from '../services/auth.js';
+import frameRelay from '../services/frameRelay.js';
+import recorder from '../services/recorder.js';
+import annotations from '../services/annotations.js';
+import chat from '../services/chat.js';
+import questions from '../services/questions.js';
+import polls from '../services/polls.js';
+import quizzes from '../services/quizzes.js';
+import hands from '../services/hands.js';
+import screenShares from '../services/screenShares.js';
+import monitoring from '../services/monitoring.js';
+import roster from '../services/roster.js';
+import attendance from '../services/attendance.js';
+import lobby from '../services/lobby.js';
+import config from './server.js';
 
 let io = null;
 const clients = new Map();
 
-const broadcastClientCount = () => {
-    const clientCount = clients.size;
-    console.log('📊 Broadcasting client count:', clientCount);
-    io.emit('client-count', { count: clientCount });
+// Students in one room share a keyframe, so one request per second is plenty
+const KEYFRAME_REQUEST_INTERVAL = 1000;
+
+// Students pick their own clientId (kept in localStorage) so they can be recognised across reconnects
+const CLIENT_ID_PATTERN = /^[A-Za-z0-9-]{16,64}$/;
+
+// Emit to the lecturer of a room, if one is connected
+const emitToLecturer = (room, event, payload) => {
+    if (room && room.lecturerId) {
+        io.to(room.lecturerId).emit(event, payload);
+    }
+};
+
+// Stream key for a student's screen frames on the lecturer's socket
+const studentScreenStream = (studentId) => `student-screen:${studentId}`;
+
+// Send a frame to a student through the per-recipient flow control
+const relayToStudent = (studentId, frame) => {
+    const studentSocket = io.sockets.sockets.get(studentId);
+    if (studentSocket) {
+        frameRelay.send(studentSocket, 'screen-update', frame);
+    }
+};
+
+// How the lecturer's views name a student: their roster name and registration number, flagged if unknown
+const identityOf = (clientData) => ({
+    name: clientData ? clientData.name : undefined,
+    registration: (clientData && clientData.registration) || null,
+    unknown: !!(clientData && clientData.unknown)
+});
+
+// Report how many frames each student has had dropped, so the lecturer can see who is struggling
+const broadcastRelayStats = () => {
+    for (const room of rooms.getRooms()) {
+        if (!room.lecturerId) continue;
+
+        const students = Array.from(room.students).map((studentId) => ({
+            studentId,
+            ...identityOf(clients.get(studentId)),
+            ...frameRelay.getStats(studentId, 'screen-update')
+        }));
+        io.to(room.lecturerId).emit('relay-stats', { students });
+    }
+};
+
+// Resend the cached picture to a student, e.g. one falling back from WebRTC to the relay.
+// While a student presents, that is their latest frame instead of the lecturer's
+const sendCachedFrames = (room, studentId) => {
+    if (room.presenter) {
+        if (room.presenter.frame && studentId !== room.presenter.studentId) {
+            relayToStudent(studentId, { ...room.presenter.frame, fromCache: true });
+        }
+        return;
+    }
+    for (const frame of room.cachedFrames) {
+        relayToStudent(studentId, { ...frame, fromCache: true });
+    }
+};
+
+// Leave WebRTC mode: everyone goes back to relayed frames
+const stopWebRTC = (room) => {
+    if (!room.webrtcActive) return;
+
+    room.webrtcActive = false;
+    const viewers = Array.from(room.webrtcStudents);
+    room.webrtcStudents.clear();
+    io.to(rooms.channel(room.code)).emit('webrtc-stopped');
+    viewers.forEach((studentId) => sendCachedFrames(room, studentId));
+};
+
+// Forget the lecturer's screen and tell the room it is gone
+const stopLecturerShare = (room) => {
+    room.cachedFrames = [];
+    room.annotations.clear();
+    stopWebRTC(room);
+    recorder.recordEvent(room.recording, 'screen-share-stopped');
+    // Students watching a presenting classmate keep that picture
+    if (room.presenter) return;
+    io.to(rooms.channel(room.code)).emit('screen-share-stopped', {
+        timestamp: new Date().toISOString()
+    });
+};
+
+const getRecordingStatus = (room) => ({
+    recording: !!room.recording,
+    id: room.recording ? room.recording.id : null,
+    startedAt: room.recording ? room.recording.startedAt.toISOString() : null
+});
+
+// Everyone in the room is told when the session is being recorded
+const broadcastRecordingStatus = (room) => {
+    io.to(rooms.channel(room.code)).emit('recording-status', getRecordingStatus(room));
+};
+
+const stopRecording = (room) => {
+    if (!room.recording) return null;
+
+    const meta = recorder.stop(room.recording);
+    room.recording = null;
+    return meta;
+};
+
+// Who a poll vote or quiz submission belongs to (see roster.voterId)
+const voterOf = (room, clientData) => (clientData ? roster.voterId(room, clientData) : undefined);
+
+// Who chat messages and questions are being shown to
+const viewerOf = (room, socketId) => ({
+    isLecturer: room.lecturerId === socketId,
+    studentId: clients.get(socketId)?.clientId,
+    voterId: voterOf(room, clients.get(socketId))
+});
+
+// Send a chat message to everyone allowed to see it, each in their own view
+const deliverChatMessage = (room, message) => {
+    emitToLecturer(room, 'chat-message', message);
+    for (const studentId of room.students) {
+        const viewer = viewerOf(room, studentId);
+        if (chat.isVisibleTo(message, viewer)) {
+            io.to(studentId).emit('chat-message', chat.viewFor(message, viewer));
+        }
+    }
+};
+
+const sendChatHistory = (socket, room) => {
+    socket.emit('chat-history', {
+        messages: chat.getHistory(room, viewerOf(room, socket.id)),
+        publicEnabled: room.chat.publicEnabled
+    });
+};
+
+// Send a question's new state to the room; each student gets their own vote flags
+const broadcastQuestion = (room, question) => {
+    emitToLecturer(room, 'question', questions.viewFor(question, { isLecturer: true }));
+    for (const studentId of room.students) {
+        io.to(studentId).emit('question', questions.viewFor(question, viewerOf(room, studentId)));
+    }
+};
+
+const sendQuestions = (socket, room) => {
+    socket.emit('questions-state', { questions: questions.list(room, viewerOf(room, socket.id)) });
+};
+
+// Send a poll's new state to the lecturer and, unless only the counts changed, to every student
+const broadcastPoll = (room, poll, includeStudents = true) => {
+    emitToLecturer(room, 'poll', polls.viewFor(poll, { isLecturer: true }));
+    if (!includeStudents) return;
+    for (const studentId of room.students) {
+        io.to(studentId).emit('poll', polls.viewFor(poll, viewerOf(room, studentId)));
+    }
+};
+
+const endPoll = (room, poll) => {
+    clearTimeout(poll.timer);
+    if (!polls.close(poll)) return;
+
+    console.log(`📊 Poll closed in room ${room.code}: ${poll.votes.size} votes`);
+    recorder.recordEvent(room.recording, 'poll-closed', {
+        question: poll.question,
+        options: poll.options,
+        counts: polls.getCounts(poll)
+    });
+    broadcastPoll(room, poll);
+};
+
+// Send a quiz's new state to the lecturer and, unless only the results changed, to every student
+const broadcastQuiz = (room, quiz, includeStudents = true) => {
+    emitToLecturer(room, 'quiz', quizzes.viewFor(quiz, { isLecturer: true }));
+    if (!includeStudents) return;
+    for (const studentId of room.students) {
+        io.to(studentId).emit('quiz', quizzes.viewFor(quiz, viewerOf(room, studentId)));
+    }
+};
+
+const endQuiz = (room, quiz) => {
+    clearTimeout(quiz.timer);
+    if (!quizzes.close(quiz)) return;
+
+    console.log(`📝 Quiz closed in room ${room.code}: ${quiz.submissions.size} submissions`);
+    recorder.recordEvent(room.recording, 'quiz-closed', { title: quiz.title, submissions: quiz.submissions.size });
+    broadcastQuiz(room, quiz);
+};
+
+// The lecturer's hand queue, with who is still connected
+const sendHandQueue = (room) => {
+    if (!room.lecturerId) return;
+    const online = new Set(Array.from(room.students, (studentId) => viewerOf(room, studentId).studentId));
+    emitToLecturer(room, 'hands-state', { hands: hands.list(room, online) });
+};
+
+// Positions shift whenever the queue changes, so every student in it is told their place.
+// `lowered` lists students whose hands just came down, who are not in the queue any more
+const broadcastHands = (room, lowered = []) => {
+    sendHandQueue(room);
+    for (const studentId of room.students) {
+        const clientId = viewerOf(room, studentId).studentId;
+        if (room.hands.has(clientId) || lowered.includes(clientId)) {
+            io.to(studentId).emit('hand-status', hands.statusFor(room, clientId));
+        }
+    }
+};
+
+const sendShareRequests = (room) => {
+    emitToLecturer(room, 'share-requests', { shares: screenShares.list(room) });
+};
+
+// Tell every sharing student whether to send full frames or thumbnails
+const sendShareQuality = (room) => {
+    for (const share of screenShares.list(room)) {
+        if (share.status === 'approved') {
+            io.to(share.studentId).emit('share-quality', { mode: screenShares.qualityFor(room, share.studentId) });
+        }
+    }
+};
+
+const getPresenter = (room) => (room.presenter ? { studentId: room.presenter.studentId, name: room.presenter.name } : null);
+
+// Tell the room whose screen is on show; students only need the name
+const broadcastPresenter = (room) => {
+    const presenter = getPresenter(room);
+    emitToLecturer(room, 'presenter-changed', { presenter });
+    const others = [room.lecturerId, presenter && presenter.studentId].filter(Boolean);
+    io.to(rooms.channel(room.code)).except(others).emit('presenter-changed', {
+        presenter: presenter ? { name: presenter.name, isYou: false } : null,
+        lecturerSharing: room.cachedFrames.length > 0
+    });
+    if (presenter) {
+        io.to(presenter.studentId).emit('presenter-changed', {
+            presenter: { name: presenter.name, isYou: true },
+            lecturerSharing: room.cachedFrames.length > 0
+        });
+    }
+};
+
+// A student's frames are whole pictures; shape them like lecturer keyframes for the class.
+// Their own keyframe ids keep lecturer deltas from being drawn on top of them
+const toPresenterFrame = (room, data) => {
+    const [width, height] = String(data.resolution || '').split('x').map(Number);
+    const sequence = room.presenter.frameCount++;
+    return {
+        type: 'key',
+        image: data.image,
+        mimeType: data.mimeType,
+        keyframeId: `presenter-${sequence}`,
+        resolution: width && height ? { width, height } : undefined,
+        size: data.size,
+        presenter: { name: room.presenter.name },
+        timestamp: new Date().toISOString()
+    };
+};
+
+const startPresenting = (room, share) => {
+    room.presenter = { studentId: share.studentId, name: share.name, frame: null, frameCount: 0 };
+    console.log(`📺 ${share.name} is presenting to room ${room.code}`);
+    recorder.recordEvent(room.recording, 'presenting-started', { name: share.name });
+    broadcastPresenter(room);
+    sendShareQuality(room);
+};
+
+// Back to the lecturer's screen: students get the lecturer's current picture again
+const stopPresenting = (room) => {
+    if (!room.presenter) return;
+
+    const { name } = room.presenter;
+    room.presenter = null;
+    console.log(`📺 Room ${room.code} is back on the lecturer's screen`);
+    recorder.recordEvent(room.recording, 'presenting-stopped', { name });
+    room.cachedFrames.forEach((frame) => recorder.recordFrame(room.recording, frame));
+    broadcastPresenter(room);
+    sendShareQuality(room);
+    for (const studentId of room.students) {
+        if (!room.webrtcStudents.has(studentId)) {
+            sendCachedFrames(room, studentId);
+        }
+    }
+};
+
+// End a student's share or request; the student's page stops capturing when told
+const endShare = (room, studentId, reason) => {
+    const share = screenShares.end(room, studentId);
+    if (!share) return;
+
+    if (room.presenter && room.presenter.studentId === studentId) {
+        stopPresenting(room);
+    }
+    if (room.spotlight === studentId) {
+        room.spotlight = null;
+    }
+
+    if (share.status === 'approved') {
+        recorder.recordEvent(room.recording, 'student-share-ended', { name: share.name });
+    }
+    if (room.lecturerId) {
+        frameRelay.forget(room.lecturerId, studentScreenStream(studentId));
+    }
+    io.to(studentId).emit('share-status', { status: null, reason });
+    sendShareRequests(room);
+};
+
+const sendMonitoring = (room) => {
+    emitToLecturer(room, 'monitoring-state', monitoring.list(room));
+};
+
+// Every student hears whether monitoring is on and what they answered
+const broadcastMonitoring = (room) => {
+    for (const studentId of room.students) {
+        io.to(studentId).emit('monitoring-status', monitoring.statusFor(room, studentId));
+    }
+    sendMonitoring(room);
+};
+
+// Students connected to a room as the roster service sees them. The name is the one they typed,
+// since the roster's spelling would make two students claiming one number look alike
+const rosterClaims = (room) => Array.from(room.students, (studentId) => clients.get(studentId))
+    .filter(Boolean)
+    .map((student) => ({
+        studentId: student.id,
+        clientId: student.clientId,
+        name: (student.entered && student.entered.name) || student.name,
+        registration: student.registration,
+        duplicate: !!student.duplicate
+    }));
+
+// The roster with who is here, plus students who joined but are not on it
+const sendRoster = (room) => {
+    const students = Array.from(room.students, (studentId) => clients.get(studentId)).filter(Boolean);
+    emitToLecturer(room, 'roster-state', {
+        students: roster.list(room, new Set(students.map((student) => student.registration))),
+        unknown: students
+            .filter((student) => student.unknown)
+            .map((student) => ({ studentId: student.id, ...identityOf(student) })),
+        duplicates: roster.findDuplicates(rosterClaims(room))
+    });
 };
 
-const broadcastLecturerStatus = () => {
-    const lecturer = Array.from(clients.values()).find(client => client.type === 'lecturer');
-    io.emit('lecturer-status', { 
+// Match a student to the roster, using what they typed when they joined
+const applyRoster = (room, clientData) => {
+    Object.assign(clientData, roster.identify(room, clientData.entered || {}));
+};
+
+// The waiting room, plus who is in the lecture so they can be sent back to it
+const sendLobby = (room) => {
+    emitToLecturer(room, 'lobby-state', {
+        ...lobby.list(room),
+        admitted: Array.from(room.students, (studentId) => ({ studentId, ...identityOf(clients.get(studentId)) }))
+    });
+};
+
+// After the roster changes, rename everyone already here, including in the queues they are in
+const refreshRoster = (room) => {
+    for (const studentId of room.students) {
+        const clientData = clients.get(studentId);
+        if (!clientData) continue;
+        applyRoster(room, clientData);
+        const identity = identityOf(clientData);
+        [room.hands.get(clientData.clientId), room.shares.get(studentId), room.monitoring && room.monitoring.students.get(studentId)]
+            .filter(Boolean)
+            .forEach((entry) => Object.assign(entry, identity));
+    }
+    // Check every claim again, in the order students joined, as enterRoom does for one
+    const checked = [];
+    for (const claim of rosterClaims(room)) {
+        const duplicate = roster.isClaimed(checked, claim);
+        clients.get(claim.studentId).duplicate = duplicate;
+        checked.push({ ...claim, duplicate });
+    }
+    for (const entry of room.lobby.waiting.values()) {
+        const clientData = clients.get(entry.studentId);
+        if (!clientData) continue;
+        applyRoster(room, clientData);
+        Object.assign(entry, identityOf(clientData));
+    }
+    sendLobby(room);
+    sendHandQueue(room);
+    sendShareRequests(room);
+    if (room.monitoring) {
+        sendMonitoring(room);
+    }
+    sendRoster(room);
+};
+
+const broadcastClientCount = (room) => {
+    const clientCount = room.students.size;
+    console.log(`📊 Broadcasting client count for room ${room.code}:`, clientCount);
+    io.to(rooms.channel(room.code)).emit('client-count', { count: clientCount });
+};
+
+const getLecturerStatus = (room) => {
+    const lecturer = room.lecturerId ? clients.get(room.lecturerId) : null;
+    return {
         isOnline: !!lecturer,
+        // Dropped but may come back: students keep the last frame meanwhile
+        reconnecting: !lecturer && !!room.lecturerGraceTimer,
         lecturer: lecturer ? { id: lecturer.id, name: lecturer.name } : null
+    };
+};
+
+const broadcastLecturerStatus = (room) => {
+    io.to(rooms.channel(room.code)).emit('lecturer-status', getLecturerStatus(room));
+};
+
+// Close a room once nobody is left in it, waiting room included
+const closeIfEmpty = (room) => {
+    if (!rooms.isEmpty(room)) return false;
+
+    stopRecording(room);
+    room.polls.forEach((poll) => clearTimeout(poll.timer));
+    room.quizzes.forEach((quiz) => clearTimeout(quiz.timer));
+    rooms.deleteRoom(room.code);
+    console.log(`🗑️ Room ${room.code} closed`);
+    return true;
+};
+
+// A waiting student gives up: they disconnected or are joining somewhere else
+const leaveLobby = (clientData) => {
+    const room = rooms.getRoom(clientData.lobbyCode);
+    clientData.lobbyCode = null;
+    if (!room || !lobby.leave(room, clientData.id)) return;
+
+    sendLobby(room);
+    closeIfEmpty(room);
+};
+
+// End a session whose lecturer has not come back: everyone still in it goes back to the join form
+const endSession = (room, message) => {
+    console.log(`⌛ Room ${room.code} ended: ${message}`);
+    recorder.recordEvent(room.recording, 'session-ended', { message });
+    // No point waiting for the lecturer any longer
+    clearTimeout(room.lecturerGraceTimer);
+    room.lecturerGraceTimer = null;
+    [...room.students, ...room.lobby.waiting.keys()].forEach((studentId) => {
+        const socket = io.sockets.sockets.get(studentId);
+        const clientData = clients.get(studentId);
+        if (!socket || !clientData) return;
+        socket.emit('session-ended', { code: room.code, message });
+        leaveRoom(socket, clientData);
+    });
+    // The last student to leave normally closes the room
+    if (rooms.getRoom(room.code) === room) {
+        closeIfEmpty(room);
+    }
+};
+
+// Disconnect clients idle past the session timeout, and end sessions whose lecturer is not coming back
+const sweepSessions = () => {
+    const now = Date.now();
+    const { sessionTimeout, lecturerTimeout } = config.networkInfo;
+
+    for (const clientData of clients.values()) {
+        if (now - clientData.lastActivity < sessionTimeout) continue;
+        const socket = io.sockets.sockets.get(clientData.id);
+        if (!socket) continue;
+        console.log(`💤 Disconnecting ${clientData.name} (${socket.id}): idle for ${Math.round((now - clientData.lastActivity) / 60000)} minutes`);
+        socket.emit('idle-timeout', {
+            message: `You were disconnected after ${Math.round(sessionTimeout / 60000)} minutes without activity. Join again to carry on.`
+        });
+        socket.disconnect(true);
+    }
+
+    for (const room of rooms.getRooms()) {
+        if (!room.lecturerId && room.lecturerLeftAt && now - room.lecturerLeftAt >= lecturerTimeout) {
+            endSession(room, 'The lecturer has left and the session has ended');
+        }
+    }
+};
+
+// The lecturer has left for good, or dropped and did not come back in time
+const lecturerGone = (room, clientData) => {
+    clearTimeout(room.lecturerGraceTimer);
+    room.lecturerGraceTimer = null;
+    room.cachedFrames = [];
+    // Nobody would be left to switch back to the lecturer's screen, or to look at a spotlight
+    stopPresenting(room);
+    room.spotlight = null;
+    sendShareQuality(room);
+    room.annotations.clear();
+    stopWebRTC(room);
+    // One signal for students: 'lecturer-disconnected' also ends the reconnecting badge
+    recorder.recordEvent(room.recording, 'lecturer-disconnected', { name: clientData.name });
+    io.to(rooms.channel(room.code)).emit('lecturer-disconnected', {
+        id: clientData.id,
+        name: clientData.name,
+        timestamp: new Date().toISOString()
+    });
+};
+
+/**
+ * Remove a client from whatever room it is in, tidying up the room afterwards
+ * @param {Object} [options]
+ * @param {boolean} [options.reconnecting] - The connection dropped, so a lecturer gets the grace period to come back
+ */
+const leaveRoom = (socket, clientData, { reconnecting = false } = {}) => {
+    leaveLobby(clientData);
+    const room = rooms.getRoom(clientData.roomCode);
+    clientData.roomCode = null;
+    if (!room) return;
+
+    socket.leave(rooms.channel(room.code));
+
+    if (room.lecturerId === socket.id) {
+        room.lecturerId = null;
+        room.lecturerLeftAt = Date.now();
+        if (reconnecting && config.networkInfo.lecturerGrace > 0) {
+            // Leave everything as it is for now: a Wi-Fi blip should not wipe the students' screens
+            console.log(`⏳ Holding room ${room.code} for ${clientData.name} to reconnect`);
+            room.lecturerGraceTimer = setTimeout(() => {
+                console.log(`⌛ ${clientData.name} did not reconnect to room ${room.code}`);
+                lecturerGone(room, clientData);
+                closeIfEmpty(room);
+            }, config.networkInfo.lecturerGrace);
+            broadcastLecturerStatus(room);
+        } else {
+            lecturerGone(room, clientData);
+        }
+    } else {
+        room.students.delete(socket.id);
+        room.webrtcStudents.delete(socket.id);
+        // A hand stays up through a reconnect; the lecturer sees the student as offline meanwhile
+        if (room.hands.has(clientData.clientId)) {
+            sendHandQueue(room);
+        }
+        endShare(room, socket.id, 'ended');
+        attendance.leave(room, socket.id);
+        sendRoster(room);
+        if (room.lobby.enabled) {
+            sendLobby(room);
+        }
+        if (room.monitoring) {
+            monitoring.leave(room, socket.id);
+            sendMonitoring(room);
+        }
+        if (room.lecturerId) {
+            frameRelay.forget(room.lecturerId, studentScreenStream(socket.id));
+            if (room.webrtcActive) {
+                emitToLecturer(room, 'webrtc-peer-left', { studentId: socket.id });
+            }
+        }
+    }
+
+    if (closeIfEmpty(room)) return;
+
+    broadcastClientCount(room);
+};
+
+// A lecturer connection the server has not yet noticed is dead gives way to the lecturer's new one
+const detachLecturer = (room) => {
+    const socket = io.sockets.sockets.get(room.lecturerId);
+    const clientData = clients.get(room.lecturerId);
+    room.lecturerId = null;
+    if (clientData) clientData.roomCode = null;
+    if (socket) {
+        socket.leave(rooms.channel(room.code));
+        socket.emit('session-taken-over', { code: room.code });
+    }
+};
+
+const joinAsLecturer = (socket, clientData, data) => {
+    // A reconnecting or reloading lecturer takes their room back with the token it was created with
+    let room = rooms.getRoom(data.code);
+    const resuming = !!room && typeof data.sessionToken === 'string' && data.sessionToken === room.sessionToken;
+    // Back within the grace period (or before the old connection was noticed to drop): students never saw them go
+    const returning = resuming && (!!room.lecturerGraceTimer || !!room.lecturerId);
+    if (!resuming) {
+        room = rooms.createRoom(clientData);
+        console.log(`🏫 Room ${room.code} created by ${clientData.name}`);
+    } else {
+        clearTimeout(room.lecturerGraceTimer);
+        room.lecturerGraceTimer = null;
+        if (room.lecturerId) detachLecturer(room);
+        room.lecturerId = socket.id;
+        room.lecturerName = clientData.name;
+        room.lecturerLeftAt = null;
+        // The lecturer's page starts without a spotlight
+        if (room.spotlight) {
+            room.spotlight = null;
+            sendShareQuality(room);
+        }
+        // A reloaded page is no longer sharing; students must not be left on a frozen frame
+        if (data.sharing !== true && (room.cachedFrames.length > 0 || room.webrtcActive)) {
+            console.log(`⏹ ${clientData.name} came back without sharing in room ${room.code}`);
+            stopLecturerShare(room);
+        }
+        console.log(`🏫 Room ${room.code} ${returning ? 'reclaimed' : 'resumed'} by ${clientData.name}`);
+    }
+
+    clientData.roomCode = room.code;
+    socket.join(rooms.channel(room.code));
+    socket.emit('session-created', { code: room.code, sessionToken: room.sessionToken });
+
+    recorder.recordEvent(room.recording, 'lecturer-connected', { name: clientData.name });
+    if (!returning) {
+        console.log('Broadcasting lecturer-connected event');
+        io.to(rooms.channel(room.code)).emit('lecturer-connected', {
+            id: socket.id,
+            name: clientData.name,
+            timestamp: new Date().toISOString()
+        });
+    }
+    broadcastLecturerStatus(room);
+    broadcastClientCount(room);
+    socket.emit('recording-status', getRecordingStatus(room));
+    sendChatHistory(socket, room);
+    sendQuestions(socket, room);
+    socket.emit('polls-state', { polls: polls.list(room, viewerOf(room, socket.id)) });
+    socket.emit('quizzes-state', { quizzes: quizzes.list(room, viewerOf(room, socket.id)) });
+    sendHandQueue(room);
+    sendShareRequests(room);
+    socket.emit('presenter-changed', { presenter: getPresenter(room) });
+    sendMonitoring(room);
+    sendRoster(room);
+    sendLobby(room);
+};
+
+// Students in rooms and waiting rooms across the server; the Wi-Fi network only carries so many
+const studentCount = () => Array.from(clients.values())
+    .filter((client) => client.type === 'student' && (client.roomCode || client.lobbyCode))
+    .length;
+
+const joinAsStudent = (socket, clientData, data) => {
+    if (studentCount() >= config.networkInfo.maxClients) {
+        console.log(`⛔ ${clientData.name} turned away: ${config.networkInfo.maxClients} students already connected`);
+        socket.emit('session-error', {
+            reason: 'full',
+            message: `The lecture is full (${config.networkInfo.maxClients} students). Try again when someone leaves.`
+        });
+        return;
+    }
+
+    const room = rooms.getRoom(data.code);
+    if (!room) {
+        console.log(`⚠️ Student ${socket.id} tried to join unknown room: ${data.code}`);
+        socket.emit('session-error', {
+            code: rooms.normalizeCode(data.code),
+            message: data.code ? 'No lecture found for that join code' : 'A join code is required'
+        });
+        return;
+    }
+
+    applyRoster(room, clientData);
+    if (clientData.unknown) {
+        console.log(`⚠️ ${clientData.name} (${clientData.registration || 'no registration number'}) is not on the roster of room ${room.code}`);
+    }
+    if (lobby.needsAdmission(room, clientData.clientId)) {
+        waitInLobby(socket, clientData, room);
+        return;
+    }
+    enterRoom(socket, clientData, room);
+};
+
+// Students in the waiting room are not room members, so no lecture traffic reaches them
+const waitInLobby = (socket, clientData, room) => {
+    clientData.lobbyCode = room.code;
+    lobby.wait(room, { studentId: socket.id, clientId: clientData.clientId, ...identityOf(clientData) });
+    console.log(`🚪 ${clientData.name} is waiting in the lobby of room ${room.code}`);
+    socket.emit('lobby-status', { status: 'waiting', code: room.code });
+    sendLobby(room);
+};
+
+const admitFromLobby = (room, studentId) => {
+    const entry = lobby.admit(room, studentId);
+    const socket = io.sockets.sockets.get(studentId);
+    const clientData = clients.get(studentId);
+    if (!entry || !socket || !clientData) return;
+
+    clientData.lobbyCode = null;
+    console.log(`🚪 ${clientData.name} was let into room ${room.code}`);
+    enterRoom(socket, clientData, room);
+};
+
+// Everything a student gets on entering the lecture, whether they joined directly or were let in
+const enterRoom = (socket, clientData, room) => {
+    // Someone else already holds this registration number: keep their attendance apart
+    const duplicate = roster.isClaimed(rosterClaims(room), clientData);
+    clientData.duplicate = duplicate;
+    if (duplicate) {
+        console.log(`⚠️ ${clientData.registration} is already in use in room ${room.code}; ${socket.id} claims it too`);
+    }
+    clientData.roomCode = room.code;
+    room.students.add(socket.id);
+    attendance.join(room, {
+        socketId: socket.id,
+        clientId: clientData.clientId,
+        name: duplicate ? (clientData.entered.name || clientData.name) : clientData.name,
+        registration: clientData.registration,
+        duplicate
     });
+    socket.join(rooms.channel(room.code));
+    socket.emit('session-joined', { code: room.code });
+    socket.emit('lecturer-status', getLecturerStatus(room));
+    socket.emit('recording-status', getRecordingStatus(room));
+    sendChatHistory(socket, room);
+    sendQuestions(socket, room);
+    socket.emit('polls-state', { polls: polls.list(room, viewerOf(room, socket.id)) });
+    socket.emit('quizzes-state', { quizzes: quizzes.list(room, viewerOf(room, socket.id)) });
+    socket.emit('hand-status', hands.statusFor(room, clientData.clientId));
+    if (room.presenter) {
+        socket.emit('presenter-changed', {
+            presenter: { name: room.presenter.name, isYou: false },
+            lecturerSharing: room.cachedFrames.length > 0
+        });
+    }
+    if (room.hands.has(clientData.clientId)) {
+        sendHandQueue(room);
+    }
+    monitoring.join(room, { studentId: socket.id, ...identityOf(clientData) });
+    socket.emit('monitoring-status', monitoring.statusFor(room, socket.id));
+    if (room.monitoring) {
+        sendMonitoring(room);
+    }
+    sendRoster(room);
+    if (room.lobby.enabled) {
+        sendLobby(room);
+    }
+    broadcastClientCount(room);
+
+    // Show the current screen straight away instead of waiting for the next frame
+    sendCachedFrames(room, socket.id);
+    socket.emit('annotation-state', { strokes: annotations.getStrokes(room) });
+
+    if (room.webrtcActive) {
+        socket.emit('webrtc-available', { lecturerId: room.lecturerId });
+    }
 };
 
 const setupSocketHandlers = () => {
     io.on('connection', (socket) => {
         console.log(`📱 New client connected: ${socket.id}`);
-        
+
         // Initialize client data
         const clientData = {
             id: socket.id,
             type: 'unknown',
             name: 'Anonymous',
+            roomCode: null,
+            // Room whose lobby the student is waiting in
+            lobbyCode: null,
+            clientId: socket.id,
             connectedAt: new Date(),
             lastActivity: new Date(),
             ip: socket.handshake.address
         };
-        
+
         clients.set(socket.id, clientData);
-        
-        // Send current lecturer status
-        broadcastLecturerStatus();
-        
-        // Client identifies itself
-        socket.on('identify', (data) => {
+        // Anything the client sends counts as activity; pages also ping while they are open
+        socket.onAny(() => {
+            clientData.lastActivity = new Date();
+        });
+
+        const currentRoom = () => rooms.getRoom(clientData.roomCode);
+
+        // Client identifies itself and joins (or opens) a lecture room
+        socket.on('identify', (data = {}) => {
+            if (data.type !== 'lecturer' && data.type !== 'student') {
+                console.log(`⚠️ Ignoring identify with unknown type from ${socket.id}:`, data.type);
+                return;
+            }
+
+            // The lecturer role must be backed by a token from /api/lecturer/login
+            const lecturerSession = data.type === 'lecturer' ? auth.verifyToken(data.token) : null;
+            if (data.type === 'lecturer' && !lecturerSession) {
+                console.log(`⛔ Rejected lecturer identify without a valid token from ${socket.id}`);
+                socket.emit('auth-error', { message: 'Lecturer login required' });
+                return;
+            }
+
+            leaveRoom(socket, clientData);
+
             clientData.type = data.type;
-            clientData.name = data.name || clientData.name;
+            clientData.name = lecturerSession ? lecturerSession.name : (data.name || clientData.name);
+            if (data.type === 'student') {
+                // Checked against the room's roster on joining
+                clientData.entered = { name: data.name, registration: data.registration };
+            }
+            clientData.clientId = typeof data.clientId === 'string' && CLIENT_ID_PATTERN.test(data.clientId)
+                ? data.clientId
+                : socket.id;
             clientData.lastActivity = new Date();
-            console.log(`✅ ${data.type.toUpperCase()} identified: ${clientData.name} (socket: ${socket.id})`);            
+            console.log(`✅ ${data.type.toUpperCase()} identified: ${clientData.name} (socket: ${socket.id})`);
+
             if (data.type === 'lecturer') {
-                console.log('Broadcasting lecturer-connected event');
-                // Notify all clients about lecturer connection
-                io.emit('lecturer-connected', { 
-                    id: socket.id, 
-                    name: clientData.name,
-                    timestamp: new Date().toISOString()
-                });
-                console.log('Finished broadcasting lecturer-connected event');
+                joinAsLecturer(socket, clientData, data);
+            } else {
+                joinAsStudent(socket, clientData, data);
             }
-            
-            // Update client count
-            console.log('Broadcasting client count');
-            broadcastClientCount();
-            console.log('Finished broadcasting client count');
         });
 
-        
-                // Handle screen data from lecturer
+        // Handle screen data from lecturer
         socket.on('screen-data', (data) => {
             console.log('📥 Server received screen-data from lecturer:', data ? 'has data' : 'no data');
             if (data) {
                 console.log('Frame details:', {
                     frameId: data.frameId,
+                    type: data.type || 'full',
                     size: data.size ? `${(data.size / 1024).toFixed(1)}KB` : 'unknown',
-                    hasImage: !!data.image
+                    tiles: data.tiles ? data.tiles.length : 0
                 });
             }
-            if (clientData.type === 'lecturer') {
-                console.log('📤 Broadcasting screen-update to all students');
-                // Send to all clients except the lecturer
-                const targeted = [];
-                for (const [clientId, client] of clients) {
-                    if (client.type === 'student' && clientId !== socket.id) {
-                        io.to(clientId).emit('screen-update', {
-                            ...data,
-                            senderId: socket.id,
-                            timestamp: new Date().toISOString()
-                        });
-                        targeted.push(clientId);
-                    }
+            const room = currentRoom();
+            if (clientData.type !== 'lecturer' || !room || room.lecturerId !== socket.id) {
+                console.log('⚠️ Non-lecturer client tried to send screen-data, type:', clientData.type);
+                return;
+            }
+
+            // Build the frame once: shared by every recipient and cached for late joiners
+            const frame = {
+                ...data,
+                senderId: socket.id,
+                timestamp: new Date().toISOString()
+            };
+            frameRelay.appendFrame(room.cachedFrames, frame);
+
+            // While a student presents, the lecturer's frames are only kept for switching back
+            if (room.presenter) return;
+            recorder.recordFrame(room.recording, frame);
+
+            if (room.students.size === 0) return;
+
+            console.log(`📤 Broadcasting screen-update to students in room ${room.code}`);
+            for (const studentId of room.students) {
+                // Students receiving the WebRTC video track don't need JPEG frames
+                if (!room.webrtcStudents.has(studentId)) {
+                    relayToStudent(studentId, frame);
                 }
+            }
+            console.log(`✅ Broadcast completed to ${room.students.size} students`);
+        });
+
+        // Lecturer stopped sharing: forget the cached frame and tell the room
+        socket.on('screen-share-stopped', () => {
+            const room = currentRoom();
+            if (!room || room.lecturerId !== socket.id) return;
+
+            console.log(`⏹ Lecturer stopped sharing in room ${room.code}`);
+            stopLecturerShare(room);
+        });
+
+        // Annotation ops from the lecturer, relayed to the room as vector strokes
+        socket.on('annotation', (data) => {
+            const room = currentRoom();
+            if (!room || room.lecturerId !== socket.id) return;
+
+            const op = annotations.sanitizeOp(data);
+            if (!op) {
+                console.log(`⚠️ Dropping invalid annotation op from ${socket.id}`);
+                return;
+            }
+            annotations.apply(room, op);
+            recorder.recordEvent(room.recording, 'annotation', { op });
+            socket.to(rooms.channel(room.code)).emit('annotation', op);
+        });
+
+        // Laser pointer position from the lecturer, normalized to the shared image.
+        // Volatile: students only care about the newest position, so nothing is queued
+        socket.on('pointer', (data = {}) => {
+            const room = currentRoom();
+            if (!room || room.lecturerId !== socket.id) return;
+
+            if (data.hidden) {
+                socket.volatile.to(rooms.channel(room.code)).emit('pointer', { hidden: true });
+                return;
+            }
+            const inRange = (value) => typeof value === 'number' && value >= 0 && value <= 1;
+            if (!inRange(data.x) || !inRange(data.y)) return;
 
-                if (targeted.length > 0) {
-                    console.log(`✅ Broadcast completed to students: ${targeted.join(', ')}`);
-                } else {
-                    console.log('⚠️ No students found by type; falling back to broadcast to all other sockets');
-                    // Fallback: broadcast to all other connected sockets (except sender)
-                    socket.broadcast.emit('screen-update', {
-                        ...data,
-                        senderId: socket.id,
-                        timestamp: new Date().toISOString()
-                    });
-                    console.log('✅ Fallback broadcast sent to all other sockets');
+            socket.volatile.to(rooms.channel(room.code)).emit('pointer', {
+                x: data.x,
+                y: data.y,
+                click: !!data.click
+            });
+        });
+
+        // Chat message: students write to the lecturer or the room, the lecturer to one student or the room
+        socket.on('chat-send', (data = {}) => {
+            const room = currentRoom();
+            if (!room) return;
+
+            const text = chat.sanitizeText(data.text);
+            if (!text) return;
+
+            const isPrivate = data.to !== 'room';
+            let message;
+            if (room.lecturerId === socket.id) {
+                // A private reply goes to a student's clientId, taken from one of their messages
+                if (isPrivate && !room.chat.messages.some((m) => m.from === 'student' && m.studentId === data.to)) {
+                    socket.emit('chat-error', { message: 'That student has not written in this session' });
+                    return;
+                }
+                message = chat.createMessage({
+                    from: 'lecturer',
+                    name: clientData.name,
+                    studentId: isPrivate ? data.to : null,
+                    isPrivate,
+                    text
+                });
+            } else if (room.students.has(socket.id)) {
+                const refusal = chat.checkStudentMessage(room, isPrivate);
+                if (refusal) {
+                    socket.emit('chat-error', { message: refusal });
+                    return;
                 }
+                message = chat.createMessage({
+                    from: 'student',
+                    name: clientData.name,
+                    studentId: clientData.clientId,
+                    isPrivate,
+                    text
+                });
             } else {
-                console.log('⚠️ Non-lecturer client tried to send screen-data, type:', clientData.type);
+                return;
+            }
+
+            chat.addMessage(room, message);
+            deliverChatMessage(room, message);
+            if (!isPrivate) {
+                recorder.recordEvent(room.recording, 'chat', { from: message.from, name: message.name, text });
+            }
+        });
+
+        // Lecturer turns student messages to the whole room on or off
+        socket.on('chat-settings', (data = {}) => {
+            const room = currentRoom();
+            if (!room || room.lecturerId !== socket.id) return;
+
+            room.chat.publicEnabled = !!data.publicEnabled;
+            console.log(`💬 Public chat ${room.chat.publicEnabled ? 'enabled' : 'disabled'} in room ${room.code}`);
+            io.to(rooms.channel(room.code)).emit('chat-settings', { publicEnabled: room.chat.publicEnabled });
+        });
+
+        // Q&A board: students ask and upvote, the lecturer answers, pins or dismisses
+        socket.on('question-ask', (data = {}) => {
+            const room = currentRoom();
+            if (!room || !room.students.has(socket.id)) return;
+
+            const question = questions.ask(room, {
+                text: data.text,
+                studentId: clientData.clientId,
+                name: clientData.name,
+                anonymous: !!data.anonymous
+            });
+            if (!question) {
+                socket.emit('question-error', { message: 'Your question could not be added' });
+                return;
+            }
+            console.log(`❓ New question in room ${room.code}${question.name ? ` from ${question.name}` : ' (anonymous)'}`);
+            recorder.recordEvent(room.recording, 'question-asked', { name: question.name, text: question.text });
+            broadcastQuestion(room, question);
+        });
+
+        socket.on('question-vote', (data = {}) => {
+            const room = currentRoom();
+            if (!room || !room.students.has(socket.id)) return;
+
+            const question = questions.vote(room, data.id, clientData.clientId);
+            if (question) broadcastQuestion(room, question);
+        });
+
+        socket.on('question-update', (data = {}) => {
+            const room = currentRoom();
+            if (!room || room.lecturerId !== socket.id) return;
+
+            const question = questions.update(room, data.id, data.action);
+            if (!question) return;
+            if (data.action === 'answer') {
+                recorder.recordEvent(room.recording, 'question-answered', { text: question.text });
+            }
+            broadcastQuestion(room, question);
+        });
+
+        // Live polls: the lecturer runs one at a time, each student votes once
+        socket.on('poll-start', (data = {}) => {
+            const room = currentRoom();
+            if (!room || room.lecturerId !== socket.id) return;
+
+            const settings = polls.sanitizePoll(data);
+            if (!settings) {
+                socket.emit('poll-error', { message: 'A poll needs a question and at least two answers' });
+                return;
+            }
+
+            const active = polls.getActivePoll(room);
+            if (active) endPoll(room, active);
+
+            const poll = polls.create(room, settings);
+            if (settings.duration) {
+                poll.timer = setTimeout(() => endPoll(room, poll), settings.duration * 1000);
+            }
+            console.log(`📊 Poll started in room ${room.code}: ${poll.question}`);
+            recorder.recordEvent(room.recording, 'poll-started', { question: poll.question, options: poll.options });
+            broadcastPoll(room, poll);
+        });
+
+        socket.on('poll-close', (data = {}) => {
+            const room = currentRoom();
+            if (!room || room.lecturerId !== socket.id) return;
+
+            const poll = polls.getPoll(room, data.id);
+            if (poll) endPoll(room, poll);
+        });
+
+        socket.on('poll-reveal', (data = {}) => {
+            const room = currentRoom();
+            if (!room || room.lecturerId !== socket.id) return;
+
+            const poll = polls.getPoll(room, data.id);
+            if (!poll || poll.revealed) return;
+            poll.revealed = true;
+            broadcastPoll(room, poll);
+        });
+
+        socket.on('poll-vote', (data = {}) => {
+            const room = currentRoom();
+            if (!room || !room.students.has(socket.id)) return;
+
+            const poll = polls.getPoll(room, data.id);
+            const refusal = polls.vote(room, data.id, voterOf(room, clientData), data.option);
+            if (refusal) {
+                socket.emit('poll-error', { message: refusal });
+                return;
+            }
+
+            // Once results are public everyone watches them change; otherwise only the lecturer does
+            if (poll.revealed) {
+                broadcastPoll(room, poll);
+            } else {
+                socket.emit('poll', polls.viewFor(poll, viewerOf(room, socket.id)));
+                broadcastPoll(room, poll, false);
+            }
+        });
+
+        // Graded quizzes: the server holds the answers and scores each student once
+        socket.on('quiz-start', (data = {}) => {
+            const room = currentRoom();
+            if (!room || room.lecturerId !== socket.id) return;
+
+            const { quiz: settings, error } = quizzes.sanitizeQuiz(data);
+            if (error) {
+                socket.emit('quiz-error', { message: error });
+                return;
             }
+
+            const active = quizzes.getActiveQuiz(room);
+            if (active) endQuiz(room, active);
+
+            const quiz = quizzes.create(room, settings);
+            quiz.timer = setTimeout(() => endQuiz(room, quiz), quizzes.closeDelay(quiz));
+            console.log(`📝 Quiz started in room ${room.code}: ${quiz.title} (${quiz.questions.length} questions)`);
+            recorder.recordEvent(room.recording, 'quiz-started', { title: quiz.title, questionCount: quiz.questions.length });
+            broadcastQuiz(room, quiz);
         });
 
-        // Handle screen data from student
+        socket.on('quiz-end', (data = {}) => {
+            const room = currentRoom();
+            if (!room || room.lecturerId !== socket.id) return;
+
+            const quiz = quizzes.getQuiz(room, data.id);
+            if (quiz) endQuiz(room, quiz);
+        });
+
+        socket.on('quiz-submit', (data = {}) => {
+            const room = currentRoom();
+            if (!room || !room.students.has(socket.id)) return;
+
+            const quiz = quizzes.getQuiz(room, data.id);
+            const refusal = quiz
+                ? quizzes.submit(quiz, { studentId: voterOf(room, clientData), name: clientData.name, registration: clientData.registration }, data.answers)
+                : 'This quiz is closed';
+            if (refusal) {
+                socket.emit('quiz-error', { message: refusal });
+                return;
+            }
+
+            socket.emit('quiz', quizzes.viewFor(quiz, viewerOf(room, socket.id)));
+            broadcastQuiz(room, quiz, false);
+        });
+
+        // Lecturer starts recording the session to disk
+        socket.on('recording-start', () => {
+            const room = currentRoom();
+            if (!room || room.lecturerId !== socket.id || room.recording) return;
+
+            try {
+                room.recording = recorder.start(room);
+            } catch (err) {
+                console.error(`❌ Could not start recording in room ${room.code}:`, err.message);
+                socket.emit('recording-error', { message: 'Could not start recording' });
+                return;
+            }
+
+            // Start from whatever is on screen now, not the next keyframe
+            room.cachedFrames.forEach((frame) => recorder.recordFrame(room.recording, frame));
+            recorder.recordEvent(room.recording, 'annotation-state', { strokes: annotations.getStrokes(room) });
+            broadcastRecordingStatus(room);
+        });
+
+        socket.on('recording-stop', () => {
+            const room = currentRoom();
+            if (!room || room.lecturerId !== socket.id || !room.recording) return;
+
+            const meta = stopRecording(room);
+            broadcastRecordingStatus(room);
+            socket.emit('recording-saved', meta);
+        });
+
+        // Lecturer offers the shared screen as a WebRTC video track
+        socket.on('webrtc-start', () => {
+            const room = currentRoom();
+            if (!room || room.lecturerId !== socket.id) return;
+
+            console.log(`📹 WebRTC mode enabled in room ${room.code}`);
+            room.webrtcActive = true;
+            io.to(rooms.channel(room.code)).emit('webrtc-available', { lecturerId: socket.id });
+        });
+
+        socket.on('webrtc-stop', () => {
+            const room = currentRoom();
+            if (!room || room.lecturerId !== socket.id) return;
+
+            console.log(`📹 WebRTC mode disabled in room ${room.code}`);
+            stopWebRTC(room);
+        });
+
+        // Student wants a peer connection; the lecturer answers with an offer
+        socket.on('webrtc-request', () => {
+            const room = currentRoom();
+            if (clientData.type !== 'student' || !room || !room.webrtcActive) return;
+
+            emitToLecturer(room, 'webrtc-request', { studentId: socket.id });
+        });
+
+        // Offer/answer/ICE relay, only between a room's lecturer and its own students
+        socket.on('webrtc-signal', (data = {}) => {
+            const room = currentRoom();
+            if (!room || !room.webrtcActive) return;
+
+            const allowed = clientData.type === 'lecturer'
+                ? room.lecturerId === socket.id && room.students.has(data.to)
+                : room.students.has(socket.id) && data.to === room.lecturerId;
+            if (!allowed) {
+                console.log(`⚠️ Dropping webrtc-signal from ${socket.id} to ${data.to}`);
+                return;
+            }
+
+            io.to(data.to).emit('webrtc-signal', {
+                from: socket.id,
+                description: data.description,
+                candidate: data.candidate
+            });
+        });
+
+        // Student reports whether its video track is playing
+        socket.on('webrtc-status', (data = {}) => {
+            const room = currentRoom();
+            if (clientData.type !== 'student' || !room) return;
+
+            if (data.connected && room.webrtcActive) {
+                console.log(`📹 Student ${socket.id} watching over WebRTC`);
+                room.webrtcStudents.add(socket.id);
+            } else if (!data.connected) {
+                room.webrtcStudents.delete(socket.id);
+                console.log(`📹 Student ${socket.id} falling back to relayed frames`);
+                sendCachedFrames(room, socket.id);
+            }
+        });
+
+        // A student is missing the keyframe its tiles build on; ask the lecturer for one
+        socket.on('keyframe-request', () => {
+            const room = currentRoom();
+            if (clientData.type !== 'student' || !room) return;
+
+            const now = Date.now();
+            if (now - room.lastKeyframeRequest < KEYFRAME_REQUEST_INTERVAL) return;
+            room.lastKeyframeRequest = now;
+            emitToLecturer(room, 'keyframe-request', { studentId: socket.id });
+        });
+
+        // Students ask before sharing their screen; the lecturer approves, denies or stops shares
+        socket.on('share-request', () => {
+            const room = currentRoom();
+            if (!room || clientData.type !== 'student') return;
+
+            if (screenShares.request(room, { studentId: socket.id, ...identityOf(clientData) })) {
+                console.log(`📺 ${clientData.name} asked to share their screen in room ${room.code}`);
+                sendShareRequests(room);
+            }
+            socket.emit('share-status', screenShares.statusFor(room, socket.id));
+        });
+
+        // Student withdraws a request or stops sharing
+        socket.on('share-stop', () => {
+            const room = currentRoom();
+            if (room && clientData.type === 'student') {
+                endShare(room, socket.id, 'ended');
+            }
+        });
+
+        socket.on('share-update', (data = {}) => {
+            const room = currentRoom();
+            if (!room || room.lecturerId !== socket.id) return;
+
+            if (data.action === 'approve') {
+                const share = screenShares.approve(room, data.studentId);
+                if (!share) return;
+                console.log(`📺 Screen share approved for ${share.name} in room ${room.code}`);
+                recorder.recordEvent(room.recording, 'student-share-started', { name: share.name });
+                io.to(share.studentId).emit('share-status', screenShares.statusFor(room, share.studentId));
+                io.to(share.studentId).emit('share-quality', { mode: screenShares.qualityFor(room, share.studentId) });
+                sendShareRequests(room);
+            } else if (data.action === 'deny') {
+                endShare(room, data.studentId, 'denied');
+            } else if (data.action === 'stop') {
+                endShare(room, data.studentId, 'stopped');
+            }
+        });
+
+        // Show an approved student's screen to the whole class, or go back to the lecturer's
+        socket.on('present-student', (data = {}) => {
+            const room = currentRoom();
+            if (!room || room.lecturerId !== socket.id) return;
+
+            const share = screenShares.list(room).find((s) => s.studentId === data.studentId && s.status === 'approved');
+            if (!share) {
+                console.log(`⚠️ Cannot present ${data.studentId}: no approved share in room ${room.code}`);
+                return;
+            }
+            startPresenting(room, share);
+        });
+
+        // The lecturer looks at one sharing student in full; null goes back to thumbnails only
+        socket.on('spotlight', (data = {}) => {
+            const room = currentRoom();
+            if (!room || room.lecturerId !== socket.id) return;
+
+            const studentId = data.studentId ?? null;
+            if (studentId !== null && !screenShares.isApproved(room, studentId)) return;
+            room.spotlight = studentId;
+            sendShareQuality(room);
+        });
+
+        socket.on('present-stop', () => {
+            const room = currentRoom();
+            if (room && room.lecturerId === socket.id) {
+                stopPresenting(room);
+            }
+        });
+
+        // Handle screen data from student; only approved shares reach the lecturer
         socket.on('student-screen-data', (data) => {
             console.log('📥 Server received student-screen-data:', data ? 'has data' : 'no data');
-            if (clientData.type === 'student') {
-                console.log('📤 Broadcasting student-screen-update to lecturer');
-                // Send to lecturer only
-                for (const [clientId, client] of clients) {
-                    if (client.type === 'lecturer') {
-                        io.to(clientId).emit('student-screen-update', {
-                            ...data,
-                            studentId: socket.id,
-                            timestamp: new Date().toISOString()
-                        });
+            const room = currentRoom();
+            const lecturerSocket = room && room.lecturerId ? io.sockets.sockets.get(room.lecturerId) : null;
+            if (clientData.type === 'student' && lecturerSocket && screenShares.isApproved(room, socket.id)) {
+                console.log('📤 Forwarding student-screen-update to lecturer');
+                frameRelay.send(lecturerSocket, 'student-screen-update', {
+                    ...data,
+                    studentId: socket.id,
+                    timestamp: new Date().toISOString()
+                }, studentScreenStream(socket.id));
+            }
+
+            // The presenting student's frames go to the class in place of the lecturer's
+            if (room && room.presenter && room.presenter.studentId === socket.id && data && data.image) {
+                const frame = toPresenterFrame(room, data);
+                room.presenter.frame = frame;
+                recorder.recordFrame(room.recording, frame);
+                for (const studentId of room.students) {
+                    if (studentId !== socket.id) {
+                        relayToStudent(studentId, frame);
                     }
                 }
-                console.log('✅ Student screen broadcast sent to lecturer');
             }
         });
 
-        // Handle raised hand from student
-        socket.on('student-raised-hand', (data) => {
-            console.log('✋ Student raised hand:', data.name);
-            for (const [clientId, client] of clients) {
-                if (client.type === 'lecturer') {
-                    io.to(clientId).emit('student-raised-hand', {
-                        studentId: socket.id,
-                        name: data.name,
-                        timestamp: new Date().toISOString()
-                    });
-                }
+        // Lobby: with it on, new students wait until the lecturer lets them in
+        socket.on('lobby-settings', (data = {}) => {
+            const room = currentRoom();
+            if (!room || room.lecturerId !== socket.id) return;
+
+            const enabled = data.enabled === true;
+            lobby.setEnabled(room, enabled, Array.from(room.students, (studentId) => clients.get(studentId)?.clientId));
+            console.log(`🚪 Lobby ${enabled ? 'on' : 'off'} in room ${room.code}`);
+            // Switching the lobby off lets everyone waiting in
+            if (!enabled) {
+                Array.from(room.lobby.waiting.keys()).forEach((studentId) => admitFromLobby(room, studentId));
             }
+            sendLobby(room);
+        });
+
+        // Let one waiting student in, or everyone
+        socket.on('lobby-admit', (data = {}) => {
+            const room = currentRoom();
+            if (!room || room.lecturerId !== socket.id) return;
+
+            const studentIds = data.all ? Array.from(room.lobby.waiting.keys()) : [data.studentId];
+            studentIds.forEach((studentId) => admitFromLobby(room, studentId));
+            sendLobby(room);
+        });
+
+        socket.on('lobby-deny', (data = {}) => {
+            const room = currentRoom();
+            if (!room || room.lecturerId !== socket.id) return;
+
+            const entry = lobby.leave(room, data.studentId);
+            if (!entry) return;
+            const clientData = clients.get(entry.studentId);
+            if (clientData) clientData.lobbyCode = null;
+            console.log(`🚪 ${entry.name} was turned away from room ${room.code}`);
+            io.to(entry.studentId).emit('lobby-status', { status: 'denied', code: room.code });
+            sendLobby(room);
+        });
+
+        // Send a student in the lecture back to the waiting room
+        socket.on('lobby-remove', (data = {}) => {
+            const room = currentRoom();
+            if (!room || room.lecturerId !== socket.id || !room.lobby.enabled || !room.students.has(data.studentId)) return;
+
+            const target = io.sockets.sockets.get(data.studentId);
+            const targetData = clients.get(data.studentId);
+            if (!target || !targetData) return;
+            leaveRoom(target, targetData);
+            lobby.revoke(room, targetData.clientId);
+            // Their page must stop sending lab monitoring thumbnails too
+            target.emit('monitoring-status', { active: false, status: null });
+            waitInLobby(target, targetData, room);
+        });
+
+        // The lecturer imports the class roster (parsed from CSV on their page) or clears it
+        socket.on('roster-set', (data = {}) => {
+            const room = currentRoom();
+            if (!room || room.lecturerId !== socket.id) return;
+
+            const count = roster.set(room, data.students);
+            console.log(`📋 Roster of ${count} students loaded for room ${room.code}`);
+            refreshRoster(room);
+        });
+
+        socket.on('roster-clear', () => {
+            const room = currentRoom();
+            if (!room || room.lecturerId !== socket.id) return;
+
+            roster.clear(room);
+            console.log(`📋 Roster cleared for room ${room.code}`);
+            refreshRoster(room);
+        });
+
+        // Attendance log for export; the lecturer may override how long counts as present
+        socket.on('attendance-request', (data = {}) => {
+            const room = currentRoom();
+            if (!room || room.lecturerId !== socket.id) return;
+
+            const requested = Number(data.minMinutes);
+            const minMinutes = data.minMinutes !== null && data.minMinutes !== '' && Number.isFinite(requested)
+                ? Math.min(Math.max(requested, 0), 24 * 60)
+                : config.attendance.minMinutes;
+            socket.emit('attendance-log', {
+                code: room.code,
+                startedAt: room.createdAt.toISOString(),
+                minMinutes,
+                records: attendance.list(room, minMinutes)
+            });
+        });
+
+        // Lab monitoring: the lecturer switches it on, and each student agrees or not
+        socket.on('monitoring-start', () => {
+            const room = currentRoom();
+            if (!room || room.lecturerId !== socket.id) return;
+
+            const students = Array.from(room.students, (studentId) => ({
+                studentId,
+                ...identityOf(clients.get(studentId))
+            }));
+            if (!monitoring.start(room, students)) return;
+            console.log(`👁 Lab monitoring started in room ${room.code}`);
+            recorder.recordEvent(room.recording, 'monitoring-started', {});
+            broadcastMonitoring(room);
+        });
+
+        socket.on('monitoring-stop', () => {
+            const room = currentRoom();
+            if (!room || room.lecturerId !== socket.id || !monitoring.stop(room)) return;
+
+            console.log(`👁 Lab monitoring stopped in room ${room.code}`);
+            recorder.recordEvent(room.recording, 'monitoring-stopped', {});
+            broadcastMonitoring(room);
+        });
+
+        socket.on('monitoring-consent', (data = {}) => {
+            const room = currentRoom();
+            if (!room || clientData.type !== 'student') return;
+
+            const entry = monitoring.respond(room, socket.id, data.accepted === true);
+            if (!entry) return;
+            console.log(`👁 ${clientData.name} ${entry.status} lab monitoring in room ${room.code}`);
+            socket.emit('monitoring-status', monitoring.statusFor(room, socket.id));
+            sendMonitoring(room);
+        });
+
+        // Thumbnails are not recorded and only go to the lecturer
+        socket.on('monitor-thumbnail', (data = {}) => {
+            const room = currentRoom();
+            if (!room || clientData.type !== 'student' || !data.image) return;
+            if (!monitoring.acceptThumbnail(room, socket.id)) return;
+
+            emitToLecturer(room, 'monitor-thumbnail', {
+                studentId: socket.id,
+                image: data.image,
+                mimeType: data.mimeType,
+                timestamp: new Date().toISOString()
+            });
+        });
+
+        // Handle raised hand from student; hands queue up in the order they went up
+        socket.on('student-raised-hand', () => {
+            const room = currentRoom();
+            if (!room || clientData.type !== 'student') return;
+
+            if (hands.raise(room, { studentId: clientData.clientId, ...identityOf(clientData) })) {
+                console.log('✋ Student raised hand:', clientData.name);
+                recorder.recordEvent(room.recording, 'hand-raised', { studentId: socket.id, name: clientData.name });
+                emitToLecturer(room, 'student-raised-hand', {
+                    studentId: clientData.clientId,
+                    ...identityOf(clientData),
+                    timestamp: new Date().toISOString()
+                });
+            }
+            broadcastHands(room);
         });
 
         // Handle lowered hand from student
         socket.on('student-lowered-hand', () => {
+            const room = currentRoom();
+            if (!room || clientData.type !== 'student' || !hands.lower(room, clientData.clientId)) return;
+
             console.log('🙋 Student lowered hand');
-            for (const [clientId, client] of clients) {
-                if (client.type === 'lecturer') {
-                    io.to(clientId).emit('student-lowered-hand', {
-                        studentId: socket.id,
-                        timestamp: new Date().toISOString()
-                    });
-                }
+            recorder.recordEvent(room.recording, 'hand-lowered', { studentId: socket.id, name: clientData.name });
+            emitToLecturer(room, 'student-lowered-hand', {
+                studentId: clientData.clientId,
+                timestamp: new Date().toISOString()
+            });
+            broadcastHands(room, [clientData.clientId]);
+        });
+
+        // Lecturer acknowledges, calls on or lowers a raised hand
+        socket.on('hand-update', (data = {}) => {
+            const room = currentRoom();
+            if (!room || room.lecturerId !== socket.id) return;
+            const hand = hands.update(room, data.studentId, data.action);
+            if (!hand) return;
+
+            if (data.action === 'call') {
+                recorder.recordEvent(room.recording, 'hand-called', { name: hand.name });
             }
+            broadcastHands(room, data.action === 'lower' ? [data.studentId] : []);
+        });
+
+        socket.on('hands-clear', () => {
+            const room = currentRoom();
+            if (!room || room.lecturerId !== socket.id) return;
+
+            const lowered = Array.from(room.hands.keys());
+            hands.clear(room);
+            broadcastHands(room, lowered);
         });
 
         // Handle reaction from student
-        socket.on('student-reaction', (data) => {
+        socket.on('student-reaction', (data = {}) => {
+            const room = currentRoom();
+            if (!room || clientData.type !== 'student' || !room.students.has(socket.id)) return;
+
             console.log('😂 Student sent reaction:', data.emoji);
-            for (const [clientId, client] of clients) {
-                if (client.type === 'lecturer') {
-                    io.to(clientId).emit('student-reaction', {
-                        studentId: socket.id,
-                        emoji: data.emoji,
-                        timestamp: new Date().toISOString()
-                    });
-                }
-            }
+            recorder.recordEvent(room.recording, 'reaction', { studentId: socket.id, emoji: data.emoji });
+            emitToLecturer(room, 'student-reaction', {
+                studentId: socket.id,
+                ...identityOf(clientData),
+                emoji: data.emoji,
+                timestamp: new Date().toISOString()
+            });
         });
 
         // Handle disconnection
         socket.on('disconnect', (reason) => {
             console.log(`❌ Client disconnected: ${socket.id} (${reason})`);
-            const wasLecturer = clientData.type === 'lecturer';
+            leaveRoom(socket, clientData, { reconnecting: true });
+            frameRelay.forget(socket.id);
             clients.delete(socket.id);
-            
-            if (wasLecturer) {
-                console.log('Broadcasting lecturer status');
-                broadcastLecturerStatus();
-                console.log('Finished broadcasting lecturer status');
-                io.emit('lecturer-disconnected', {
-                    id: socket.id,
-                    name: clientData.name,
-                    timestamp: new Date().toISOString()
-                });
-            }
-            
-            console.log('Broadcasting client count');
-            broadcastClientCount();
-            console.log('Finished broadcasting client count');
         });
 
         // Keep-alive ping
@@ -206,27 +1526,36 @@ export default {
             pingTimeout: 60000,
             pingInterval: 25000,
             transports: ['websocket', 'polling'],
-            maxHttpBufferSize: 1e8 // 100MB for large images
+            maxHttpBufferSize: 1e7 // 10MB; binary JPEG frames are far smaller
         });
-        
+
         setupSocketHandlers();
+        setInterval(broadcastRelayStats, config.relay.statsInterval);
+        setInterval(sweepSessions, config.networkInfo.sweepInterval);
         return io;
     },
-    
+
     getIO: () => {
         if (!io) {
             throw new Error('Socket.io not initialized');
         }
         return io;
     },
-    
+
     getClientCount: () => clients.size,
-    
-    getClients: () => Array.from(clients.values()),
-    
+
+    // clientIds stay private: knowing one is enough to read that student's chat thread
+    getClients: () => Array.from(clients.values()).map(({ clientId, ...client }) => ({
+        ...client,
+        relay: frameRelay.getStats(client.id, 'screen-update')
+    })),
+
     getClient: (clientId) => clients.get(clientId),
-    
-    isLecturerOnline: () => {
-        return Array.from(clients.values()).some(client => client.type === 'lecturer');
+
+    getRooms: () => rooms.getRoomSummaries(),
+
+    isLecturerOnline: (code) => {
+        const room = rooms.getRoom(code);
+        return !!(room && room.lecturerId);
     }
-};
\ No newline at end of file
+};
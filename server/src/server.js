@@ -1,10 +1,13 @@
 import express from 'express';
 import http from 'http';
 import dotenv from 'dotenv';
+import rateLimit from 'express-rate-limit';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import socketServer from './config/socket.js';
 import config from './config/server.js';
+import auth from './services/auth.js';
+import recorder from './services/recorder.js';
 
 dotenv.config();
 
@@ -34,12 +37,40 @@ app.get('/student', (req, res) => {
   res.sendFile(join(__dirname, '../../client/student/index.html'));
 });
 
+app.get('/replay', (req, res) => {
+  res.sendFile(join(__dirname, '../../client/replay/index.html'));
+});
+
 app.get('/test-display-media', (req, res) => {
   res.sendFile(join(__dirname, '../../client/test-display-media.html'));
 });
 
-// Diagnostic route: list connected socket clients
-app.get('/clients', (req, res) => {
+// Lecturer login: exchange the configured PIN for a signed lecturer token
+const loginLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10 // limit PIN guesses per IP
+});
+
+app.post('/api/lecturer/login', loginLimiter, (req, res) => {
+  const { pin, name } = req.body || {};
+  if (!auth.checkPin(pin)) {
+    return res.status(401).json({ error: 'Invalid PIN' });
+  }
+  const lecturerName = typeof name === 'string' && name.trim() ? name.trim().slice(0, 60) : 'Lecturer';
+  res.json({ ...auth.issueToken({ name: lecturerName }), name: lecturerName });
+});
+
+// Routes that only the lecturer may use take the login token as "Authorization: Bearer <token>"
+const requireLecturer = (req, res, next) => {
+  const [scheme, token] = (req.get('authorization') || '').split(' ');
+  if (scheme !== 'Bearer' || !auth.verifyToken(token)) {
+    return res.status(401).json({ error: 'Lecturer login required' });
+  }
+  next();
+};
+
+// Diagnostic route: list connected socket clients, with students' registration numbers and addresses
+app.get('/clients', requireLecturer, (req, res) => {
   try {
     const clients = socketServer.getClients();
     res.json({ count: clients.length, clients });
@@ -48,6 +79,49 @@ app.get('/clients', (req, res) => {
   }
 });
 
+// Diagnostic route: list active lecture rooms
+app.get('/rooms', (req, res) => {
+  const rooms = socketServer.getRooms();
+  res.json({ count: rooms.length, rooms });
+});
+
+// Session recordings: list, one recording's event log, and its frame data
+app.use('/api/recordings', requireLecturer);
+
+app.get('/api/recordings', async (req, res) => {
+  try {
+    const recordings = await recorder.listRecordings();
+    res.json({ count: recordings.length, recordings });
+  } catch (err) {
+    res.status(500).json({ error: 'Could not list recordings', details: err.message });
+  }
+});
+
+app.get('/api/recordings/:id', async (req, res) => {
+  const recording = await recorder.readMeta(req.params.id);
+  if (!recording) {
+    return res.status(404).json({ error: 'Recording not found' });
+  }
+  try {
+    res.json({ recording, events: await recorder.readEvents(req.params.id) });
+  } catch (err) {
+    res.status(500).json({ error: 'Could not read recording', details: err.message });
+  }
+});
+
+// Served with Range support so the replay page can fetch one frame at a time
+app.get('/api/recordings/:id/frames', (req, res) => {
+  const framesPath = recorder.getFramesPath(req.params.id);
+  if (!framesPath) {
+    return res.status(404).json({ error: 'Recording not found' });
+  }
+  res.sendFile(framesPath, (err) => {
+    if (err && !res.headersSent) {
+      res.status(404).json({ error: 'Recording not found' });
+    }
+  });
+});
+
 // Create HTTP server
 const server = http.createServer(app);
 
@@ -63,8 +137,12 @@ server.listen(PORT, config.host, () => {
   console.log(`📡 Access points:`);
   console.log(`   Lecturer: http://${config.host}:${PORT}/lecturer`);
   console.log(`   Student:  http://${config.host}:${PORT}/student`);
+  console.log(`   Replay:   http://${config.host}:${PORT}/replay`);
   console.log(`📶 Network: ${config.networkInfo.ssid}`);
   console.log(`👥 Max clients: ${config.networkInfo.maxClients}`);
+  if (auth.getGeneratedPin()) {
+    console.log(`🔑 Lecturer PIN (set LECTURER_PIN to fix it): ${auth.getGeneratedPin()}`);
+  }
 });
 
 // Handle graceful shutdown
@@ -0,0 +1,82 @@
+/**
+ * Annotation state per room
+ * The lecturer's strokes are relayed to students as small ops; the server keeps
+ * the resulting set of strokes so students who join later see them too.
+ */
+
+const TOOLS = new Set(['pen', 'highlighter', 'arrow', 'rect', 'text']);
+const MAX_POINTS = 20000; // numbers per stroke (x, y pairs)
+const MAX_TEXT_LENGTH = 200;
+
+const isPoints = (points) => Array.isArray(points) &&
+    points.length % 2 === 0 &&
+    points.every((value) => typeof value === 'number' && Number.isFinite(value));
+
+const sanitizeStroke = (stroke) => {
+    if (!stroke || typeof stroke.id !== 'string' || !TOOLS.has(stroke.tool) || !isPoints(stroke.points)) {
+        return null;
+    }
+    return {
+        id: stroke.id.slice(0, 32),
+        tool: stroke.tool,
+        color: typeof stroke.color === 'string' ? stroke.color.slice(0, 32) : '#ff0000',
+        size: typeof stroke.size === 'number' ? Math.min(Math.max(stroke.size, 0), 0.2) : 0.004,
+        points: stroke.points.slice(0, MAX_POINTS),
+        text: stroke.tool === 'text' && typeof stroke.text === 'string'
+            ? stroke.text.slice(0, MAX_TEXT_LENGTH)
+            : undefined
+    };
+};
+
+// Validate an op from the lecturer; returns a clean copy or null
+const sanitizeOp = (data = {}) => {
+    const frameId = typeof data.frameId === 'number' ? data.frameId : undefined;
+    switch (data.op) {
+        case 'add': {
+            const stroke = sanitizeStroke(data.stroke);
+            return stroke ? { op: 'add', frameId, stroke } : null;
+        }
+        case 'extend':
+            return typeof data.id === 'string' && isPoints(data.points)
+                ? { op: 'extend', frameId, id: data.id, points: data.points }
+                : null;
+        case 'remove':
+            return Array.isArray(data.ids)
+                ? { op: 'remove', frameId, ids: data.ids.filter((id) => typeof id === 'string') }
+                : null;
+        case 'clear':
+            return { op: 'clear', frameId };
+        default:
+            return null;
+    }
+};
+
+const apply = (room, op) => {
+    const strokes = room.annotations;
+    switch (op.op) {
+        case 'add':
+            strokes.set(op.stroke.id, op.stroke);
+            break;
+        case 'extend': {
+            const stroke = strokes.get(op.id);
+            if (stroke && stroke.points.length + op.points.length <= MAX_POINTS) {
+                stroke.points.push(...op.points);
+            }
+            break;
+        }
+        case 'remove':
+            op.ids.forEach((id) => strokes.delete(id));
+            break;
+        case 'clear':
+            strokes.clear();
+            break;
+    }
+};
+
+const getStrokes = (room) => Array.from(room.annotations.values());
+
+export default {
+    sanitizeOp,
+    apply,
+    getStrokes
+};
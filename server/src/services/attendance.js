@@ -0,0 +1,101 @@
+/**
+ * Attendance log per room
+ * Every join and leave is kept. A student's visits are merged into one
+ * record, by registration number when they gave one and otherwise by their
+ * browser's clientId, so reconnects and page reloads count as one student.
+ * A connection claiming a registration number another browser already holds
+ * gets a record of its own, flagged, so it cannot sign in for that student.
+ * Time present is the union of their visits, so two open tabs are not
+ * counted twice.
+ */
+
+const keyOf = ({ registration, clientId, duplicate }) => (
+    registration && !duplicate ? `reg:${registration}` : `client:${clientId}`
+);
+
+const join = (room, { socketId, clientId, name, registration, duplicate = false }) => {
+    const key = keyOf({ registration, clientId, duplicate });
+    let record = room.attendance.get(key);
+    if (!record) {
+        record = { name, registration, duplicate, visits: [] };
+        room.attendance.set(key, record);
+    }
+    record.name = name;
+    record.visits.push({ socketId, joinedAt: Date.now(), leftAt: null });
+};
+
+const leave = (room, socketId) => {
+    for (const record of room.attendance.values()) {
+        const visit = record.visits.find((v) => v.socketId === socketId && v.leftAt === null);
+        if (visit) {
+            visit.leftAt = Date.now();
+            return;
+        }
+    }
+};
+
+// Total time covered by a record's visits, with overlapping visits merged
+const timePresent = (visits, now) => {
+    const spans = visits
+        .map((visit) => [visit.joinedAt, visit.leftAt ?? now])
+        .sort((a, b) => a[0] - b[0]);
+    let total = 0;
+    let end = -Infinity;
+    for (const [from, to] of spans) {
+        const start = Math.max(from, end);
+        if (to > start) total += to - start;
+        end = Math.max(end, to);
+    }
+    return total;
+};
+
+/**
+ * The log for export: one row per student who joined, then roster students who never did
+ * @param {number} minMinutes - Minutes present needed to count as present
+ */
+const list = (room, minMinutes) => {
+    const now = Date.now();
+    const onRoster = (registration) => (room.roster.size > 0 ? room.roster.has(registration) : null);
+
+    const records = Array.from(room.attendance.values(), (record) => {
+        const minutes = timePresent(record.visits, now) / 60000;
+        const online = record.visits.some((visit) => visit.leftAt === null);
+        const lastSeen = online ? now : Math.max(...record.visits.map((visit) => visit.leftAt));
+        return {
+            // The roster's spelling wins, as it does when students join, except for a flagged claim
+            name: (!record.duplicate && room.roster.get(record.registration)?.name) || record.name,
+            registration: record.registration,
+            duplicate: record.duplicate,
+            onRoster: onRoster(record.registration),
+            firstSeen: new Date(Math.min(...record.visits.map((visit) => visit.joinedAt))).toISOString(),
+            lastSeen: new Date(lastSeen).toISOString(),
+            minutes: Math.round(minutes * 10) / 10,
+            visits: record.visits.length,
+            online,
+            present: minutes >= minMinutes
+        };
+    });
+
+    const seen = new Set(records.map((record) => record.registration));
+    for (const entry of room.roster.values()) {
+        if (seen.has(entry.registration)) continue;
+        records.push({
+            name: entry.name,
+            registration: entry.registration,
+            onRoster: true,
+            firstSeen: null,
+            lastSeen: null,
+            minutes: 0,
+            visits: 0,
+            online: false,
+            present: false
+        });
+    }
+    return records;
+};
+
+export default {
+    join,
+    leave,
+    list
+};
@@ -0,0 +1,55 @@
+import { createHmac, randomBytes, randomInt, timingSafeEqual } from 'crypto';
+import config from '../config/server.js';
+
+/**
+ * Lecturer authentication
+ * The lecturer proves knowledge of the configured PIN once via the login route
+ * and receives a signed token, which is then presented on socket identify.
+ */
+
+// Without a configured PIN, generate one per run so the lecturer role is never open
+const lecturerPin = config.auth.lecturerPin || String(randomInt(100000, 1000000));
+const pinWasGenerated = !config.auth.lecturerPin;
+
+// Tokens signed with a per-run secret simply expire when the server restarts
+const tokenSecret = config.auth.tokenSecret || randomBytes(32).toString('hex');
+
+const sign = (value) => createHmac('sha256', tokenSecret).update(value).digest('base64url');
+
+const safeEqual = (a, b) => {
+    const bufA = Buffer.from(String(a));
+    const bufB = Buffer.from(String(b));
+    return bufA.length === bufB.length && timingSafeEqual(bufA, bufB);
+};
+
+const checkPin = (pin) => typeof pin === 'string' && safeEqual(pin.trim(), lecturerPin);
+
+const issueToken = ({ name }) => {
+    const expiresAt = Date.now() + config.auth.tokenTtl;
+    const payload = Buffer.from(JSON.stringify({ role: 'lecturer', name, exp: expiresAt })).toString('base64url');
+    return { token: `${payload}.${sign(payload)}`, expiresAt };
+};
+
+// Returns the token payload, or null if the token is missing, forged or expired
+const verifyToken = (token) => {
+    if (typeof token !== 'string') return null;
+
+    const [payload, signature] = token.split('.');
+    if (!payload || !signature || !safeEqual(signature, sign(payload))) return null;
+
+    try {
+        const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+        if (claims.role !== 'lecturer' || claims.exp < Date.now()) return null;
+        return claims;
+    } catch (err) {
+        return null;
+    }
+};
+
+export default {
+    checkPin,
+    issueToken,
+    verifyToken,
+    // Only exposed when generated, so it can be printed at startup
+    getGeneratedPin: () => (pinWasGenerated ? lecturerPin : null)
+};
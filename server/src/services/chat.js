@@ -0,0 +1,81 @@
+import { randomUUID } from 'crypto';
+
+/**
+ * Chat history per room
+ * Messages are either public (the whole room sees them) or private (a thread
+ * between the lecturer and one student). Students are identified by their
+ * clientId rather than socket id, so a reconnecting student keeps their thread.
+ */
+
+const MAX_TEXT_LENGTH = 500;
+const MAX_MESSAGES = 1000; // oldest messages are dropped beyond this
+
+// Trim a message body; returns null when there is nothing to send
+const sanitizeText = (text) => {
+    if (typeof text !== 'string') return null;
+    const trimmed = text.trim().slice(0, MAX_TEXT_LENGTH);
+    return trimmed || null;
+};
+
+/**
+ * Build a message
+ * @param {Object} options
+ * @param {'lecturer'|'student'} options.from - Sender role
+ * @param {string} options.name - Sender display name
+ * @param {string} options.studentId - Student clientId (sender, or recipient of a lecturer reply)
+ * @param {boolean} options.isPrivate - Private thread instead of the whole room
+ * @param {string} options.text - Already sanitized body
+ */
+const createMessage = ({ from, name, studentId = null, isPrivate, text }) => ({
+    id: randomUUID(),
+    from,
+    name,
+    studentId,
+    scope: isPrivate ? 'private' : 'public',
+    text,
+    timestamp: new Date().toISOString()
+});
+
+const addMessage = (room, message) => {
+    room.chat.messages.push(message);
+    if (room.chat.messages.length > MAX_MESSAGES) {
+        room.chat.messages.shift();
+    }
+    return message;
+};
+
+/**
+ * Whether a student may send a message; the lecturer can turn off messages to everyone,
+ * but private questions to the lecturer always go through
+ * @returns {string|null} Why the message was refused, or null if it can be sent
+ */
+const checkStudentMessage = (room, isPrivate) => (
+    !isPrivate && !room.chat.publicEnabled ? 'The lecturer has turned off messages to everyone' : null
+);
+
+// The lecturer sees everything; a student sees public messages and their own thread
+const isVisibleTo = (message, viewer) => viewer.isLecturer ||
+    message.scope === 'public' ||
+    message.studentId === viewer.studentId;
+
+// A clientId is enough to claim a private thread, so students never see each other's
+const viewFor = (message, viewer) => {
+    if (viewer.isLecturer) return message;
+
+    const { studentId, ...view } = message;
+    return { ...view, mine: message.from === 'student' && studentId === viewer.studentId };
+};
+
+const getHistory = (room, viewer) => room.chat.messages
+    .filter((message) => isVisibleTo(message, viewer))
+    .map((message) => viewFor(message, viewer));
+
+export default {
+    sanitizeText,
+    createMessage,
+    addMessage,
+    checkStudentMessage,
+    isVisibleTo,
+    viewFor,
+    getHistory
+};
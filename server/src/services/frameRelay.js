@@ -0,0 +1,120 @@
+import config from '../config/server.js';
+
+/**
+ * Per-recipient flow control for frame streams
+ * Every frame must be acknowledged by the receiving client. A recipient with
+ * too many frames in flight has its waiting frames collapsed (see appendFrame)
+ * so it always catches up to the newest picture; superseded frames are counted
+ * as dropped.
+ */
+
+// socketId -> Map(streamKey -> stream state)
+const recipients = new Map();
+
+const getStream = (socketId, streamKey) => {
+    let streams = recipients.get(socketId);
+    if (!streams) {
+        streams = new Map();
+        recipients.set(socketId, streams);
+    }
+    let stream = streams.get(streamKey);
+    if (!stream) {
+        stream = { inFlight: 0, pending: [], sent: 0, dropped: 0 };
+        streams.set(streamKey, stream);
+    }
+    return stream;
+};
+
+const mergeDeltas = (older, newer) => {
+    const tiles = new Map();
+    for (const tile of [...older.tiles, ...newer.tiles]) {
+        tiles.set(`${tile.x},${tile.y}`, tile);
+    }
+    const merged = Array.from(tiles.values());
+    return {
+        ...newer,
+        tiles: merged,
+        size: merged.reduce((sum, tile) => sum + (tile.image?.length || 0), 0)
+    };
+};
+
+/**
+ * Add a frame to a queue of undelivered frames, collapsing whatever it makes
+ * redundant: a keyframe (or untyped full frame) replaces the whole queue, and
+ * a delta is merged tile by tile into a preceding delta on the same keyframe
+ * @param {Array} queue - Frames in delivery order, modified in place
+ * @param {Object} frame - Newest frame
+ * @returns {number} Number of queued frames superseded
+ */
+const appendFrame = (queue, frame) => {
+    if (frame.type !== 'delta') {
+        const superseded = queue.length;
+        queue.splice(0, queue.length, frame);
+        return superseded;
+    }
+
+    const last = queue[queue.length - 1];
+    if (last && last.type === 'delta' && last.keyframeId === frame.keyframeId) {
+        queue[queue.length - 1] = mergeDeltas(last, frame);
+        return 1;
+    }
+
+    queue.push(frame);
+    return 0;
+};
+
+const deliver = (socket, stream, event, frame) => {
+    if (!socket.connected) return;
+
+    stream.inFlight++;
+    stream.sent++;
+    socket.timeout(config.relay.ackTimeout).emit(event, frame, () => {
+        // Acknowledged or timed out: either way the slot is free again
+        stream.inFlight = Math.max(0, stream.inFlight - 1);
+        if (stream.pending.length > 0 && stream.inFlight < config.relay.maxInFlight) {
+            deliver(socket, stream, event, stream.pending.shift());
+        }
+    });
+};
+
+/**
+ * Send a frame to one socket, collapsing waiting frames while the socket is behind
+ * @param {import('socket.io').Socket} socket - Recipient
+ * @param {string} event - Event name
+ * @param {Object} frame - Frame payload
+ * @param {string} streamKey - Independent stream (defaults to the event name)
+ */
+const send = (socket, event, frame, streamKey = event) => {
+    const stream = getStream(socket.id, streamKey);
+
+    if (stream.inFlight < config.relay.maxInFlight && stream.pending.length === 0) {
+        deliver(socket, stream, event, frame);
+        return;
+    }
+
+    stream.dropped += appendFrame(stream.pending, frame);
+};
+
+// Drop a single stream (e.g. a student stopped sharing) or everything for a socket
+const forget = (socketId, streamKey) => {
+    if (streamKey === undefined) {
+        recipients.delete(socketId);
+        return;
+    }
+    const streams = recipients.get(socketId);
+    if (streams) streams.delete(streamKey);
+};
+
+const getStats = (socketId, streamKey) => {
+    const stream = recipients.get(socketId)?.get(streamKey);
+    return stream
+        ? { framesSent: stream.sent, framesDropped: stream.dropped, framesInFlight: stream.inFlight }
+        : { framesSent: 0, framesDropped: 0, framesInFlight: 0 };
+};
+
+export default {
+    send,
+    appendFrame,
+    forget,
+    getStats
+};
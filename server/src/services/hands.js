@@ -0,0 +1,99 @@
+/**
+ * Raised-hand queue per room
+ * Hands are kept in the order they went up and tracked by clientId, so a
+ * student keeps their place across reconnects and the queue survives a
+ * lecturer page reload. The lecturer can acknowledge a hand, call on the
+ * student, or lower it.
+ */
+
+// waiting -> acknowledged (the lecturer has seen it) -> called (the student has the floor)
+const ACTIONS = {
+    acknowledge: (hand) => {
+        hand.status = 'acknowledged';
+    },
+    call: (hand) => {
+        hand.status = 'called';
+    }
+};
+
+/**
+ * Raise a student's hand; raising it again keeps their place
+ * @returns {boolean} Whether the hand was down before
+ */
+const raise = (room, { studentId, name, registration = null, unknown = false }) => {
+    const hand = room.hands.get(studentId);
+    if (hand) {
+        Object.assign(hand, { name, registration, unknown });
+        return false;
+    }
+    room.hands.set(studentId, { studentId, name, registration, unknown, status: 'waiting', raisedAt: Date.now() });
+    return true;
+};
+
+/**
+ * Take a student's hand out of the queue
+ * @returns {Object|null} The entry that was removed, or null if the hand was down
+ */
+const lower = (room, studentId) => {
+    const hand = room.hands.get(studentId) || null;
+    room.hands.delete(studentId);
+    return hand;
+};
+
+const clear = (room) => {
+    room.hands.clear();
+};
+
+/**
+ * Apply a lecturer action to a hand
+ * @returns {Object|null} The hand acted on, or null if there was nothing to do
+ */
+const update = (room, studentId, action) => {
+    if (action === 'lower') return lower(room, studentId);
+
+    const hand = room.hands.get(studentId);
+    if (!hand || !Object.hasOwn(ACTIONS, action)) return null;
+    ACTIONS[action](hand);
+    return hand;
+};
+
+// Oldest first; a Map keeps insertion order, which is the order hands went up
+const getQueue = (room) => Array.from(room.hands.values());
+
+/**
+ * The lecturer's view of the queue
+ * @param {Set<string>} online - clientIds of students currently connected
+ */
+const list = (room, online) => {
+    const now = Date.now();
+    return getQueue(room).map((hand) => ({
+        studentId: hand.studentId,
+        name: hand.name,
+        registration: hand.registration,
+        unknown: hand.unknown,
+        status: hand.status,
+        // Device clocks disagree, so the page counts up from how long the hand has been up
+        waited: now - hand.raisedAt,
+        online: online.has(hand.studentId)
+    }));
+};
+
+// What a student is told about their own hand
+const statusFor = (room, studentId) => {
+    const hand = room.hands.get(studentId);
+    if (!hand) return { raised: false, status: null, position: null };
+    return {
+        raised: true,
+        status: hand.status,
+        position: getQueue(room).indexOf(hand) + 1
+    };
+};
+
+export default {
+    raise,
+    lower,
+    clear,
+    update,
+    list,
+    statusFor
+};
@@ -0,0 +1,69 @@
+/**
+ * Lobby (waiting room) per room
+ * With the lobby on, students wait outside the room until the lecturer lets
+ * them in; waiting students are not room members, so nothing of the lecture
+ * reaches them. Admission is remembered per browser (clientId), so an
+ * admitted student who reconnects goes straight back in.
+ */
+
+const setEnabled = (room, enabled, presentClientIds = []) => {
+    room.lobby.enabled = enabled;
+    // Students already in the lecture when the lobby is switched on stay in
+    if (enabled) presentClientIds.forEach((clientId) => room.lobby.admitted.add(clientId));
+};
+
+const needsAdmission = (room, clientId) => room.lobby.enabled && !room.lobby.admitted.has(clientId);
+
+const wait = (room, { studentId, clientId, name, registration = null, unknown = false }) => {
+    room.lobby.waiting.set(studentId, { studentId, clientId, name, registration, unknown, since: Date.now() });
+};
+
+/**
+ * Take a student out of the waiting room without letting them in
+ * @returns {Object|null} The entry removed, or null if they were not waiting
+ */
+const leave = (room, studentId) => {
+    const entry = room.lobby.waiting.get(studentId) || null;
+    room.lobby.waiting.delete(studentId);
+    return entry;
+};
+
+/**
+ * @returns {Object|null} The entry admitted, or null if they were not waiting
+ */
+const admit = (room, studentId) => {
+    const entry = leave(room, studentId);
+    if (entry) room.lobby.admitted.add(entry.clientId);
+    return entry;
+};
+
+// Send an admitted student back to wait
+const revoke = (room, clientId) => {
+    room.lobby.admitted.delete(clientId);
+};
+
+// Longest waiting first; a Map keeps insertion order
+const list = (room) => {
+    const now = Date.now();
+    return {
+        enabled: room.lobby.enabled,
+        waiting: Array.from(room.lobby.waiting.values(), ({ studentId, name, registration, unknown, since }) => ({
+            studentId,
+            name,
+            registration,
+            unknown,
+            // Device clocks disagree, so the page counts up from how long the student has waited
+            waited: now - since
+        }))
+    };
+};
+
+export default {
+    setEnabled,
+    needsAdmission,
+    wait,
+    leave,
+    admit,
+    revoke,
+    list
+};
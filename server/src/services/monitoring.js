@@ -0,0 +1,109 @@
+/**
+ * Lab monitoring per room
+ * The lecturer switches monitoring on for the whole room; every student is
+ * asked for consent, and only students who agree send a thumbnail of a
+ * screen they pick every few seconds. A student can stop at any time, and
+ * entries belong to one socket, so consent is asked again after a reconnect.
+ */
+
+// Students send a thumbnail every few seconds; anything much faster is dropped
+const THUMBNAIL_INTERVAL = 5000;
+const MIN_THUMBNAIL_INTERVAL = 1000;
+
+const ask = (room, { studentId, name, registration = null, unknown = false }) => {
+    room.monitoring.students.set(studentId, { studentId, name, registration, unknown, status: 'asked', lastThumbnailAt: 0 });
+};
+
+/**
+ * Switch monitoring on and ask everyone in the room
+ * @param {Array<{studentId: string, name: string}>} students - Students currently in the room
+ * @returns {boolean} Whether monitoring was off before
+ */
+const start = (room, students) => {
+    if (room.monitoring) return false;
+    room.monitoring = { startedAt: new Date().toISOString(), students: new Map() };
+    students.forEach((student) => ask(room, student));
+    return true;
+};
+
+/**
+ * @returns {boolean} Whether monitoring was on
+ */
+const stop = (room) => {
+    if (!room.monitoring) return false;
+    room.monitoring = null;
+    return true;
+};
+
+// A student who joins while monitoring is on is asked too
+const join = (room, student) => {
+    if (room.monitoring) ask(room, student);
+};
+
+const leave = (room, studentId) => {
+    if (room.monitoring) room.monitoring.students.delete(studentId);
+};
+
+/**
+ * Record a student's answer; saying no after agreeing stops their thumbnails
+ * @returns {Object|null} The student's entry, or null if monitoring is off
+ */
+const respond = (room, studentId, accepted) => {
+    const entry = room.monitoring && room.monitoring.students.get(studentId);
+    if (!entry) return null;
+    if (accepted) {
+        entry.status = 'accepted';
+    } else {
+        entry.status = entry.status === 'accepted' ? 'stopped' : 'declined';
+    }
+    return entry;
+};
+
+/**
+ * Whether a thumbnail from this student may go to the lecturer
+ * Only students who agreed are relayed, and no more than one per second
+ */
+const acceptThumbnail = (room, studentId) => {
+    const entry = room.monitoring && room.monitoring.students.get(studentId);
+    if (!entry || entry.status !== 'accepted') return false;
+
+    const now = Date.now();
+    if (now - entry.lastThumbnailAt < MIN_THUMBNAIL_INTERVAL) return false;
+    entry.lastThumbnailAt = now;
+    return true;
+};
+
+// The lecturer's view: everyone in the room and whether they agreed
+const list = (room) => ({
+    active: !!room.monitoring,
+    students: room.monitoring
+        ? Array.from(room.monitoring.students.values(), ({ studentId, name, registration, unknown, status }) => ({
+            studentId,
+            name,
+            registration,
+            unknown,
+            status
+        }))
+        : []
+});
+
+// What a student is told about monitoring and their own consent
+const statusFor = (room, studentId) => {
+    const entry = room.monitoring && room.monitoring.students.get(studentId);
+    return {
+        active: !!room.monitoring,
+        status: entry ? entry.status : null,
+        interval: THUMBNAIL_INTERVAL
+    };
+};
+
+export default {
+    start,
+    stop,
+    join,
+    leave,
+    respond,
+    acceptThumbnail,
+    list,
+    statusFor
+};
@@ -0,0 +1,137 @@
+import { randomUUID } from 'crypto';
+
+/**
+ * Live polls per room
+ * The lecturer runs one poll at a time; students each get one vote, tracked by
+ * voter id (the registration number of a student on the roster, otherwise the
+ * clientId). Closed polls stay in the room so their results last the session.
+ */
+
+const MAX_QUESTION_LENGTH = 200;
+const MAX_OPTION_LENGTH = 80;
+const MAX_OPTIONS = 6;
+const MIN_DURATION = 5; // seconds
+const MAX_DURATION = 600;
+
+// Fixed answers for the non multiple-choice types
+const PRESET_OPTIONS = {
+    yesno: ['Yes', 'No'],
+    scale: ['1', '2', '3', '4', '5']
+};
+
+const cleanText = (value, maxLength) => (typeof value === 'string' ? value.trim().slice(0, maxLength) : '');
+
+/**
+ * Validate a poll from the lecturer
+ * @returns {Object|null} { question, type, options, duration } or null if unusable
+ */
+const sanitizePoll = (data = {}) => {
+    const question = cleanText(data.question, MAX_QUESTION_LENGTH);
+    if (!question) return null;
+
+    let options;
+    if (data.type === 'choice') {
+        options = (Array.isArray(data.options) ? data.options : [])
+            .map((option) => cleanText(option, MAX_OPTION_LENGTH))
+            .filter(Boolean)
+            .slice(0, MAX_OPTIONS);
+        if (options.length < 2) return null;
+    } else if (Object.hasOwn(PRESET_OPTIONS, data.type)) {
+        options = PRESET_OPTIONS[data.type];
+    } else {
+        return null;
+    }
+
+    // The countdown is optional; anything outside the limits means no countdown
+    const duration = Number.isInteger(data.duration) && data.duration >= MIN_DURATION && data.duration <= MAX_DURATION
+        ? data.duration
+        : null;
+
+    return { question, type: data.type, options: options.slice(), duration };
+};
+
+const create = (room, { question, type, options, duration }) => {
+    const now = Date.now();
+    const poll = {
+        id: randomUUID(),
+        question,
+        type,
+        options,
+        votes: new Map(), // voter id -> option index
+        status: 'open',
+        revealed: false,
+        startedAt: new Date(now).toISOString(),
+        endsAt: duration ? new Date(now + duration * 1000).toISOString() : null,
+        closedAt: null
+    };
+    room.polls.push(poll);
+    return poll;
+};
+
+const getPoll = (room, id) => room.polls.find((poll) => poll.id === id) || null;
+
+const getActivePoll = (room) => room.polls.find((poll) => poll.status === 'open') || null;
+
+/**
+ * Record a student's vote
+ * @returns {string|null} Why the vote was refused, or null if it counted
+ */
+const vote = (room, id, voterId, option) => {
+    const poll = getPoll(room, id);
+    if (!poll || poll.status !== 'open') return 'This poll is closed';
+    if (poll.votes.has(voterId)) return 'You have already voted in this poll';
+    if (!Number.isInteger(option) || option < 0 || option >= poll.options.length) return 'Invalid answer';
+
+    poll.votes.set(voterId, option);
+    return null;
+};
+
+const close = (poll) => {
+    if (poll.status !== 'open') return false;
+    poll.status = 'closed';
+    poll.closedAt = new Date().toISOString();
+    return true;
+};
+
+const getCounts = (poll) => {
+    const counts = poll.options.map(() => 0);
+    poll.votes.forEach((option) => counts[option]++);
+    return counts;
+};
+
+// Students see the counts only once the lecturer reveals them
+const viewFor = (poll, viewer) => {
+    const showResults = viewer.isLecturer || poll.revealed;
+    return {
+        id: poll.id,
+        question: poll.question,
+        type: poll.type,
+        options: poll.options,
+        status: poll.status,
+        revealed: poll.revealed,
+        startedAt: poll.startedAt,
+        endsAt: poll.endsAt,
+        // Device clocks disagree, so countdowns are driven by the time left rather than endsAt
+        remaining: poll.status === 'open' && poll.endsAt ? Math.max(0, Date.parse(poll.endsAt) - Date.now()) : null,
+        closedAt: poll.closedAt,
+        counts: showResults ? getCounts(poll) : null,
+        totalVotes: showResults ? poll.votes.size : null,
+        ...(viewer.isLecturer ? {} : {
+            myVote: poll.votes.has(viewer.voterId) ? poll.votes.get(viewer.voterId) : null
+        })
+    };
+};
+
+const list = (room, viewer) => room.polls.map((poll) => viewFor(poll, viewer));
+
+export default {
+    sanitizePoll,
+    create,
+    getPoll,
+    getActivePoll,
+    vote,
+    close,
+    getCounts,
+    viewFor,
+    list
+};
@@ -0,0 +1,106 @@
+import { randomUUID } from 'crypto';
+
+/**
+ * Q&A board per room
+ * Students ask questions (named or anonymous) and upvote each other's; the
+ * lecturer answers, pins or dismisses them. Askers and voters are tracked by
+ * clientId, so votes survive reconnects and a student cannot vote twice.
+ */
+
+const MAX_TEXT_LENGTH = 300;
+const MAX_QUESTIONS = 200;
+
+const ACTIONS = {
+    answer: (question) => {
+        question.status = 'answered';
+        question.answeredAt = new Date().toISOString();
+    },
+    reopen: (question) => {
+        question.status = 'open';
+        question.answeredAt = null;
+    },
+    dismiss: (question) => {
+        question.status = 'dismissed';
+        question.pinned = false;
+    },
+    pin: (question) => {
+        question.pinned = true;
+    },
+    unpin: (question) => {
+        question.pinned = false;
+    }
+};
+
+/**
+ * Add a question to the room's board
+ * @returns {Object|null} The question, or null if the text is empty or the board is full
+ */
+const ask = (room, { text, studentId, name, anonymous }) => {
+    const body = typeof text === 'string' ? text.trim().slice(0, MAX_TEXT_LENGTH) : '';
+    if (!body || room.questions.size >= MAX_QUESTIONS) return null;
+
+    const question = {
+        id: randomUUID(),
+        text: body,
+        authorId: studentId,
+        name: anonymous ? null : name,
+        votes: new Set(),
+        status: 'open',
+        pinned: false,
+        askedAt: new Date().toISOString(),
+        answeredAt: null
+    };
+    room.questions.set(question.id, question);
+    return question;
+};
+
+// Toggle a student's upvote; you cannot vote for your own question
+const vote = (room, id, studentId) => {
+    const question = room.questions.get(id);
+    if (!question || question.status === 'dismissed' || question.authorId === studentId) return null;
+
+    if (question.votes.has(studentId)) {
+        question.votes.delete(studentId);
+    } else {
+        question.votes.add(studentId);
+    }
+    return question;
+};
+
+const update = (room, id, action) => {
+    const question = room.questions.get(id);
+    if (!question || !Object.hasOwn(ACTIONS, action)) return null;
+
+    ACTIONS[action](question);
+    return question;
+};
+
+// What one client sees of a question: vote count instead of voters, never the asker's clientId
+const viewFor = (question, viewer) => ({
+    id: question.id,
+    text: question.text,
+    name: question.name,
+    anonymous: question.name === null,
+    votes: question.votes.size,
+    status: question.status,
+    pinned: question.pinned,
+    askedAt: question.askedAt,
+    answeredAt: question.answeredAt,
+    ...(viewer.isLecturer ? {} : {
+        mine: question.authorId === viewer.studentId,
+        voted: question.votes.has(viewer.studentId)
+    })
+});
+
+// Dismissed questions disappear for students; the lecturer keeps them for the export
+const list = (room, viewer) => Array.from(room.questions.values())
+    .filter((question) => viewer.isLecturer || question.status !== 'dismissed')
+    .map((question) => viewFor(question, viewer));
+
+export default {
+    ask,
+    vote,
+    update,
+    viewFor,
+    list
+};
@@ -0,0 +1,254 @@
+import { randomUUID } from 'crypto';
+
+/**
+ * Graded quizzes per room
+ * The lecturer starts a quiz with the correct answers; students submit once
+ * within the time limit and the server scores them. Correct answers never
+ * reach students before the quiz closes.
+ *
+ * Questions are either multiple choice (`options` plus the index of the
+ * correct one in `answer`) or typed (`answer` is the accepted text, or a list
+ * of accepted texts, compared ignoring case and spacing).
+ */
+
+const MAX_QUESTIONS = 50;
+const MAX_OPTIONS = 8;
+const MAX_TEXT_LENGTH = 300;
+const MAX_ANSWER_LENGTH = 200;
+const MIN_TIME_LIMIT = 10; // seconds
+const MAX_TIME_LIMIT = 3600;
+const DEFAULT_TIME_LIMIT = 300;
+// Submissions sent just as the countdown ends are still accepted
+const SUBMIT_GRACE = 3000;
+
+const cleanText = (value, maxLength) => (typeof value === 'string' ? value.trim().slice(0, maxLength) : '');
+
+const normalizeAnswer = (value) => String(value).trim().toLowerCase().replace(/\s+/g, ' ');
+
+const sanitizeQuestion = (data = {}) => {
+    const text = cleanText(data.text, MAX_TEXT_LENGTH);
+    if (!text) return null;
+    const points = Number.isInteger(data.points) && data.points > 0 && data.points <= 100 ? data.points : 1;
+
+    if (Array.isArray(data.options)) {
+        const options = data.options.map((option) => cleanText(String(option), MAX_ANSWER_LENGTH)).slice(0, MAX_OPTIONS);
+        if (options.length < 2 || options.some((option) => !option)) return null;
+        if (!Number.isInteger(data.answer) || data.answer < 0 || data.answer >= options.length) return null;
+        return { type: 'choice', text, options, answer: data.answer, points };
+    }
+
+    const accepted = (Array.isArray(data.answer) ? data.answer : [data.answer])
+        .map((answer) => (typeof answer === 'string' || typeof answer === 'number' ? cleanText(String(answer), MAX_ANSWER_LENGTH) : ''))
+        .filter(Boolean);
+    if (accepted.length === 0) return null;
+    return { type: 'text', text, accepted, points };
+};
+
+/**
+ * Validate a quiz from the lecturer
+ * @returns {{quiz: Object|null, error: string|null}}
+ */
+const sanitizeQuiz = (data = {}) => {
+    if (!Array.isArray(data.questions) || data.questions.length === 0) {
+        return { quiz: null, error: 'A quiz needs at least one question' };
+    }
+    if (data.questions.length > MAX_QUESTIONS) {
+        return { quiz: null, error: `A quiz can have at most ${MAX_QUESTIONS} questions` };
+    }
+
+    const questions = data.questions.map(sanitizeQuestion);
+    const invalid = questions.findIndex((question) => !question);
+    if (invalid !== -1) {
+        return { quiz: null, error: `Question ${invalid + 1} needs text and a correct answer` };
+    }
+
+    const timeLimit = Number.isInteger(data.timeLimit) && data.timeLimit >= MIN_TIME_LIMIT && data.timeLimit <= MAX_TIME_LIMIT
+        ? data.timeLimit
+        : DEFAULT_TIME_LIMIT;
+    return {
+        quiz: { title: cleanText(data.title, MAX_TEXT_LENGTH) || 'Quiz', timeLimit, questions },
+        error: null
+    };
+};
+
+const create = (room, { title, timeLimit, questions }) => {
+    const now = Date.now();
+    const quiz = {
+        id: randomUUID(),
+        title,
+        timeLimit,
+        questions,
+        submissions: new Map(), // voter id (see polls) -> submission
+        status: 'open',
+        startedAt: new Date(now).toISOString(),
+        endsAt: new Date(now + timeLimit * 1000).toISOString(),
+        closedAt: null
+    };
+    room.quizzes.push(quiz);
+    return quiz;
+};
+
+const getQuiz = (room, id) => room.quizzes.find((quiz) => quiz.id === id) || null;
+
+const getActiveQuiz = (room) => room.quizzes.find((quiz) => quiz.status === 'open') || null;
+
+const isCorrect = (question, answer) => {
+    if (answer === null) return false;
+    return question.type === 'choice'
+        ? answer === question.answer
+        : question.accepted.some((accepted) => normalizeAnswer(accepted) === normalizeAnswer(answer));
+};
+
+// What a student put for a question, in words
+const describeAnswer = (question, answer) => {
+    if (answer === null) return '';
+    return question.type === 'choice' ? question.options[answer] : answer;
+};
+
+const describeCorrect = (question) => (question.type === 'choice'
+    ? question.options[question.answer]
+    : question.accepted.join(' / '));
+
+const maxScore = (quiz) => quiz.questions.reduce((sum, question) => sum + question.points, 0);
+
+/**
+ * Score and store a student's answers
+ * @returns {string|null} Why the submission was refused, or null if it counted
+ */
+const submit = (quiz, student, answers) => {
+    if (quiz.status !== 'open' || Date.now() > Date.parse(quiz.endsAt) + SUBMIT_GRACE) return 'This quiz is closed';
+    if (quiz.submissions.has(student.studentId)) return 'You have already handed in this quiz';
+
+    const given = quiz.questions.map((question, index) => {
+        const answer = Array.isArray(answers) ? answers[index] : null;
+        if (question.type === 'choice') {
+            return Number.isInteger(answer) && answer >= 0 && answer < question.options.length ? answer : null;
+        }
+        return cleanText(answer, MAX_ANSWER_LENGTH) || null;
+    });
+    const correct = quiz.questions.map((question, index) => isCorrect(question, given[index]));
+
+    quiz.submissions.set(student.studentId, {
+        name: student.name,
+        registration: student.registration || null,
+        answers: given,
+        correct,
+        score: quiz.questions.reduce((sum, question, index) => sum + (correct[index] ? question.points : 0), 0),
+        submittedAt: new Date().toISOString(),
+        duration: Date.now() - Date.parse(quiz.startedAt)
+    });
+    return null;
+};
+
+// Time from start until the server closes the quiz, late submissions included
+const closeDelay = (quiz) => quiz.timeLimit * 1000 + SUBMIT_GRACE;
+
+const close = (quiz) => {
+    if (quiz.status !== 'open') return false;
+    quiz.status = 'closed';
+    quiz.closedAt = new Date().toISOString();
+    return true;
+};
+
+// Highest score first; ties go to whoever handed in sooner
+const getLeaderboard = (quiz) => Array.from(quiz.submissions, ([studentId, submission]) => ({ studentId, ...submission }))
+    .sort((a, b) => (b.score - a.score) || (a.duration - b.duration))
+    .map((submission) => ({
+        studentId: submission.studentId,
+        name: submission.name,
+        registration: submission.registration,
+        score: submission.score,
+        duration: submission.duration,
+        submittedAt: submission.submittedAt,
+        answers: quiz.questions.map((question, index) => describeAnswer(question, submission.answers[index])),
+        correct: submission.correct
+    }));
+
+// Per question: how many got it right, and the wrong answers given most often
+const getBreakdown = (quiz) => quiz.questions.map((question, index) => {
+    const wrong = new Map();
+    let correct = 0;
+    let answered = 0;
+    quiz.submissions.forEach((submission) => {
+        const answer = submission.answers[index];
+        if (answer === null) return;
+        answered++;
+        if (submission.correct[index]) {
+            correct++;
+            return;
+        }
+        const label = question.type === 'choice' ? describeAnswer(question, answer) : normalizeAnswer(answer);
+        wrong.set(label, (wrong.get(label) || 0) + 1);
+    });
+    return {
+        correct,
+        answered,
+        commonWrong: Array.from(wrong, ([answer, count]) => ({ answer, count }))
+            .sort((a, b) => b.count - a.count)
+            .slice(0, 3)
+    };
+});
+
+const viewFor = (quiz, viewer) => {
+    const isOpen = quiz.status === 'open';
+    const base = {
+        id: quiz.id,
+        title: quiz.title,
+        status: quiz.status,
+        timeLimit: quiz.timeLimit,
+        startedAt: quiz.startedAt,
+        // Device clocks disagree, so countdowns are driven by the time left rather than endsAt
+        remaining: isOpen ? Math.max(0, Date.parse(quiz.endsAt) - Date.now()) : null,
+        closedAt: quiz.closedAt,
+        maxScore: maxScore(quiz)
+    };
+
+    if (viewer.isLecturer) {
+        return {
+            ...base,
+            questions: quiz.questions.map((question) => ({
+                type: question.type,
+                text: question.text,
+                options: question.options,
+                correctAnswer: describeCorrect(question),
+                points: question.points
+            })),
+            submissionCount: quiz.submissions.size,
+            leaderboard: getLeaderboard(quiz),
+            breakdown: getBreakdown(quiz)
+        };
+    }
+
+    const submission = quiz.submissions.get(viewer.voterId);
+    return {
+        ...base,
+        questions: quiz.questions.map((question) => ({
+            type: question.type,
+            text: question.text,
+            options: question.options,
+            points: question.points,
+            ...(isOpen ? {} : { correctAnswer: describeCorrect(question) })
+        })),
+        submitted: !!submission,
+        // A student's own marks are shown once the quiz is over
+        result: submission && !isOpen ? {
+            score: submission.score,
+            answers: quiz.questions.map((question, index) => describeAnswer(question, submission.answers[index])),
+            correct: submission.correct
+        } : null
+    };
+};
+
+const list = (room, viewer) => room.quizzes.map((quiz) => viewFor(quiz, viewer));
+
+export default {
+    sanitizeQuiz,
+    create,
+    getQuiz,
+    getActiveQuiz,
+    submit,
+    closeDelay,
+    close,
+    viewFor,
+    list
+};
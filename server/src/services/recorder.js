@@ -0,0 +1,168 @@
+import fs from 'fs';
+import path from 'path';
+import config from '../config/server.js';
+
+/**
+ * Session recorder
+ * Each recording is a directory holding:
+ *   meta.json     - summary (room code, lecturer, start/end, counts)
+ *   events.jsonl  - one JSON event per line, `t` = ms since recording start
+ *   frames.bin    - frame and tile images back to back; events reference
+ *                   them as { offset, length }
+ */
+
+const RECORDING_ID_PATTERN = /^[A-Za-z0-9-]+$/;
+
+const recordingDir = (id) => path.resolve(config.recording.dir, id);
+
+const isValidId = (id) => typeof id === 'string' && RECORDING_ID_PATTERN.test(id);
+
+const writeMeta = (recording, extra = {}) => {
+    const meta = {
+        id: recording.id,
+        code: recording.code,
+        lecturerName: recording.lecturerName,
+        startedAt: recording.startedAt.toISOString(),
+        endedAt: null,
+        duration: null,
+        frameCount: recording.frameCount,
+        eventCount: recording.eventCount,
+        bytes: recording.offset,
+        ...extra
+    };
+    fs.writeFileSync(path.join(recording.dir, 'meta.json'), JSON.stringify(meta, null, 2));
+    return meta;
+};
+
+const start = (room) => {
+    const startedAt = new Date();
+    const id = `${startedAt.toISOString().replace(/[:.]/g, '-')}-${room.code}`;
+    const dir = recordingDir(id);
+    fs.mkdirSync(dir, { recursive: true });
+
+    const recording = {
+        id,
+        dir,
+        code: room.code,
+        lecturerName: room.lecturerName,
+        startedAt,
+        events: fs.createWriteStream(path.join(dir, 'events.jsonl')),
+        frames: fs.createWriteStream(path.join(dir, 'frames.bin')),
+        offset: 0,
+        frameCount: 0,
+        eventCount: 0,
+        failed: false
+    };
+
+    const onError = (err) => {
+        console.error(`❌ Recording ${id} failed:`, err.message);
+        recording.failed = true;
+    };
+    recording.events.on('error', onError);
+    recording.frames.on('error', onError);
+
+    writeMeta(recording);
+    console.log(`⏺ Recording ${id} started in ${dir}`);
+    return recording;
+};
+
+const recordEvent = (recording, type, data = {}) => {
+    if (!recording || recording.failed) return;
+
+    recording.eventCount++;
+    const event = { t: Date.now() - recording.startedAt.getTime(), type, ...data };
+    recording.events.write(JSON.stringify(event) + '\n');
+};
+
+// Append image bytes to frames.bin; data URLs from older clients are kept inline
+const writeImage = (recording, image) => {
+    if (typeof image === 'string') return image;
+
+    const bytes = Buffer.isBuffer(image) ? image : Buffer.from(image);
+    const ref = { offset: recording.offset, length: bytes.length };
+    recording.frames.write(bytes);
+    recording.offset += bytes.length;
+    return ref;
+};
+
+const recordFrame = (recording, frame) => {
+    if (!recording || recording.failed) return;
+
+    recording.frameCount++;
+    recordEvent(recording, 'frame', {
+        frame: {
+            type: frame.type,
+            frameId: frame.frameId,
+            keyframeId: frame.keyframeId,
+            mimeType: frame.mimeType,
+            resolution: frame.resolution,
+            presenter: frame.presenter,
+            image: frame.image ? writeImage(recording, frame.image) : undefined,
+            tiles: frame.tiles
+                ? frame.tiles.map((tile) => ({ ...tile, image: writeImage(recording, tile.image) }))
+                : undefined
+        }
+    });
+};
+
+const stop = (recording) => {
+    if (!recording) return null;
+
+    const endedAt = new Date();
+    recording.events.end();
+    recording.frames.end();
+    const meta = writeMeta(recording, {
+        endedAt: endedAt.toISOString(),
+        duration: endedAt.getTime() - recording.startedAt.getTime()
+    });
+    console.log(`⏹ Recording ${recording.id} stopped (${recording.frameCount} frames)`);
+    return meta;
+};
+
+const readMeta = async (id) => {
+    if (!isValidId(id)) return null;
+    try {
+        const meta = await fs.promises.readFile(path.join(recordingDir(id), 'meta.json'), 'utf8');
+        return JSON.parse(meta);
+    } catch (err) {
+        return null;
+    }
+};
+
+const listRecordings = async () => {
+    let entries;
+    try {
+        entries = await fs.promises.readdir(config.recording.dir, { withFileTypes: true });
+    } catch (err) {
+        if (err.code === 'ENOENT') return [];
+        throw err;
+    }
+
+    const metas = await Promise.all(
+        entries.filter((entry) => entry.isDirectory()).map((entry) => readMeta(entry.name))
+    );
+    return metas
+        .filter(Boolean)
+        .sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+};
+
+const readEvents = async (id) => {
+    const content = await fs.promises.readFile(path.join(recordingDir(id), 'events.jsonl'), 'utf8');
+    return content
+        .split('\n')
+        .filter((line) => line.trim())
+        .map((line) => JSON.parse(line));
+};
+
+const getFramesPath = (id) => (isValidId(id) ? path.join(recordingDir(id), 'frames.bin') : null);
+
+export default {
+    start,
+    stop,
+    recordEvent,
+    recordFrame,
+    readMeta,
+    readEvents,
+    listRecordings,
+    getFramesPath
+};
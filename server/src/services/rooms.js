@@ -0,0 +1,109 @@
+import { randomBytes, randomInt } from 'crypto';
+
+/**
+ * Lecture room registry
+ * Each lecturer session owns a room identified by a short join code.
+ * Students join a room with that code and only receive traffic for it.
+ */
+
+// Unambiguous characters only (no 0/O, 1/I/L) so codes can be read off a projector
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 4;
+
+const rooms = new Map();
+
+const normalizeCode = (code) => (typeof code === 'string' ? code.trim().toUpperCase() : '');
+
+const generateCode = () => {
+    let code;
+    do {
+        code = '';
+        for (let i = 0; i < CODE_LENGTH; i++) {
+            code += CODE_ALPHABET[randomInt(CODE_ALPHABET.length)];
+        }
+    } while (rooms.has(code));
+    return code;
+};
+
+const createRoom = (lecturer) => {
+    const room = {
+        code: generateCode(),
+        lecturerId: lecturer.id,
+        lecturerName: lecturer.name,
+        // Given to the lecturer's page only, so it can take the room back after a reconnect or reload
+        sessionToken: randomBytes(16).toString('hex'),
+        // When the lecturer disconnected; the session ends if they stay away too long
+        lecturerLeftAt: null,
+        // Running while a dropped lecturer has time to reconnect before students are told
+        lecturerGraceTimer: null,
+        students: new Set(),
+        // Latest keyframe plus the merged deltas since, replayed to students who join mid-share
+        cachedFrames: [],
+        lastKeyframeRequest: 0,
+        // WebRTC mode: students watching the video track need no relayed frames
+        webrtcActive: false,
+        webrtcStudents: new Set(),
+        // Lecturer's annotation strokes (id -> stroke) over the shared screen
+        annotations: new Map(),
+        // Active session recording, if the lecturer started one
+        recording: null,
+        // Chat history for the session; the lecturer can switch off student messages to everyone
+        chat: { messages: [], publicEnabled: true },
+        // Q&A board (id -> question), ranked by votes on the clients
+        questions: new Map(),
+        // Every poll of the session, newest last; at most one is open
+        polls: [],
+        // Graded quizzes of the session, newest last; at most one is open
+        quizzes: [],
+        // Raised hands (clientId -> entry), in the order they went up
+        hands: new Map(),
+        // Student screen shares (socket id -> share), waiting for approval or approved
+        shares: new Map(),
+        // Student whose screen the class sees instead of the lecturer's, with their latest frame
+        presenter: null,
+        // Sharing student the lecturer is looking at in full; the rest send thumbnails
+        spotlight: null,
+        // Class roster (registration number -> { registration, name }) joins are checked against
+        roster: new Map(),
+        // Attendance (registration number or clientId -> record with every visit)
+        attendance: new Map(),
+        // Waiting room: students waiting to be let in (socket id -> entry), and clientIds let in
+        lobby: { enabled: false, waiting: new Map(), admitted: new Set() },
+        // Lab monitoring, while switched on: each student's consent (socket id -> entry)
+        monitoring: null,
+        createdAt: new Date()
+    };
+    rooms.set(room.code, room);
+    return room;
+};
+
+const getRoom = (code) => rooms.get(normalizeCode(code));
+
+const deleteRoom = (code) => rooms.delete(normalizeCode(code));
+
+const isEmpty = (room) => !room.lecturerId && !room.lecturerGraceTimer
+    && room.students.size === 0 && room.lobby.waiting.size === 0;
+
+// Socket.IO room name used to address every member of a lecture room
+const channel = (code) => `room:${code}`;
+
+const summarize = (room) => ({
+    code: room.code,
+    lecturerOnline: !!room.lecturerId,
+    lecturerName: room.lecturerName,
+    studentCount: room.students.size,
+    isSharing: room.cachedFrames.length > 0,
+    isRecording: !!room.recording,
+    createdAt: room.createdAt
+});
+
+export default {
+    createRoom,
+    getRoom,
+    deleteRoom,
+    isEmpty,
+    channel,
+    normalizeCode,
+    getRooms: () => Array.from(rooms.values()),
+    getRoomSummaries: () => Array.from(rooms.values()).map(summarize)
+};
@@ -0,0 +1,117 @@
+/**
+ * Class roster per room
+ * The lecturer imports the class list (name and registration number), and
+ * students are matched to it by registration number when they join. The
+ * roster's spelling of a name wins; students who are not on it are flagged
+ * for the lecturer rather than turned away.
+ */
+
+const MAX_ENTRIES = 1000;
+const MAX_LENGTH = 100;
+
+// Registration numbers are compared without case or spaces, as students type them differently
+const normalizeRegistration = (value) => (
+    typeof value === 'string' ? value.replace(/\s+/g, '').toUpperCase().slice(0, MAX_LENGTH) : ''
+);
+
+const cleanName = (value) => (
+    typeof value === 'string' ? value.replace(/\s+/g, ' ').trim().slice(0, MAX_LENGTH) : ''
+);
+
+/**
+ * Replace the roster; entries without a registration number are skipped
+ * @param {Array<{name: string, registration: string}>} entries
+ * @returns {number} How many students the roster holds
+ */
+const set = (room, entries) => {
+    room.roster.clear();
+    for (const entry of Array.isArray(entries) ? entries : []) {
+        if (room.roster.size >= MAX_ENTRIES) break;
+        const registration = normalizeRegistration(entry && entry.registration);
+        if (!registration) continue;
+        room.roster.set(registration, { registration, name: cleanName(entry.name) || registration });
+    }
+    return room.roster.size;
+};
+
+const clear = (room) => {
+    room.roster.clear();
+};
+
+/**
+ * Who a student is, going by what they typed and the roster
+ * @returns {{name: string, registration: string|null, unknown: boolean}} unknown is only
+ *   set while a roster is loaded and the student is not on it
+ */
+const identify = (room, { name, registration }) => {
+    const normalized = normalizeRegistration(registration);
+    const entry = normalized ? room.roster.get(normalized) : null;
+    return {
+        name: entry ? entry.name : (cleanName(name) || 'Student'),
+        registration: normalized || null,
+        unknown: room.roster.size > 0 && !entry
+    };
+};
+
+/**
+ * Whether a registration number is already held by a connected student in another browser.
+ * Two tabs of one browser share a clientId and are the same student, and a claim that was
+ * itself flagged holds nothing, so the real student can still come back while it is connected
+ * @param {Array<{clientId: string, registration: string|null, duplicate: boolean}>} students - Students connected to the room
+ */
+const isClaimed = (students, { registration, clientId }) => (
+    !!registration && students.some((student) => (
+        student.registration === registration && student.clientId !== clientId && !student.duplicate
+    ))
+);
+
+/**
+ * Registration numbers claimed from more than one browser, with everyone claiming them,
+ * so the lecturer can see when a student signs in for someone else
+ * @param {Array<{studentId: string, clientId: string, name: string, registration: string|null}>} students
+ * @returns {Array<{registration: string, students: Array<{studentId: string, name: string}>}>}
+ */
+const findDuplicates = (students) => {
+    const claims = new Map();
+    for (const student of students) {
+        if (!student.registration) continue;
+        if (!claims.has(student.registration)) claims.set(student.registration, []);
+        claims.get(student.registration).push(student);
+    }
+    return Array.from(claims, ([registration, claimants]) => ({ registration, claimants }))
+        .filter(({ claimants }) => new Set(claimants.map((student) => student.clientId)).size > 1)
+        .map(({ registration, claimants }) => ({
+            registration,
+            students: claimants.map(({ studentId, name }) => ({ studentId, name }))
+        }));
+};
+
+/**
+ * Who a poll vote or quiz submission belongs to. The clientId is the browser's own and a fresh
+ * one is easy to make, so a student on the roster votes as their registration number instead.
+ * A flagged claim on someone else's number votes as its own browser, as its attendance is kept
+ * @param {{clientId: string, registration: string|null, duplicate: boolean}} student
+ */
+const voterId = (room, { clientId, registration, duplicate }) => (
+    registration && !duplicate && room.roster.has(registration) ? `reg:${registration}` : clientId
+);
+
+/**
+ * The lecturer's view of the roster
+ * @param {Set<string>} online - Registration numbers of students currently connected
+ */
+const list = (room, online) => Array.from(room.roster.values(), (entry) => ({
+    ...entry,
+    online: online.has(entry.registration)
+}));
+
+export default {
+    normalizeRegistration,
+    set,
+    clear,
+    identify,
+    isClaimed,
+    findDuplicates,
+    voterId,
+    list
+};
@@ -0,0 +1,69 @@
+/**
+ * Student screen shares per room
+ * A student asks to share and the lecturer approves or denies the request;
+ * only approved students' frames are relayed. Shares belong to one socket,
+ * so a share ends when that student disconnects.
+ *
+ * Sharers send small, infrequent thumbnails unless the lecturer has them in
+ * the spotlight or they are presenting to the class, so a room full of
+ * sharing students does not swamp the lecturer's connection.
+ */
+
+/**
+ * Record a student's request to share
+ * @returns {boolean} Whether this is a new request
+ */
+const request = (room, { studentId, name, registration = null, unknown = false }) => {
+    if (room.shares.has(studentId)) return false;
+    room.shares.set(studentId, {
+        studentId,
+        name,
+        registration,
+        unknown,
+        status: 'pending',
+        requestedAt: new Date().toISOString(),
+        approvedAt: null
+    });
+    return true;
+};
+
+const approve = (room, studentId) => {
+    const share = room.shares.get(studentId);
+    if (!share || share.status !== 'pending') return null;
+    share.status = 'approved';
+    share.approvedAt = new Date().toISOString();
+    return share;
+};
+
+/**
+ * Remove a request or stop a running share
+ * @returns {Object|null} The share that ended, or null if there was none
+ */
+const end = (room, studentId) => {
+    const share = room.shares.get(studentId) || null;
+    room.shares.delete(studentId);
+    return share;
+};
+
+const isApproved = (room, studentId) => room.shares.get(studentId)?.status === 'approved';
+
+// 'full' (full resolution, every frame) or 'thumbnail'
+const qualityFor = (room, studentId) => (
+    room.spotlight === studentId || room.presenter?.studentId === studentId ? 'full' : 'thumbnail'
+);
+
+// Oldest request first
+const list = (room) => Array.from(room.shares.values());
+
+// What a student is told about their own share
+const statusFor = (room, studentId) => ({ status: room.shares.get(studentId)?.status || null });
+
+export default {
+    request,
+    approve,
+    end,
+    isApproved,
+    qualityFor,
+    list,
+    statusFor
+};
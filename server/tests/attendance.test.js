@@ -0,0 +1,103 @@
+import { jest } from '@jest/globals';
+import attendance from '../src/services/attendance.js';
+import roster from '../src/services/roster.js';
+
+const MINUTE = 60000;
+const START = new Date('2026-03-02T08:00:00Z').getTime();
+
+const makeRoom = () => ({ roster: new Map(), attendance: new Map() });
+const at = (minutes) => jest.setSystemTime(START + minutes * MINUTE);
+
+beforeEach(() => {
+    jest.useFakeTimers();
+    at(0);
+});
+
+afterEach(() => {
+    jest.useRealTimers();
+});
+
+describe('attendance', () => {
+    test('adds up the minutes of every visit', () => {
+        const room = makeRoom();
+        attendance.join(room, { socketId: 's1', clientId: 'c1', name: 'Amy', registration: 'S1' });
+        at(20);
+        attendance.leave(room, 's1');
+        at(30);
+        attendance.join(room, { socketId: 's2', clientId: 'c1', name: 'Amy', registration: 'S1' });
+        at(45);
+        attendance.leave(room, 's2');
+
+        const [amy] = attendance.list(room, 30);
+        expect(amy).toMatchObject({ name: 'Amy', registration: 'S1', minutes: 35, visits: 2, online: false, present: true });
+        expect(amy.firstSeen).toBe(new Date(START).toISOString());
+        expect(amy.lastSeen).toBe(new Date(START + 45 * MINUTE).toISOString());
+    });
+
+    test('counts two open tabs once', () => {
+        const room = makeRoom();
+        attendance.join(room, { socketId: 's1', clientId: 'c1', name: 'Amy', registration: 'S1' });
+        at(10);
+        attendance.join(room, { socketId: 's2', clientId: 'c1', name: 'Amy', registration: 'S1' });
+        at(20);
+        attendance.leave(room, 's1');
+        at(25);
+
+        const [amy] = attendance.list(room, 30);
+        expect(amy).toMatchObject({ minutes: 25, visits: 2, online: true, present: false });
+    });
+
+    test('merges visits from another browser by registration number', () => {
+        const room = makeRoom();
+        attendance.join(room, { socketId: 's1', clientId: 'c1', name: 'Amy', registration: 'S1' });
+        attendance.leave(room, 's1');
+        attendance.join(room, { socketId: 's2', clientId: 'c2', name: 'Amy', registration: 'S1' });
+        expect(attendance.list(room, 30)).toHaveLength(1);
+    });
+
+    test('keeps students without a registration number apart by browser', () => {
+        const room = makeRoom();
+        attendance.join(room, { socketId: 's1', clientId: 'c1', name: 'Zed', registration: null });
+        attendance.join(room, { socketId: 's2', clientId: 'c2', name: 'Zed', registration: null });
+        expect(attendance.list(room, 30)).toHaveLength(2);
+    });
+
+    test('gives a duplicate claim its own flagged record under the name typed', () => {
+        const room = makeRoom();
+        roster.set(room, [{ name: 'Amy Adams', registration: 'S1' }]);
+        attendance.join(room, { socketId: 's1', clientId: 'c1', name: 'Amy Adams', registration: 'S1' });
+        attendance.join(room, { socketId: 's2', clientId: 'c2', name: 'Bob', registration: 'S1', duplicate: true });
+
+        const records = attendance.list(room, 30);
+        expect(records).toHaveLength(2);
+        expect(records[0]).toMatchObject({ name: 'Amy Adams', duplicate: false, onRoster: true });
+        expect(records[1]).toMatchObject({ name: 'Bob', registration: 'S1', duplicate: true });
+    });
+
+    test("uses the roster's spelling and lists roster students who never came", () => {
+        const room = makeRoom();
+        roster.set(room, [{ name: 'Amy Adams', registration: 'S1' }, { name: 'Never Came', registration: 'S9' }]);
+        attendance.join(room, { socketId: 's1', clientId: 'c1', name: 'amy', registration: 'S1' });
+        attendance.join(room, { socketId: 's2', clientId: 'c2', name: 'Zed', registration: null });
+
+        const records = attendance.list(room, 30);
+        expect(records.map((record) => [record.name, record.onRoster])).toEqual([
+            ['Amy Adams', true],
+            ['Zed', false],
+            ['Never Came', true]
+        ]);
+        expect(records[2]).toMatchObject({ visits: 0, firstSeen: null, minutes: 0, present: false });
+    });
+
+    test('leaves onRoster unset without a roster', () => {
+        const room = makeRoom();
+        attendance.join(room, { socketId: 's1', clientId: 'c1', name: 'Amy', registration: 'S1' });
+        expect(attendance.list(room, 30)[0].onRoster).toBeNull();
+    });
+
+    test('a zero-minute threshold counts everyone who joined', () => {
+        const room = makeRoom();
+        attendance.join(room, { socketId: 's1', clientId: 'c1', name: 'Amy', registration: 'S1' });
+        expect(attendance.list(room, 0)[0].present).toBe(true);
+    });
+});
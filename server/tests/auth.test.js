@@ -0,0 +1,68 @@
+import { jest } from '@jest/globals';
+import config from '../src/config/server.js';
+import auth from '../src/services/auth.js';
+
+const payloadOf = (token) => token.split('.')[0];
+const signatureOf = (token) => token.split('.')[1];
+const encode = (claims) => Buffer.from(JSON.stringify(claims)).toString('base64url');
+
+afterEach(() => {
+    jest.useRealTimers();
+});
+
+describe('auth.verifyToken', () => {
+    test('accepts a token it issued', () => {
+        const { token, expiresAt } = auth.issueToken({ name: 'Dr X' });
+        expect(auth.verifyToken(token)).toEqual({ role: 'lecturer', name: 'Dr X', exp: expiresAt });
+    });
+
+    test('refuses an expired token', () => {
+        jest.useFakeTimers();
+        const { token } = auth.issueToken({ name: 'Dr X' });
+        jest.setSystemTime(Date.now() + config.auth.tokenTtl + 1);
+        expect(auth.verifyToken(token)).toBeNull();
+    });
+
+    test('refuses a token whose claims were changed after signing', () => {
+        const { token } = auth.issueToken({ name: 'Dr X' });
+        const claims = JSON.parse(Buffer.from(payloadOf(token), 'base64url').toString('utf8'));
+        const extended = encode({ ...claims, exp: claims.exp + 365 * 24 * 60 * 60 * 1000 });
+        expect(auth.verifyToken(`${extended}.${signatureOf(token)}`)).toBeNull();
+    });
+
+    test('refuses a token signed with another secret', () => {
+        const payload = encode({ role: 'lecturer', name: 'Mallory', exp: Date.now() + 60000 });
+        expect(auth.verifyToken(`${payload}.${'A'.repeat(43)}`)).toBeNull();
+    });
+
+    test('refuses a signature of the wrong length without throwing', () => {
+        const { token } = auth.issueToken({ name: 'Dr X' });
+        expect(auth.verifyToken(`${payloadOf(token)}.short`)).toBeNull();
+    });
+
+    test.each([
+        ['nothing', undefined],
+        ['a number', 42],
+        ['an empty string', ''],
+        ['no signature', 'abc'],
+        ['an empty payload', '.abc'],
+        ['a trailing dot', 'abc.']
+    ])('refuses a malformed token: %s', (label, token) => {
+        expect(auth.verifyToken(token)).toBeNull();
+    });
+});
+
+describe('auth.checkPin', () => {
+    // Without LECTURER_PIN the server makes one up
+    const pin = config.auth.lecturerPin || auth.getGeneratedPin();
+
+    test('accepts the PIN, ignoring surrounding spaces', () => {
+        expect(auth.checkPin(` ${pin} `)).toBe(true);
+    });
+
+    test('refuses a wrong or missing PIN', () => {
+        expect(auth.checkPin(`${pin}0`)).toBe(false);
+        expect(auth.checkPin(undefined)).toBe(false);
+        expect(auth.checkPin(Number(pin) || 0)).toBe(false);
+    });
+});
@@ -0,0 +1,91 @@
+import chat from '../src/services/chat.js';
+
+const makeRoom = () => ({ chat: { messages: [], publicEnabled: true } });
+const lecturer = { isLecturer: true };
+const amy = { isLecturer: false, studentId: 'browser-a' };
+const bob = { isLecturer: false, studentId: 'browser-b' };
+
+// A public message from Amy, her private question and the lecturer's private reply
+const makeConversation = () => {
+    const room = makeRoom();
+    chat.addMessage(room, chat.createMessage({ from: 'student', name: 'Amy', studentId: 'browser-a', isPrivate: false, text: 'Hello all' }));
+    chat.addMessage(room, chat.createMessage({ from: 'student', name: 'Amy', studentId: 'browser-a', isPrivate: true, text: 'Can I leave early?' }));
+    chat.addMessage(room, chat.createMessage({ from: 'lecturer', name: 'Dr X', studentId: 'browser-a', isPrivate: true, text: 'Yes' }));
+    return room;
+};
+
+describe('chat.sanitizeText', () => {
+    test('trims and shortens the text', () => {
+        expect(chat.sanitizeText('  hi  ')).toBe('hi');
+        expect(chat.sanitizeText('x'.repeat(600))).toHaveLength(500);
+    });
+
+    test('returns null when there is nothing to send', () => {
+        expect(chat.sanitizeText('   ')).toBeNull();
+        expect(chat.sanitizeText({ text: 'hi' })).toBeNull();
+    });
+});
+
+describe('private messages', () => {
+    test('the lecturer sees every message', () => {
+        expect(chat.getHistory(makeConversation(), lecturer).map((message) => message.text))
+            .toEqual(['Hello all', 'Can I leave early?', 'Yes']);
+    });
+
+    test('a student sees public messages and their own thread', () => {
+        expect(chat.getHistory(makeConversation(), amy).map((message) => message.text))
+            .toEqual(['Hello all', 'Can I leave early?', 'Yes']);
+    });
+
+    test("a student never sees another student's thread", () => {
+        const room = makeConversation();
+        expect(chat.getHistory(room, bob).map((message) => message.text)).toEqual(['Hello all']);
+        expect(chat.isVisibleTo(room.chat.messages[1], bob)).toBe(false);
+        expect(chat.isVisibleTo(room.chat.messages[2], bob)).toBe(false);
+    });
+
+    test('a private message without a thread is shown to no student', () => {
+        const message = chat.createMessage({ from: 'lecturer', name: 'Dr X', isPrivate: true, text: 'Note' });
+        expect(chat.isVisibleTo(message, { isLecturer: false, studentId: undefined })).toBe(false);
+    });
+
+    test('students are not told whose message it was, only whether it is theirs', () => {
+        const [publicMessage, question, reply] = chat.getHistory(makeConversation(), amy);
+        [publicMessage, question, reply].forEach((message) => expect(message).not.toHaveProperty('studentId'));
+        expect([publicMessage.mine, question.mine, reply.mine]).toEqual([true, true, false]);
+        expect(chat.getHistory(makeConversation(), bob)[0].mine).toBe(false);
+    });
+
+    test('the lecturer gets the thread each message belongs to', () => {
+        expect(chat.getHistory(makeConversation(), lecturer)[2]).toMatchObject({ scope: 'private', studentId: 'browser-a' });
+    });
+});
+
+describe('chat.checkStudentMessage', () => {
+    test('lets students write to everyone while public chat is on', () => {
+        expect(chat.checkStudentMessage(makeRoom(), false)).toBeNull();
+    });
+
+    test('stops messages to everyone once the lecturer turns public chat off', () => {
+        const room = makeRoom();
+        room.chat.publicEnabled = false;
+        expect(chat.checkStudentMessage(room, false)).toBe('The lecturer has turned off messages to everyone');
+    });
+
+    test('still lets students write to the lecturer privately', () => {
+        const room = makeRoom();
+        room.chat.publicEnabled = false;
+        expect(chat.checkStudentMessage(room, true)).toBeNull();
+    });
+});
+
+describe('chat.addMessage', () => {
+    test('drops the oldest messages beyond the history limit', () => {
+        const room = makeRoom();
+        for (let i = 0; i < 1001; i++) {
+            chat.addMessage(room, chat.createMessage({ from: 'lecturer', name: 'Dr X', isPrivate: false, text: `#${i}` }));
+        }
+        expect(room.chat.messages).toHaveLength(1000);
+        expect(room.chat.messages[0].text).toBe('#1');
+    });
+});
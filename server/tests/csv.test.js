@@ -0,0 +1,56 @@
+import { createRequire } from 'module';
+
+// The browser's shared helpers, which export themselves for CommonJS as well
+const require = createRequire(import.meta.url);
+const Utils = require('../../client/shared/js/utils.js');
+
+describe('Utils.toCSV', () => {
+    test('joins cells with commas and rows with CRLF', () => {
+        expect(Utils.toCSV([['Name', 'Minutes'], ['Amy', 42]])).toBe('Name,Minutes\r\nAmy,42');
+    });
+
+    test('quotes cells holding commas, quotes or line breaks', () => {
+        expect(Utils.toCSV([['Adams, Amy', 'said "hi"', 'two\nlines']]))
+            .toBe('"Adams, Amy","said ""hi""","two\nlines"');
+    });
+
+    test('writes null and undefined as empty cells', () => {
+        expect(Utils.toCSV([[null, undefined, 0, false]])).toBe(',,0,false');
+    });
+
+    test('stops text cells from being read as spreadsheet formulas', () => {
+        expect(Utils.toCSV([['=SUM(A1)', '+1', '-2', '@x']])).toBe("'=SUM(A1),'+1,'-2,'@x");
+    });
+
+    test('leaves negative numbers alone', () => {
+        expect(Utils.toCSV([[-3]])).toBe('-3');
+    });
+});
+
+describe('Utils.parseCSV', () => {
+    test('splits rows and cells', () => {
+        expect(Utils.parseCSV('Name,Reg\nAmy,S1\r\nBob,S2')).toEqual([
+            ['Name', 'Reg'],
+            ['Amy', 'S1'],
+            ['Bob', 'S2']
+        ]);
+    });
+
+    test('reads quoted cells with commas, doubled quotes and line breaks', () => {
+        expect(Utils.parseCSV('"Adams, Amy","said ""hi""","two\nlines"')).toEqual([
+            ['Adams, Amy', 'said "hi"', 'two\nlines']
+        ]);
+    });
+
+    test('drops blank lines and a trailing newline', () => {
+        expect(Utils.parseCSV('Amy,S1\n\n , \nBob,S2\n')).toEqual([
+            ['Amy', 'S1'],
+            ['Bob', 'S2']
+        ]);
+    });
+
+    test('reads back what toCSV writes', () => {
+        const rows = [['Name', 'Note'], ['Adams, Amy', 'said "hi"']];
+        expect(Utils.parseCSV(Utils.toCSV(rows))).toEqual(rows);
+    });
+});
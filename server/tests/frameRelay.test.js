@@ -0,0 +1,144 @@
+import config from '../src/config/server.js';
+import frameRelay from '../src/services/frameRelay.js';
+
+const keyframe = (id) => ({ type: 'key', keyframeId: id });
+const delta = (keyframeId, tiles) => ({
+    type: 'delta',
+    keyframeId,
+    tiles: tiles.map(([x, y, image]) => ({ x, y, image }))
+});
+
+describe('frameRelay.appendFrame', () => {
+    test('queues a frame when nothing is waiting', () => {
+        const queue = [];
+        expect(frameRelay.appendFrame(queue, keyframe(1))).toBe(0);
+        expect(queue).toEqual([keyframe(1)]);
+    });
+
+    test('a keyframe replaces everything waiting', () => {
+        const queue = [keyframe(1), delta(1, [[0, 0, 'a']])];
+        expect(frameRelay.appendFrame(queue, keyframe(2))).toBe(2);
+        expect(queue).toEqual([keyframe(2)]);
+    });
+
+    test('an untyped full frame counts as a keyframe', () => {
+        const queue = [keyframe(1)];
+        expect(frameRelay.appendFrame(queue, { image: 'full' })).toBe(1);
+        expect(queue).toEqual([{ image: 'full' }]);
+    });
+
+    test('a delta after a keyframe is queued behind it', () => {
+        const queue = [keyframe(1)];
+        expect(frameRelay.appendFrame(queue, delta(1, [[0, 0, 'a']]))).toBe(0);
+        expect(queue).toHaveLength(2);
+    });
+
+    test('deltas on the same keyframe merge tile by tile, newest tile winning', () => {
+        const queue = [delta(1, [[0, 0, 'aa'], [1, 0, 'bb']])];
+        expect(frameRelay.appendFrame(queue, delta(1, [[1, 0, 'c'], [2, 0, 'dddd']]))).toBe(1);
+        expect(queue).toHaveLength(1);
+        const [merged] = queue;
+        expect(merged.tiles).toEqual([
+            { x: 0, y: 0, image: 'aa' },
+            { x: 1, y: 0, image: 'c' },
+            { x: 2, y: 0, image: 'dddd' }
+        ]);
+        expect(merged.size).toBe(7);
+    });
+
+    test('a delta on a newer keyframe is not merged into an older one', () => {
+        const queue = [delta(1, [[0, 0, 'a']])];
+        expect(frameRelay.appendFrame(queue, delta(2, [[0, 0, 'b']]))).toBe(0);
+        expect(queue).toHaveLength(2);
+    });
+});
+
+// A socket that holds on to each frame's ack until the test calls it
+const makeSocket = (id) => {
+    const socket = {
+        id,
+        connected: true,
+        delivered: [],
+        acks: [],
+        timeout: () => ({
+            emit: (event, frame, ack) => {
+                socket.delivered.push(frame);
+                socket.acks.push(ack);
+            }
+        }),
+        ack: () => socket.acks.shift()()
+    };
+    return socket;
+};
+
+describe('frameRelay.send', () => {
+    const { maxInFlight } = config.relay;
+
+    test('sends straight away while the recipient has room', () => {
+        const socket = makeSocket('fast');
+        for (let i = 0; i < maxInFlight; i++) frameRelay.send(socket, 'screen-update', keyframe(i));
+        expect(socket.delivered).toHaveLength(maxInFlight);
+        expect(frameRelay.getStats('fast', 'screen-update')).toEqual({
+            framesSent: maxInFlight,
+            framesDropped: 0,
+            framesInFlight: maxInFlight
+        });
+    });
+
+    test('holds frames back until an ack frees a slot', () => {
+        const socket = makeSocket('slow');
+        for (let i = 0; i <= maxInFlight; i++) frameRelay.send(socket, 'screen-update', keyframe(i));
+        expect(socket.delivered).toHaveLength(maxInFlight);
+
+        socket.ack();
+        expect(socket.delivered).toHaveLength(maxInFlight + 1);
+        expect(socket.delivered[maxInFlight]).toEqual(keyframe(maxInFlight));
+    });
+
+    test('collapses waiting frames while the recipient is busy', () => {
+        const socket = makeSocket('busy');
+        for (let i = 0; i < maxInFlight; i++) frameRelay.send(socket, 'screen-update', keyframe(i));
+        frameRelay.send(socket, 'screen-update', keyframe(10));
+        frameRelay.send(socket, 'screen-update', delta(10, [[0, 0, 'a']]));
+        frameRelay.send(socket, 'screen-update', delta(10, [[0, 0, 'b']]));
+        frameRelay.send(socket, 'screen-update', keyframe(11));
+
+        expect(frameRelay.getStats('busy', 'screen-update').framesDropped).toBe(3);
+        socket.ack();
+        socket.ack();
+        expect(socket.delivered.slice(maxInFlight)).toEqual([keyframe(11)]);
+        expect(frameRelay.getStats('busy', 'screen-update').framesInFlight).toBe(1);
+    });
+
+    test('keeps each stream of a recipient apart', () => {
+        const socket = makeSocket('two-streams');
+        for (let i = 0; i < maxInFlight; i++) frameRelay.send(socket, 'screen-update', keyframe(i));
+        frameRelay.send(socket, 'student-screen', keyframe(0), 'student-a');
+        expect(socket.delivered).toHaveLength(maxInFlight + 1);
+        expect(frameRelay.getStats('two-streams', 'student-a').framesSent).toBe(1);
+    });
+
+    test('does not send to a socket that has gone', () => {
+        const socket = makeSocket('gone');
+        socket.connected = false;
+        frameRelay.send(socket, 'screen-update', keyframe(1));
+        expect(socket.delivered).toHaveLength(0);
+    });
+
+    test('forget drops what was kept for a recipient', () => {
+        const socket = makeSocket('forgotten');
+        frameRelay.send(socket, 'screen-update', keyframe(1));
+        frameRelay.forget('forgotten');
+        expect(frameRelay.getStats('forgotten', 'screen-update').framesSent).toBe(0);
+    });
+});
+
+describe('frameRelay.getStats', () => {
+    test('reports zeros for a stream it has never seen', () => {
+        expect(frameRelay.getStats('nobody', 'screen-update')).toEqual({
+            framesSent: 0,
+            framesDropped: 0,
+            framesInFlight: 0
+        });
+    });
+});
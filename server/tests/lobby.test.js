@@ -0,0 +1,54 @@
+import lobby from '../src/services/lobby.js';
+
+const makeRoom = () => ({ lobby: { enabled: false, waiting: new Map(), admitted: new Set() } });
+const amy = { studentId: 's1', clientId: 'c1', name: 'Amy' };
+
+describe('lobby', () => {
+    test('nobody waits while it is off', () => {
+        expect(lobby.needsAdmission(makeRoom(), 'c1')).toBe(false);
+    });
+
+    test('students already in the lecture stay in when it is switched on', () => {
+        const room = makeRoom();
+        lobby.setEnabled(room, true, ['c1']);
+        expect(lobby.needsAdmission(room, 'c1')).toBe(false);
+        expect(lobby.needsAdmission(room, 'c2')).toBe(true);
+    });
+
+    test('admitting a student remembers their browser', () => {
+        const room = makeRoom();
+        lobby.setEnabled(room, true);
+        lobby.wait(room, amy);
+        expect(lobby.admit(room, 's1')).toMatchObject({ clientId: 'c1', name: 'Amy' });
+        expect(room.lobby.waiting.size).toBe(0);
+        expect(lobby.needsAdmission(room, 'c1')).toBe(false);
+    });
+
+    test('admitting or removing someone who is not waiting does nothing', () => {
+        const room = makeRoom();
+        expect(lobby.admit(room, 'nobody')).toBeNull();
+        expect(lobby.leave(room, 'nobody')).toBeNull();
+        expect(room.lobby.admitted.size).toBe(0);
+    });
+
+    test('a student sent back has to be let in again', () => {
+        const room = makeRoom();
+        lobby.setEnabled(room, true, ['c1']);
+        lobby.revoke(room, 'c1');
+        expect(lobby.needsAdmission(room, 'c1')).toBe(true);
+    });
+
+    test('lists waiting students longest first without their clientId', () => {
+        const room = makeRoom();
+        lobby.setEnabled(room, true);
+        lobby.wait(room, amy);
+        lobby.wait(room, { studentId: 's2', clientId: 'c2', name: 'Bob', registration: 'S2' });
+
+        const state = lobby.list(room);
+        expect(state.enabled).toBe(true);
+        expect(state.waiting.map((student) => student.studentId)).toEqual(['s1', 's2']);
+        expect(state.waiting[1]).toMatchObject({ name: 'Bob', registration: 'S2', unknown: false });
+        expect(state.waiting[0]).not.toHaveProperty('clientId');
+        expect(state.waiting[0].waited).toBeGreaterThanOrEqual(0);
+    });
+});
@@ -0,0 +1,147 @@
+import { jest } from '@jest/globals';
+import quizzes from '../src/services/quizzes.js';
+
+const START = new Date('2026-03-02T08:00:00Z').getTime();
+const at = (seconds) => jest.setSystemTime(START + seconds * 1000);
+
+// Two questions: one multiple choice worth 2 points, one typed worth 1
+const startQuiz = (timeLimit = 60) => {
+    const { quiz, error } = quizzes.sanitizeQuiz({
+        title: 'Week 3',
+        timeLimit,
+        questions: [
+            { text: 'Largest planet?', options: ['Mars', 'Jupiter', 'Venus'], answer: 1, points: 2 },
+            { text: 'Chemical symbol for water?', answer: ['H2O', 'h 2 o'] }
+        ]
+    });
+    expect(error).toBeNull();
+    return quizzes.create({ quizzes: [] }, quiz);
+};
+
+const amy = { studentId: 'reg:S1', name: 'Amy', registration: 'S1' };
+const bob = { studentId: 'browser-b', name: 'Bob' };
+const cat = { studentId: 'browser-c', name: 'Cat' };
+
+beforeEach(() => {
+    jest.useFakeTimers();
+    at(0);
+});
+
+afterEach(() => {
+    jest.useRealTimers();
+});
+
+describe('quizzes.sanitizeQuiz', () => {
+    test('refuses a quiz without questions', () => {
+        expect(quizzes.sanitizeQuiz({ questions: [] }).error).toMatch(/at least one question/);
+    });
+
+    test('names the question that has no correct answer', () => {
+        const { error } = quizzes.sanitizeQuiz({
+            questions: [{ text: 'Fine', answer: 'yes' }, { text: 'Broken', options: ['a', 'b'], answer: 5 }]
+        });
+        expect(error).toBe('Question 2 needs text and a correct answer');
+    });
+
+    test('falls back to the default time limit', () => {
+        expect(quizzes.sanitizeQuiz({ questions: [{ text: 'Q', answer: 'a' }], timeLimit: 1 }).quiz.timeLimit).toBe(300);
+    });
+});
+
+describe('quizzes.submit', () => {
+    test('scores choice answers by index and typed answers ignoring case and spacing', () => {
+        const quiz = startQuiz();
+        expect(quizzes.submit(quiz, amy, [1, ' h2o '])).toBeNull();
+        expect(quizzes.submit(quiz, bob, [0, 'H 2 O'])).toBeNull();
+
+        expect(quiz.submissions.get('reg:S1')).toMatchObject({ score: 3, correct: [true, true], registration: 'S1' });
+        expect(quiz.submissions.get('browser-b')).toMatchObject({ score: 1, correct: [false, true], registration: null });
+    });
+
+    test('counts missing or out-of-range answers as unanswered', () => {
+        const quiz = startQuiz();
+        quizzes.submit(quiz, amy, [7]);
+        expect(quiz.submissions.get('reg:S1')).toMatchObject({ answers: [null, null], score: 0 });
+    });
+
+    test('takes one submission per voter', () => {
+        const quiz = startQuiz();
+        quizzes.submit(quiz, amy, [1, 'H2O']);
+        expect(quizzes.submit(quiz, { ...amy, name: 'Someone else' }, [0, 'x'])).toBe('You have already handed in this quiz');
+        expect(quiz.submissions.get('reg:S1').score).toBe(3);
+    });
+
+    test('accepts a submission sent just as time runs out', () => {
+        const quiz = startQuiz(60);
+        at(62);
+        expect(quizzes.submit(quiz, amy, [1, 'H2O'])).toBeNull();
+    });
+
+    test('refuses submissions after the time limit and its grace period', () => {
+        const quiz = startQuiz(60);
+        at(64);
+        expect(quizzes.submit(quiz, amy, [1, 'H2O'])).toBe('This quiz is closed');
+    });
+
+    test('refuses submissions once the lecturer closes the quiz', () => {
+        const quiz = startQuiz();
+        expect(quizzes.close(quiz)).toBe(true);
+        expect(quizzes.close(quiz)).toBe(false);
+        expect(quizzes.submit(quiz, amy, [1, 'H2O'])).toBe('This quiz is closed');
+    });
+});
+
+describe("the lecturer's results", () => {
+    const results = () => {
+        const quiz = startQuiz();
+        at(20);
+        quizzes.submit(quiz, bob, [1, 'water']);
+        at(30);
+        quizzes.submit(quiz, amy, [1, 'H2O']);
+        at(40);
+        quizzes.submit(quiz, cat, [1, 'H2O']);
+        quizzes.submit(quiz, { studentId: 'browser-d', name: 'Dan' }, [2]);
+        return quizzes.viewFor(quiz, { isLecturer: true });
+    };
+
+    test('ranks by score, then by who handed in sooner', () => {
+        const { leaderboard } = results();
+        expect(leaderboard.map((entry) => [entry.name, entry.score])).toEqual([
+            ['Amy', 3],
+            ['Cat', 3],
+            ['Bob', 2],
+            ['Dan', 0]
+        ]);
+        expect(leaderboard[2].answers).toEqual(['Jupiter', 'water']);
+    });
+
+    test('breaks each question down with the most common wrong answers', () => {
+        const { breakdown } = results();
+        expect(breakdown[0]).toEqual({ correct: 3, answered: 4, commonWrong: [{ answer: 'Venus', count: 1 }] });
+        expect(breakdown[1]).toEqual({ correct: 2, answered: 3, commonWrong: [{ answer: 'water', count: 1 }] });
+    });
+});
+
+describe("a student's view", () => {
+    test('hides the correct answers until the quiz closes', () => {
+        const quiz = startQuiz();
+        quizzes.submit(quiz, amy, [0, 'H2O']);
+
+        const open = quizzes.viewFor(quiz, { isLecturer: false, voterId: 'reg:S1' });
+        expect(open.submitted).toBe(true);
+        expect(open.result).toBeNull();
+        open.questions.forEach((question) => expect(question).not.toHaveProperty('correctAnswer'));
+
+        quizzes.close(quiz);
+        const closed = quizzes.viewFor(quiz, { isLecturer: false, voterId: 'reg:S1' });
+        expect(closed.questions.map((question) => question.correctAnswer)).toEqual(['Jupiter', 'H2O / h 2 o']);
+        expect(closed.result).toEqual({ score: 1, answers: ['Mars', 'H2O'], correct: [false, true] });
+    });
+
+    test("does not show one student another student's marks", () => {
+        const quiz = startQuiz();
+        quizzes.submit(quiz, amy, [1, 'H2O']);
+        quizzes.close(quiz);
+        expect(quizzes.viewFor(quiz, { isLecturer: false, voterId: 'browser-b' })).toMatchObject({ submitted: false, result: null });
+    });
+});
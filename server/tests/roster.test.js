@@ -0,0 +1,149 @@
+import polls from '../src/services/polls.js';
+import roster from '../src/services/roster.js';
+
+const makeRoom = () => ({ roster: new Map() });
+
+describe('roster.normalizeRegistration', () => {
+    test('ignores case and spaces', () => {
+        expect(roster.normalizeRegistration(' ct 201/0001/22 ')).toBe('CT201/0001/22');
+    });
+
+    test('turns anything but a string into an empty string', () => {
+        expect(roster.normalizeRegistration(undefined)).toBe('');
+        expect(roster.normalizeRegistration(42)).toBe('');
+    });
+});
+
+describe('roster.set', () => {
+    test('keeps entries by normalized registration number and skips those without one', () => {
+        const room = makeRoom();
+        const size = roster.set(room, [
+            { name: '  Amy   Adams ', registration: 's 1' },
+            { name: 'No Number', registration: '' },
+            null,
+            { registration: 'S2' }
+        ]);
+        expect(size).toBe(2);
+        expect(room.roster.get('S1')).toEqual({ registration: 'S1', name: 'Amy Adams' });
+        expect(room.roster.get('S2').name).toBe('S2');
+    });
+
+    test('replaces the previous roster', () => {
+        const room = makeRoom();
+        roster.set(room, [{ name: 'Amy', registration: 'S1' }]);
+        roster.set(room, [{ name: 'Bob', registration: 'S2' }]);
+        expect(Array.from(room.roster.keys())).toEqual(['S2']);
+    });
+});
+
+describe('roster.identify', () => {
+    test('without a roster, uses what the student typed', () => {
+        expect(roster.identify(makeRoom(), { name: ' Amy ', registration: 's1' })).toEqual({
+            name: 'Amy',
+            registration: 'S1',
+            unknown: false
+        });
+    });
+
+    test("takes the roster's spelling of a matching student's name", () => {
+        const room = makeRoom();
+        roster.set(room, [{ name: 'Amy Adams', registration: 'S1' }]);
+        expect(roster.identify(room, { name: 'amy', registration: ' s1' })).toEqual({
+            name: 'Amy Adams',
+            registration: 'S1',
+            unknown: false
+        });
+    });
+
+    test('flags students who are not on a loaded roster', () => {
+        const room = makeRoom();
+        roster.set(room, [{ name: 'Amy Adams', registration: 'S1' }]);
+        expect(roster.identify(room, { name: 'Zed' })).toEqual({ name: 'Zed', registration: null, unknown: true });
+    });
+
+    test('falls back to "Student" when no name was given', () => {
+        expect(roster.identify(makeRoom(), {}).name).toBe('Student');
+    });
+});
+
+describe('registration numbers claimed twice', () => {
+    const amy = { studentId: 'a', clientId: 'browser-a', name: 'Amy', registration: 'S1', duplicate: false };
+
+    test('another browser holding the number is a claim', () => {
+        expect(roster.isClaimed([amy], { clientId: 'browser-b', registration: 'S1' })).toBe(true);
+    });
+
+    test('another tab of the same browser is not', () => {
+        expect(roster.isClaimed([amy], { clientId: 'browser-a', registration: 'S1' })).toBe(false);
+    });
+
+    test('a flagged claim does not keep the real student out', () => {
+        const bob = { studentId: 'b', clientId: 'browser-b', name: 'Bob', registration: 'S1', duplicate: true };
+        expect(roster.isClaimed([bob], { clientId: 'browser-a', registration: 'S1' })).toBe(false);
+    });
+
+    test('students without a registration number never clash', () => {
+        const zed = { ...amy, registration: null };
+        expect(roster.isClaimed([zed], { clientId: 'browser-b', registration: null })).toBe(false);
+    });
+
+    test('findDuplicates lists everyone sharing a number from different browsers', () => {
+        const students = [
+            amy,
+            { studentId: 'a2', clientId: 'browser-a', name: 'Amy', registration: 'S1' },
+            { studentId: 'b', clientId: 'browser-b', name: 'Bob', registration: 'S1' },
+            { studentId: 'c', clientId: 'browser-c', name: 'Cat', registration: 'S2' }
+        ];
+        expect(roster.findDuplicates(students)).toEqual([
+            {
+                registration: 'S1',
+                students: [
+                    { studentId: 'a', name: 'Amy' },
+                    { studentId: 'a2', name: 'Amy' },
+                    { studentId: 'b', name: 'Bob' }
+                ]
+            }
+        ]);
+    });
+
+    test('findDuplicates ignores two tabs of one browser', () => {
+        expect(roster.findDuplicates([amy, { ...amy, studentId: 'a2' }])).toEqual([]);
+    });
+});
+
+describe('roster.voterId', () => {
+    const room = makeRoom();
+    roster.set(room, [{ name: 'Amy', registration: 'S1' }]);
+
+    test('a student on the roster votes as their registration number from any browser', () => {
+        expect(roster.voterId(room, { clientId: 'browser-a', registration: 'S1' })).toBe('reg:S1');
+        expect(roster.voterId(room, { clientId: 'browser-b', registration: 'S1' })).toBe('reg:S1');
+    });
+
+    test('a student off the roster votes as their browser', () => {
+        expect(roster.voterId(room, { clientId: 'browser-z', registration: 'S9' })).toBe('browser-z');
+        expect(roster.voterId(room, { clientId: 'browser-z', registration: null })).toBe('browser-z');
+    });
+
+    test('a flagged claim cannot vote as the real student', () => {
+        const amy = { clientId: 'browser-a', registration: 'S1', duplicate: false };
+        const bob = { clientId: 'browser-b', registration: 'S1', duplicate: true };
+        const poll = polls.create({ polls: [] }, { question: 'Ready?', type: 'yesno', options: ['Yes', 'No'] });
+        const pollRoom = { polls: [poll] };
+
+        expect(polls.vote(pollRoom, poll.id, roster.voterId(room, bob), 1)).toBeNull();
+        expect(polls.vote(pollRoom, poll.id, roster.voterId(room, amy), 0)).toBeNull();
+        expect(poll.votes.get('reg:S1')).toBe(0);
+    });
+});
+
+describe('roster.list', () => {
+    test('marks the roster students who are connected', () => {
+        const room = makeRoom();
+        roster.set(room, [{ name: 'Amy', registration: 'S1' }, { name: 'Bob', registration: 'S2' }]);
+        expect(roster.list(room, new Set(['S2']))).toEqual([
+            { registration: 'S1', name: 'Amy', online: false },
+            { registration: 'S2', name: 'Bob', online: true }
+        ]);
+    });
+});